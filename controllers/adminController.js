@@ -0,0 +1,975 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import DriverProfile from "../models/DriverProfile.js";
+import Ride from "../models/Ride.js";
+import Vehicle from "../models/Vehicle.js";
+import Booking from "../models/Booking.js";
+import Review from "../models/Review.js";
+import AdminInvite from "../models/AdminInvite.js";
+import Incident from "../models/Incident.js";
+import { revokeAllSessions } from "../utils/sessionService.js";
+import {
+  hashVerificationCode,
+  sendAdminInviteEmail,
+  sendDriverReviewEmail,
+  sendVehicleReviewEmail,
+} from "../utils/emailService.js";
+import { cancelScheduledRides } from "../utils/rideService.js";
+import { getUploadUrl } from "../utils/uploadService.js";
+
+const ROLES = ["passenger", "driver", "admin"];
+
+// Admin invite lifetime
+const INVITE_EXPIRY_MS = 48 * 60 * 60 * 1000;
+
+// Uploaded driver documents (populated for review)
+const DRIVER_DOCUMENT_PATHS =
+  "documents.cnicFront documents.cnicBack documents.drivingLicense documents.vehicleRegistration documents.insurance";
+
+// Fields never sent to admins
+const HIDDEN_USER_FIELDS =
+  "-password -verificationCode -resetPasswordCode -emailChangeCode -phoneVerificationCode";
+
+// ==================== USER MANAGEMENT ====================
+
+/**
+ * @desc    Get all users with search and filters (Admin)
+ * @route   GET /api/admin/users
+ * @access  Private (Admin only)
+ */
+export const getUsers = async (req, res) => {
+  try {
+    const {
+      search,
+      role,
+      isVerified,
+      isPhoneVerified,
+      suspended,
+      page = 1,
+      limit = 20,
+    } = req.query;
+
+    const query = {};
+
+    // Search by name, email or phone (case-insensitive)
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+      query.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+    }
+
+    if (role) {
+      query.roles = role;
+    }
+
+    if (isVerified !== undefined) {
+      query.isVerified = isVerified === "true";
+    }
+
+    if (isPhoneVerified !== undefined) {
+      query.isPhoneVerified = isPhoneVerified === "true";
+    }
+
+    if (suspended === "true") {
+      query["suspension.isSuspended"] = true;
+      query.$and = [
+        {
+          $or: [
+            { "suspension.expiresAt": null },
+            { "suspension.expiresAt": { $gt: new Date() } },
+          ],
+        },
+      ];
+    } else if (suspended === "false") {
+      query.$and = [
+        {
+          $or: [
+            { "suspension.isSuspended": false },
+            { "suspension.expiresAt": { $lte: new Date() } },
+          ],
+        },
+      ];
+    }
+
+    const users = await User.find(query)
+      .select(HIDDEN_USER_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .populate("suspension.suspendedBy", "name email");
+
+    const total = await User.countDocuments(query);
+
+    res.status(200).json({
+      users,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalUsers: total,
+      },
+    });
+  } catch (error) {
+    console.error("Get users error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Get user details with rides, bookings and reviews (Admin)
+ * @route   GET /api/admin/users/:id
+ * @access  Private (Admin only)
+ */
+export const getUserDetails = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const user = await User.findById(id)
+      .select(HIDDEN_USER_FIELDS)
+      .populate("suspension.suspendedBy", "name email");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const driverProfile = await DriverProfile.findOne({ user: user._id }).populate(
+      DRIVER_DOCUMENT_PATHS,
+      "kind mimeType size createdAt"
+    );
+
+    // Rides posted as driver
+    const rides = await Ride.find({ driver: user._id })
+      .sort({ departureDate: -1 })
+      .limit(20)
+      .select("origin destination departureDate departureTime status totalSeats availableSeats farePerSeat");
+
+    // Bookings made as passenger
+    const bookings = await Booking.find({ passenger: user._id })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .populate({
+        path: "ride",
+        select: "origin destination departureDate driver",
+        populate: { path: "driver", select: "name email" },
+      });
+
+    // Reviews given and received
+    const reviewsGiven = await Review.find({ reviewer: user._id })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .populate("reviewee", "name email");
+
+    const reviewsReceived = await Review.find({ reviewee: user._id })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .populate("reviewer", "name email");
+
+    res.status(200).json({
+      user,
+      driverProfile,
+      rides,
+      bookings,
+      reviewsGiven,
+      reviewsReceived,
+      counts: {
+        rides: await Ride.countDocuments({ driver: user._id }),
+        bookings: await Booking.countDocuments({ passenger: user._id }),
+        reviewsGiven: await Review.countDocuments({ reviewer: user._id }),
+        reviewsReceived: await Review.countDocuments({ reviewee: user._id }),
+      },
+    });
+  } catch (error) {
+    console.error("Get user details error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Suspend a user (no expiry = ban) (Admin)
+ * @route   PATCH /api/admin/users/:id/suspend
+ * @access  Private (Admin only)
+ */
+export const suspendUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, expiresAt } = req.body ?? {};
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!reason) {
+      return res.status(400).json({ message: "Suspension reason is required" });
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res.status(400).json({ message: "Suspension expiry must be a future date" });
+      }
+    }
+
+    if (id === req.user._id.toString()) {
+      return res.status(400).json({ message: "You cannot suspend your own account" });
+    }
+
+    const user = await User.findById(id).select(HIDDEN_USER_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    user.suspension = {
+      isSuspended: true,
+      reason,
+      suspendedAt: new Date(),
+      expiresAt: expiry,
+      suspendedBy: req.user._id,
+    };
+    await user.save();
+
+    // Log the user out everywhere
+    await revokeAllSessions(user._id, "suspended");
+
+    // Suspended drivers can't run their upcoming rides
+    let cancelledRides = 0;
+    if (user.roles.includes("driver")) {
+      cancelledRides = await cancelScheduledRides(user._id, "Driver account suspended");
+    }
+
+    res.status(200).json({
+      message: expiry ? "User suspended successfully" : "User banned successfully",
+      user,
+      cancelledRides,
+    });
+  } catch (error) {
+    console.error("Suspend user error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Lift a user's suspension (Admin)
+ * @route   PATCH /api/admin/users/:id/unsuspend
+ * @access  Private (Admin only)
+ */
+export const unsuspendUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const user = await User.findById(id).select(HIDDEN_USER_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.suspension.isSuspended) {
+      return res.status(400).json({ message: "User is not suspended" });
+    }
+
+    user.suspension = {
+      isSuspended: false,
+      reason: null,
+      suspendedAt: null,
+      expiresAt: null,
+      suspendedBy: null,
+    };
+    await user.save();
+
+    res.status(200).json({
+      message: "User suspension lifted successfully",
+      user,
+    });
+  } catch (error) {
+    console.error("Unsuspend user error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Grant a role to a user (Admin)
+ * @route   POST /api/admin/users/:id/roles
+ * @access  Private (Admin only)
+ */
+export const grantRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body ?? {};
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `Invalid role. Valid options: ${ROLES.join(", ")}` });
+    }
+
+    const user = await User.findById(id).select(HIDDEN_USER_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.roles.includes(role)) {
+      return res.status(400).json({ message: `User already has the '${role}' role` });
+    }
+
+    // Driver role needs a driver profile (CNIC, license, vehicle)
+    if (role === "driver") {
+      const driverProfile = await DriverProfile.findOne({ user: user._id });
+      if (!driverProfile) {
+        return res.status(400).json({
+          message: "User has no driver profile. They must register as a driver first.",
+        });
+      }
+    }
+
+    user.roles.push(role);
+    await user.save();
+
+    res.status(200).json({
+      message: `Role '${role}' granted successfully`,
+      roles: user.roles,
+    });
+  } catch (error) {
+    console.error("Grant role error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Revoke a role from a user (Admin)
+ * @route   DELETE /api/admin/users/:id/roles/:role
+ * @access  Private (Admin only)
+ */
+export const revokeRole = async (req, res) => {
+  try {
+    const { id, role } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `Invalid role. Valid options: ${ROLES.join(", ")}` });
+    }
+
+    if (role === "admin" && id === req.user._id.toString()) {
+      return res.status(400).json({ message: "You cannot revoke your own admin role" });
+    }
+
+    const user = await User.findById(id).select(HIDDEN_USER_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.roles.includes(role)) {
+      return res.status(400).json({ message: `User doesn't have the '${role}' role` });
+    }
+
+    if (user.roles.length === 1) {
+      return res.status(400).json({ message: "User must keep at least one role" });
+    }
+
+    user.roles = user.roles.filter((r) => r !== role);
+    if (user.activeRole === role) {
+      user.activeRole = null;
+    }
+    await user.save();
+
+    // Former drivers can't run their upcoming rides
+    let cancelledRides = 0;
+    if (role === "driver") {
+      cancelledRides = await cancelScheduledRides(user._id, "Driver role revoked");
+    }
+
+    res.status(200).json({
+      message: `Role '${role}' revoked successfully`,
+      roles: user.roles,
+      cancelledRides,
+    });
+  } catch (error) {
+    console.error("Revoke role error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// ==================== ADMIN INVITES ====================
+
+/**
+ * @desc    Invite someone to become an admin (emails a one-time code)
+ * @route   POST /api/admin/invites
+ * @access  Private (Admin only)
+ */
+export const createAdminInvite = async (req, res) => {
+  try {
+    const { email } = req.body ?? {};
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (typeof email !== "string" || !emailRegex.test(email)) {
+      return res.status(400).json({ message: "Please enter a valid email" });
+    }
+
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+    if (existingUser?.roles.includes("admin")) {
+      return res.status(400).json({ message: "User is already an admin" });
+    }
+
+    // Only the latest invite for an email stays valid
+    await AdminInvite.updateMany(
+      { email: email.toLowerCase(), usedAt: null, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    const code = crypto.randomBytes(6).toString("hex").toUpperCase();
+    const invite = await AdminInvite.create({
+      email,
+      codeHash: hashVerificationCode(code),
+      invitedBy: req.user._id,
+      expiresAt: new Date(Date.now() + INVITE_EXPIRY_MS),
+    });
+
+    await sendAdminInviteEmail(invite.email, code, req.user.name);
+
+    res.status(201).json({
+      message: "Admin invite sent successfully",
+      invite: {
+        id: invite._id,
+        email: invite.email,
+        expiresAt: invite.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error("Create admin invite error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Get admin invites (Admin)
+ * @route   GET /api/admin/invites
+ * @access  Private (Admin only)
+ */
+export const getAdminInvites = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const invites = await AdminInvite.find()
+      .select("-codeHash")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .populate("invitedBy", "name email")
+      .populate("usedBy", "name email");
+
+    const total = await AdminInvite.countDocuments();
+
+    res.status(200).json({
+      invites: invites.map((invite) => ({
+        ...invite.toObject(),
+        isPending: invite.isPending(),
+      })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalInvites: total,
+      },
+    });
+  } catch (error) {
+    console.error("Get admin invites error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Revoke a pending admin invite (Admin)
+ * @route   DELETE /api/admin/invites/:id
+ * @access  Private (Admin only)
+ */
+export const revokeAdminInvite = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: "Invite not found" });
+    }
+
+    const invite = await AdminInvite.findById(id);
+    if (!invite) {
+      return res.status(404).json({ message: "Invite not found" });
+    }
+
+    if (!invite.isPending()) {
+      return res.status(400).json({ message: "Invite is no longer pending" });
+    }
+
+    invite.revokedAt = new Date();
+    await invite.save();
+
+    res.status(200).json({ message: "Invite revoked successfully" });
+  } catch (error) {
+    console.error("Revoke admin invite error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// ==================== DRIVER APPROVAL ====================
+
+/**
+ * Helper function to list a driver's uploaded documents with download URLs
+ */
+const formatDriverDocuments = (req, documents) => {
+  const formatted = {};
+  for (const [field, upload] of Object.entries(documents || {})) {
+    formatted[field] = upload?._id
+      ? {
+          id: upload._id,
+          mimeType: upload.mimeType,
+          uploadedAt: upload.createdAt,
+          url: getUploadUrl(req, upload._id),
+        }
+      : null;
+  }
+  return formatted;
+};
+
+/**
+ * @desc    Get driver applications queue (Admin)
+ * @route   GET /api/admin/drivers?status=pending|approved|rejected
+ * @access  Private (Admin only)
+ */
+export const getDriverApplications = async (req, res) => {
+  try {
+    const { status = "pending", page = 1, limit = 20 } = req.query;
+
+    if (!["pending", "approved", "rejected"].includes(status)) {
+      return res.status(400).json({ message: "Status must be pending, approved or rejected" });
+    }
+
+    const query = { approvalStatus: status };
+
+    // Oldest submissions first so nobody waits forever
+    const driverProfiles = await DriverProfile.find(query)
+      .sort({ "approval.submittedAt": 1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .populate("user", "name email phone profilePicture isVerified isPhoneVerified createdAt")
+      .populate("approval.reviewedBy", "name email")
+      .populate(DRIVER_DOCUMENT_PATHS, "mimeType createdAt");
+
+    const total = await DriverProfile.countDocuments(query);
+
+    // Get status counts
+    const statusCounts = await DriverProfile.aggregate([
+      {
+        $group: {
+          _id: "$approvalStatus",
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    res.status(200).json({
+      drivers: driverProfiles.map((driverProfile) => ({
+        id: driverProfile._id,
+        user: driverProfile.user,
+        cnic: driverProfile.cnic,
+        drivingLicense: driverProfile.drivingLicense,
+        gender: driverProfile.gender,
+        vehicleInfo: driverProfile.vehicleInfo,
+        documents: formatDriverDocuments(req, driverProfile.documents?.toObject()),
+        documentExpiry: driverProfile.documentExpiry,
+        approvalStatus: driverProfile.approvalStatus,
+        approval: driverProfile.approval,
+      })),
+      statusCounts: statusCounts.reduce((acc, s) => {
+        acc[s._id] = s.count;
+        return acc;
+      }, {}),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalDrivers: total,
+      },
+    });
+  } catch (error) {
+    console.error("Get driver applications error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Helper function to record an admin decision on a driver application
+ */
+const reviewDriverApplication = async (req, res, approved) => {
+  const { id } = req.params;
+  const { reason } = req.body ?? {};
+
+  if (!approved && !reason?.trim()) {
+    return res.status(400).json({ message: "Rejection reason is required" });
+  }
+
+  const driverProfile = await DriverProfile.findById(id).populate("user", "name email");
+  if (!driverProfile) {
+    return res.status(404).json({ message: "Driver profile not found" });
+  }
+
+  if (driverProfile.approvalStatus !== "pending") {
+    return res.status(400).json({
+      message: `Only pending applications can be reviewed (this one is ${driverProfile.approvalStatus})`,
+    });
+  }
+
+  driverProfile.approvalStatus = approved ? "approved" : "rejected";
+  driverProfile.approval.reviewedAt = new Date();
+  driverProfile.approval.reviewedBy = req.user._id;
+  driverProfile.approval.rejectionReason = approved ? null : reason.trim();
+  await driverProfile.save();
+
+  // Notify driver
+  let emailSent = false;
+  try {
+    await sendDriverReviewEmail(
+      driverProfile.user.email,
+      driverProfile.user.name,
+      approved,
+      driverProfile.approval.rejectionReason
+    );
+    emailSent = true;
+  } catch (emailError) {
+    console.error("Failed to send driver review email:", emailError);
+  }
+
+  res.status(200).json({
+    message: approved ? "Driver approved" : "Driver application rejected",
+    driverProfile: {
+      id: driverProfile._id,
+      user: driverProfile.user,
+      approvalStatus: driverProfile.approvalStatus,
+      approval: driverProfile.approval,
+    },
+    emailSent,
+  });
+};
+
+/**
+ * @desc    Approve a driver application (Admin)
+ * @route   PATCH /api/admin/drivers/:id/approve
+ * @access  Private (Admin only)
+ */
+export const approveDriver = async (req, res) => {
+  try {
+    await reviewDriverApplication(req, res, true);
+  } catch (error) {
+    console.error("Approve driver error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Reject a driver application with a reason (Admin)
+ * @route   PATCH /api/admin/drivers/:id/reject
+ * @access  Private (Admin only)
+ */
+export const rejectDriver = async (req, res) => {
+  try {
+    await reviewDriverApplication(req, res, false);
+  } catch (error) {
+    console.error("Reject driver error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// ==================== VEHICLE APPROVAL ====================
+
+/**
+ * @desc    Get vehicle review queue (Admin)
+ * @route   GET /api/admin/vehicles?status=pending|approved|rejected
+ * @access  Private (Admin only)
+ */
+export const getVehicleApplications = async (req, res) => {
+  try {
+    const { status = "pending", page = 1, limit = 20 } = req.query;
+
+    if (!["pending", "approved", "rejected"].includes(status)) {
+      return res.status(400).json({ message: "Status must be pending, approved or rejected" });
+    }
+
+    const query = { approvalStatus: status, isActive: true };
+
+    // Oldest submissions first so nobody waits forever
+    const vehicles = await Vehicle.find(query)
+      .sort({ "approval.submittedAt": 1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .populate("driver", "name email phone profilePicture")
+      .populate("approval.reviewedBy", "name email");
+
+    const total = await Vehicle.countDocuments(query);
+
+    res.status(200).json({
+      vehicles,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalVehicles: total,
+      },
+    });
+  } catch (error) {
+    console.error("Get vehicle applications error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Helper function to record an admin decision on a vehicle
+ */
+const reviewVehicle = async (req, res, approved) => {
+  const { id } = req.params;
+  const { reason } = req.body ?? {};
+
+  if (!approved && !reason?.trim()) {
+    return res.status(400).json({ message: "Rejection reason is required" });
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({ message: "Vehicle not found" });
+  }
+
+  const vehicle = await Vehicle.findOne({ _id: id, isActive: true }).populate("driver", "name email");
+  if (!vehicle) {
+    return res.status(404).json({ message: "Vehicle not found" });
+  }
+
+  if (vehicle.approvalStatus !== "pending") {
+    return res.status(400).json({
+      message: `Only pending vehicles can be reviewed (this one is ${vehicle.approvalStatus})`,
+    });
+  }
+
+  vehicle.approvalStatus = approved ? "approved" : "rejected";
+  vehicle.approval.reviewedAt = new Date();
+  vehicle.approval.reviewedBy = req.user._id;
+  vehicle.approval.rejectionReason = approved ? null : reason.trim();
+  await vehicle.save();
+
+  // Notify driver
+  let emailSent = false;
+  if (vehicle.driver) {
+    try {
+      await sendVehicleReviewEmail(vehicle.driver.email, vehicle.driver.name, approved, {
+        vehicle: `${vehicle.vehicleModel} (${vehicle.vehiclePlate})`,
+        reason: vehicle.approval.rejectionReason,
+      });
+      emailSent = true;
+    } catch (emailError) {
+      console.error("Failed to send vehicle review email:", emailError);
+    }
+  }
+
+  res.status(200).json({
+    message: approved ? "Vehicle approved" : "Vehicle rejected",
+    vehicle,
+    emailSent,
+  });
+};
+
+/**
+ * @desc    Approve a vehicle (Admin)
+ * @route   PATCH /api/admin/vehicles/:id/approve
+ * @access  Private (Admin only)
+ */
+export const approveVehicle = async (req, res) => {
+  try {
+    await reviewVehicle(req, res, true);
+  } catch (error) {
+    console.error("Approve vehicle error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Reject a vehicle with a reason (Admin)
+ * @route   PATCH /api/admin/vehicles/:id/reject
+ * @access  Private (Admin only)
+ */
+export const rejectVehicle = async (req, res) => {
+  try {
+    await reviewVehicle(req, res, false);
+  } catch (error) {
+    console.error("Reject vehicle error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// ==================== INCIDENTS (SOS) ====================
+
+/**
+ * @desc    Get SOS incident queue (Admin)
+ * @route   GET /api/admin/incidents
+ * @access  Private (Admin only)
+ */
+export const getIncidents = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+
+    const incidents = await Incident.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .populate("raisedBy", "name email phone")
+      .populate({
+        path: "ride",
+        select: "origin destination departureDate driver",
+        populate: { path: "driver", select: "name phone" },
+      });
+
+    const total = await Incident.countDocuments(query);
+
+    // Get status counts
+    const statusCounts = await Incident.aggregate([
+      {
+        $group: {
+          _id: "$status",
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    res.status(200).json({
+      incidents,
+      statusCounts: statusCounts.reduce((acc, s) => {
+        acc[s._id] = s.count;
+        return acc;
+      }, {}),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalIncidents: total,
+      },
+    });
+  } catch (error) {
+    console.error("Get incidents error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Get incident details (Admin)
+ * @route   GET /api/admin/incidents/:id
+ * @access  Private (Admin only)
+ */
+export const getIncidentDetails = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const incident = await Incident.findById(id)
+      .populate("raisedBy", "name email phone emergencyContacts")
+      .populate({
+        path: "booking",
+        populate: { path: "passenger", select: "name email phone" },
+      })
+      .populate({
+        path: "ride",
+        populate: [
+          { path: "driver", select: "name email phone" },
+          { path: "driverProfile", select: "vehicleInfo" },
+        ],
+      })
+      .populate("acknowledgedBy", "name email")
+      .populate("resolvedBy", "name email");
+
+    if (!incident) {
+      return res.status(404).json({ message: "Incident not found" });
+    }
+
+    res.status(200).json({ incident });
+  } catch (error) {
+    console.error("Get incident details error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Acknowledge an incident (Admin)
+ * @route   PATCH /api/admin/incidents/:id/acknowledge
+ * @access  Private (Admin only)
+ */
+export const acknowledgeIncident = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const incident = await Incident.findById(id);
+    if (!incident) {
+      return res.status(404).json({ message: "Incident not found" });
+    }
+
+    if (incident.status !== "open") {
+      return res.status(400).json({ message: "Only open incidents can be acknowledged" });
+    }
+
+    incident.status = "acknowledged";
+    incident.acknowledgedBy = req.user._id;
+    incident.acknowledgedAt = new Date();
+    await incident.save();
+
+    res.status(200).json({
+      message: "Incident acknowledged",
+      incident,
+    });
+  } catch (error) {
+    console.error("Acknowledge incident error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Resolve an incident (Admin)
+ * @route   PATCH /api/admin/incidents/:id/resolve
+ * @access  Private (Admin only)
+ */
+export const resolveIncident = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { resolutionNotes } = req.body ?? {};
+
+    const incident = await Incident.findById(id);
+    if (!incident) {
+      return res.status(404).json({ message: "Incident not found" });
+    }
+
+    if (incident.status === "resolved") {
+      return res.status(400).json({ message: "Incident is already resolved" });
+    }
+
+    // Resolving implies it was seen
+    if (!incident.acknowledgedAt) {
+      incident.acknowledgedBy = req.user._id;
+      incident.acknowledgedAt = new Date();
+    }
+
+    incident.status = "resolved";
+    incident.resolvedBy = req.user._id;
+    incident.resolvedAt = new Date();
+    incident.resolutionNotes = resolutionNotes;
+    await incident.save();
+
+    res.status(200).json({
+      message: "Incident resolved",
+      incident,
+    });
+  } catch (error) {
+    console.error("Resolve incident error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
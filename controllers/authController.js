@@ -1,16 +1,118 @@
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
 import User from "../models/User.js";
 import DriverProfile from "../models/DriverProfile.js";
-import { generateToken } from "../utils/generateToken.js";
+import Session from "../models/Session.js";
+import AdminInvite from "../models/AdminInvite.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} from "../utils/sessionService.js";
+import { generateChallengeToken } from "../utils/generateToken.js";
+import { isTwoFactorRequired, verifySecondFactor } from "../utils/twoFactor.js";
 import {
   validatePassengerRegister,
   validateDriverRegister,
+  validateDriverDetails,
   validateLogin,
+  validateProfileUpdate,
+  validatePasswordChange,
+  validateEmailChange,
 } from "../utils/validators.js";
 import {
   generateVerificationCode,
+  hashVerificationCode,
+  compareVerificationCode,
   sendVerificationEmail,
   sendPasswordResetEmail,
 } from "../utils/emailService.js";
+import { sendPhoneVerificationSms } from "../utils/smsService.js";
+import {
+  isPlateTaken,
+  ensureDefaultVehicle,
+  syncRegistrationVehicle,
+} from "../utils/vehicleService.js";
+import {
+  getDeletionGraceDays,
+  getDeletionBlockers,
+  cancelPendingBookings,
+} from "../utils/accountDeletion.js";
+import {
+  MAX_CODE_ATTEMPTS,
+  getAttemptKeys,
+  checkLockout,
+  recordFailure,
+  clearAttempts,
+  sendLockedOut,
+} from "../utils/attemptLimiter.js";
+
+// User fields holding each kind of emailed code
+const CODE_FIELDS = {
+  verification: {
+    code: "verificationCode",
+    expires: "verificationCodeExpires",
+    attempts: "verificationCodeAttempts",
+  },
+  reset: {
+    code: "resetPasswordCode",
+    expires: "resetPasswordExpires",
+    attempts: "resetPasswordAttempts",
+  },
+  emailChange: {
+    code: "emailChangeCode",
+    expires: "emailChangeExpires",
+    attempts: "emailChangeAttempts",
+  },
+  phone: {
+    code: "phoneVerificationCode",
+    expires: "phoneVerificationExpires",
+    attempts: "phoneVerificationAttempts",
+  },
+};
+
+// Minimum time between two phone verification SMS
+const PHONE_CODE_COOLDOWN_MS = 60 * 1000;
+
+/**
+ * Helper function to check an emailed code stored (hashed) on the user
+ * Each wrong guess counts towards MAX_CODE_ATTEMPTS, after which the code is invalidated.
+ * @returns {Promise<string|null>} Error message, or null if the code matches
+ */
+const checkUserCode = async (user, fields, code, label) => {
+  if (!user || !user[fields.code] || user[fields.expires] < Date.now()) {
+    return `Invalid or expired ${label}`;
+  }
+
+  if (compareVerificationCode(code, user[fields.code])) {
+    return null;
+  }
+
+  user[fields.attempts] += 1;
+  if (user[fields.attempts] >= MAX_CODE_ATTEMPTS) {
+    user[fields.code] = null;
+    user[fields.expires] = null;
+    await user.save();
+    return "Too many incorrect attempts. Please request a new code.";
+  }
+
+  await user.save();
+  return `Invalid or expired ${label}`;
+};
+
+/**
+ * Helper function to generate and text a phone verification code (caller must save the user)
+ */
+const sendPhoneCode = async (user) => {
+  const code = generateVerificationCode();
+  user.phoneVerificationCode = hashVerificationCode(code);
+  user.phoneVerificationExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+  user.phoneVerificationAttempts = 0;
+  user.phoneVerificationSentAt = new Date();
+
+  await sendPhoneVerificationSms(user.phone, code);
+};
 
 /**
  * @desc    Register a new passenger
@@ -41,7 +143,7 @@ export const registerPassenger = async (req, res) => {
       password,
       phone,
       roles: ["passenger"],
-      verificationCode,
+      verificationCode: hashVerificationCode(verificationCode),
       verificationCodeExpires: new Date(Date.now() + 10 * 60 * 1000), // 10 minutes
     });
 
@@ -52,8 +154,16 @@ export const registerPassenger = async (req, res) => {
       console.error("Failed to send verification email:", emailError);
     }
 
-    // Generate token
-    const token = generateToken(user._id, user.roles);
+    // Send phone verification code
+    try {
+      await sendPhoneCode(user);
+      await user.save();
+    } catch (smsError) {
+      console.error("Failed to send phone verification code:", smsError);
+    }
+
+    // Start session and generate tokens
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       message: "Registration successful. Please check your email for verification code.",
@@ -66,6 +176,7 @@ export const registerPassenger = async (req, res) => {
         isVerified: user.isVerified,
       },
       token,
+      refreshToken,
     });
   } catch (error) {
     console.error("Register passenger error:", error);
@@ -101,7 +212,9 @@ export const registerDriver = async (req, res) => {
     // Check if user already exists
     const existingUser = await User.findOne({ email: email.toLowerCase() });
     if (existingUser) {
-      return res.status(400).json({ message: "User already exists with this email" });
+      return res.status(400).json({
+        message: "User already exists with this email. Log in to add a driver profile to your account.",
+      });
     }
 
     // Check if CNIC already registered
@@ -111,10 +224,7 @@ export const registerDriver = async (req, res) => {
     }
 
     // Check if vehicle plate already registered
-    const existingPlate = await DriverProfile.findOne({
-      "vehicleInfo.vehiclePlate": vehicleInfo.vehiclePlate,
-    });
-    if (existingPlate) {
+    if (await isPlateTaken(vehicleInfo.vehiclePlate, null)) {
       return res.status(400).json({ message: "Vehicle plate already registered" });
     }
 
@@ -127,7 +237,7 @@ export const registerDriver = async (req, res) => {
       phone,
       profilePicture: profilePicture || "",
       roles: ["driver"],
-      verificationCode,
+      verificationCode: hashVerificationCode(verificationCode),
       verificationCodeExpires: new Date(Date.now() + 10 * 60 * 1000), // 10 minutes
     });
 
@@ -139,6 +249,7 @@ export const registerDriver = async (req, res) => {
       gender: gender.toLowerCase(),
       vehicleInfo,
     });
+    await ensureDefaultVehicle(driverProfile);
 
     // Send verification email
     try {
@@ -147,11 +258,20 @@ export const registerDriver = async (req, res) => {
       console.error("Failed to send verification email:", emailError);
     }
 
-    // Generate token
-    const token = generateToken(user._id, user.roles);
+    // Send phone verification code
+    try {
+      await sendPhoneCode(user);
+      await user.save();
+    } catch (smsError) {
+      console.error("Failed to send phone verification code:", smsError);
+    }
+
+    // Start session and generate tokens
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
-      message: "Driver registration successful. Please check your email for verification code.",
+      message:
+        "Driver registration successful. Please check your email for verification code. Your driver account will be reviewed by an admin before you can post rides.",
       user: {
         id: user._id,
         name: user.name,
@@ -165,8 +285,10 @@ export const registerDriver = async (req, res) => {
         cnic: driverProfile.cnic,
         vehicleInfo: driverProfile.vehicleInfo,
         isApproved: driverProfile.isApproved,
+        approvalStatus: driverProfile.approvalStatus,
       },
       token,
+      refreshToken,
     });
   } catch (error) {
     console.error("Register driver error:", error);
@@ -174,6 +296,54 @@ export const registerDriver = async (req, res) => {
   }
 };
 
+/**
+ * Helper function to start a session and send the login response
+ */
+const sendLoginResponse = async (user, req, res) => {
+  // Logging in during the deletion grace period restores the account
+  if (user.deletion.scheduledFor) {
+    user.deletion = { requestedAt: null, scheduledFor: null, anonymizedAt: null };
+    await user.save();
+  }
+
+  // Start session and generate tokens
+  const { token, refreshToken } = await createSession(user, req);
+
+  // Get driver profile if user is a driver
+  let driverProfile = null;
+  if (user.roles.includes("driver")) {
+    driverProfile = await DriverProfile.findOne({ user: user._id });
+  }
+
+  res.status(200).json({
+    message: "Login successful",
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      isPhoneVerified: user.isPhoneVerified,
+      roles: user.roles,
+      activeRole: user.getActiveRole(),
+      profilePicture: user.profilePicture,
+      twoFactorEnabled: user.twoFactor.enabled,
+    },
+    driverProfile: driverProfile
+      ? {
+          id: driverProfile._id,
+          vehicleInfo: driverProfile.vehicleInfo,
+          isApproved: driverProfile.isApproved,
+          approvalStatus: driverProfile.approvalStatus,
+          rating: driverProfile.rating,
+        }
+      : null,
+    // Admins must enroll in 2FA before admin routes are accessible
+    twoFactorSetupRequired: isTwoFactorRequired(user) && !user.twoFactor.enabled,
+    token,
+    refreshToken,
+  });
+};
+
 /**
  * @desc    Login user (passenger or driver)
  * @route   POST /api/auth/login
@@ -189,18 +359,39 @@ export const login = async (req, res) => {
 
     const { email, password } = req.body;
 
+    // Check lockout (per IP and per account)
+    const attemptKeys = getAttemptKeys("login", req, email);
+    const { locked, retryAfter } = await checkLockout(attemptKeys);
+    if (locked) {
+      return sendLockedOut(res, retryAfter);
+    }
+
     // Find user by email
     const user = await User.findOne({ email: email.toLowerCase() });
     if (!user) {
+      await recordFailure(attemptKeys);
       return res.status(401).json({ message: "Invalid email or password" });
     }
 
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordFailure(attemptKeys);
       return res.status(401).json({ message: "Invalid email or password" });
     }
 
+    await clearAttempts(attemptKeys);
+
+    // Check if account is suspended
+    if (user.isSuspended()) {
+      return res.status(403).json({
+        message: "Your account has been suspended",
+        suspended: true,
+        reason: user.suspension.reason,
+        suspendedUntil: user.suspension.expiresAt,
+      });
+    }
+
     // Check if email is verified
     if (!user.isVerified) {
       return res.status(403).json({
@@ -210,41 +401,118 @@ export const login = async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id, user.roles);
-
-    // Get driver profile if user is a driver
-    let driverProfile = null;
-    if (user.roles.includes("driver")) {
-      driverProfile = await DriverProfile.findOne({ user: user._id });
+    // Second step required - don't issue tokens yet
+    if (user.twoFactor.enabled) {
+      return res.status(200).json({
+        message: "Two-factor authentication code required",
+        requiresTwoFactor: true,
+        challengeToken: generateChallengeToken(user._id),
+      });
     }
 
-    res.status(200).json({
-      message: "Login successful",
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        roles: user.roles,
-        profilePicture: user.profilePicture,
-      },
-      driverProfile: driverProfile
-        ? {
-            id: driverProfile._id,
-            vehicleInfo: driverProfile.vehicleInfo,
-            isApproved: driverProfile.isApproved,
-            rating: driverProfile.rating,
-          }
-        : null,
-      token,
-    });
+    await sendLoginResponse(user, req, res);
   } catch (error) {
     console.error("Login error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
+/**
+ * @desc    Complete login with a TOTP or recovery code
+ * @route   POST /api/auth/login/2fa
+ * @access  Public (requires challenge token from login)
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body ?? {};
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({ message: "Challenge token and code are required" });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({ message: "Invalid or expired challenge token" });
+    }
+
+    if (decoded.purpose !== "2fa") {
+      return res.status(401).json({ message: "Invalid or expired challenge token" });
+    }
+
+    const user = await User.findById(decoded.id).select(
+      "+twoFactor.secret +twoFactor.recoveryCodes"
+    );
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: "Invalid or expired challenge token" });
+    }
+
+    // Check lockout (per IP and per account)
+    const attemptKeys = getAttemptKeys("login-2fa", req, user._id);
+    const { locked, retryAfter } = await checkLockout(attemptKeys);
+    if (locked) {
+      return sendLockedOut(res, retryAfter);
+    }
+
+    const { isValid, usedRecoveryCode } = verifySecondFactor(user, code);
+    if (!isValid) {
+      await recordFailure(attemptKeys);
+      return res.status(401).json({ message: "Invalid authentication code" });
+    }
+
+    await clearAttempts(attemptKeys);
+
+    if (usedRecoveryCode) {
+      await user.save();
+    }
+
+    await sendLoginResponse(user, req, res);
+  } catch (error) {
+    console.error("Verify two-factor login error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Helper function to format the full profile of the current user
+ */
+const formatProfile = (user, driverProfile) => ({
+  user: {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    pendingEmail: user.pendingEmail,
+    phone: user.phone,
+    roles: user.roles,
+    activeRole: user.getActiveRole(),
+    profilePicture: user.profilePicture,
+    isVerified: user.isVerified,
+    isPhoneVerified: user.isPhoneVerified,
+    twoFactorEnabled: user.twoFactor.enabled,
+    twoFactorRequired: isTwoFactorRequired(user),
+    createdAt: user.createdAt,
+  },
+  driverProfile: driverProfile
+    ? {
+        id: driverProfile._id,
+        cnic: driverProfile.cnic,
+        drivingLicense: driverProfile.drivingLicense,
+        gender: driverProfile.gender,
+        vehicleInfo: driverProfile.vehicleInfo,
+        isApproved: driverProfile.isApproved,
+        approvalStatus: driverProfile.approvalStatus,
+        rejectionReason: driverProfile.approval?.rejectionReason || null,
+        documentExpiry: driverProfile.documentExpiry,
+        expiredDocuments: driverProfile.getExpiredDocuments(),
+        isAvailable: driverProfile.isAvailable,
+        rating: driverProfile.rating,
+        totalRides: driverProfile.totalRides,
+        totalEarnings: driverProfile.totalEarnings,
+      }
+    : null,
+});
+
 /**
  * @desc    Get current user profile
  * @route   GET /api/auth/me
@@ -264,32 +532,7 @@ export const getMe = async (req, res) => {
       driverProfile = await DriverProfile.findOne({ user: user._id });
     }
 
-    res.status(200).json({
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        roles: user.roles,
-        profilePicture: user.profilePicture,
-        isVerified: user.isVerified,
-        createdAt: user.createdAt,
-      },
-      driverProfile: driverProfile
-        ? {
-            id: driverProfile._id,
-            cnic: driverProfile.cnic,
-            drivingLicense: driverProfile.drivingLicense,
-            gender: driverProfile.gender,
-            vehicleInfo: driverProfile.vehicleInfo,
-            isApproved: driverProfile.isApproved,
-            isAvailable: driverProfile.isAvailable,
-            rating: driverProfile.rating,
-            totalRides: driverProfile.totalRides,
-            totalEarnings: driverProfile.totalEarnings,
-          }
-        : null,
-    });
+    res.status(200).json(formatProfile(user, driverProfile));
   } catch (error) {
     console.error("Get me error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
@@ -309,24 +552,32 @@ export const verifyEmail = async (req, res) => {
       return res.status(400).json({ message: "Email and verification code are required" });
     }
 
-    const user = await User.findOne({
-      email: email.toLowerCase(),
-      verificationCode: code,
-      verificationCodeExpires: { $gt: Date.now() },
-    });
+    // Check lockout
+    const attemptKeys = getAttemptKeys("verify-email", req, email);
+    const { locked, retryAfter } = await checkLockout(attemptKeys);
+    if (locked) {
+      return sendLockedOut(res, retryAfter);
+    }
 
-    if (!user) {
-      return res.status(400).json({ message: "Invalid or expired verification code" });
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    const codeError = await checkUserCode(user, CODE_FIELDS.verification, code, "verification code");
+    if (codeError) {
+      await recordFailure(attemptKeys);
+      return res.status(400).json({ message: codeError });
     }
 
+    await clearAttempts(attemptKeys);
+
     // Mark user as verified
     user.isVerified = true;
     user.verificationCode = null;
     user.verificationCodeExpires = null;
+    user.verificationCodeAttempts = 0;
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id, user.roles);
+    // Start session and generate tokens
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(200).json({
       message: "Email verified successfully",
@@ -338,6 +589,7 @@ export const verifyEmail = async (req, res) => {
         isVerified: user.isVerified,
       },
       token,
+      refreshToken,
     });
   } catch (error) {
     console.error("Verify email error:", error);
@@ -370,8 +622,9 @@ export const resendVerification = async (req, res) => {
 
     // Generate new verification code
     const verificationCode = generateVerificationCode();
-    user.verificationCode = verificationCode;
+    user.verificationCode = hashVerificationCode(verificationCode);
     user.verificationCodeExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+    user.verificationCodeAttempts = 0;
     await user.save();
 
     // Send verification email
@@ -410,8 +663,9 @@ export const forgotPassword = async (req, res) => {
 
     // Generate reset code
     const resetCode = generateVerificationCode();
-    user.resetPasswordCode = resetCode;
+    user.resetPasswordCode = hashVerificationCode(resetCode);
     user.resetPasswordExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+    user.resetPasswordAttempts = 0;
     await user.save();
 
     // Send password reset email
@@ -447,22 +701,36 @@ export const resetPassword = async (req, res) => {
       });
     }
 
-    const user = await User.findOne({
-      email: email.toLowerCase(),
-      resetPasswordCode: code,
-      resetPasswordExpires: { $gt: Date.now() },
-    });
+    // Check lockout
+    const attemptKeys = getAttemptKeys("reset-password", req, email);
+    const { locked, retryAfter } = await checkLockout(attemptKeys);
+    if (locked) {
+      return sendLockedOut(res, retryAfter);
+    }
 
-    if (!user) {
-      return res.status(400).json({ message: "Invalid or expired reset code" });
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    const codeError = await checkUserCode(user, CODE_FIELDS.reset, code, "reset code");
+    if (codeError) {
+      await recordFailure(attemptKeys);
+      return res.status(400).json({ message: codeError });
     }
 
+    await clearAttempts(attemptKeys);
+
     // Update password
     user.password = newPassword;
     user.resetPasswordCode = null;
     user.resetPasswordExpires = null;
+    user.resetPasswordAttempts = 0;
     await user.save();
 
+    // A successful reset also lifts the login lockout
+    await clearAttempts(getAttemptKeys("login", req, user.email));
+
+    // Log out every device that was using the old password
+    await revokeAllSessions(user._id, "password-reset");
+
     res.status(200).json({
       message: "Password reset successfully. You can now login with your new password.",
     });
@@ -471,3 +739,724 @@ export const resetPassword = async (req, res) => {
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
+
+// ==================== PROFILE FUNCTIONS ====================
+
+/**
+ * @desc    Update current user profile (and vehicle info for drivers)
+ * @route   PATCH /api/auth/me
+ * @access  Private
+ */
+export const updateMe = async (req, res) => {
+  try {
+    const body = req.body ?? {};
+
+    // Validate input
+    const { isValid, errors } = validateProfileUpdate(body);
+    if (!isValid) {
+      return res.status(400).json({ errors });
+    }
+
+    const { name, phone, profilePicture, vehicleInfo } = body;
+
+    const user = await User.findById(req.user._id).select("-password");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // Vehicle info can only be updated by drivers
+    let driverProfile = null;
+    if (user.roles.includes("driver")) {
+      driverProfile = await DriverProfile.findOne({ user: user._id });
+    }
+
+    if (vehicleInfo !== undefined) {
+      if (!driverProfile) {
+        return res.status(403).json({ message: "Only drivers can update vehicle information" });
+      }
+
+      // Check if vehicle plate already registered by another driver or vehicle
+      const previousPlate = driverProfile.vehicleInfo.vehiclePlate;
+      if (
+        vehicleInfo.vehiclePlate !== previousPlate &&
+        (await isPlateTaken(vehicleInfo.vehiclePlate, user._id))
+      ) {
+        return res.status(400).json({ message: "Vehicle plate already registered" });
+      }
+
+      // A different vehicle has to be reviewed again
+      if (
+        driverProfile.approvalStatus === "approved" &&
+        vehicleInfo.vehiclePlate !== driverProfile.vehicleInfo.vehiclePlate
+      ) {
+        driverProfile.approvalStatus = "pending";
+        driverProfile.approval = { submittedAt: new Date() };
+      }
+
+      driverProfile.vehicleInfo = {
+        vehicleType: vehicleInfo.vehicleType,
+        vehicleModel: vehicleInfo.vehicleModel,
+        vehicleColor: vehicleInfo.vehicleColor,
+        vehiclePlate: vehicleInfo.vehiclePlate,
+      };
+      await driverProfile.save();
+      await syncRegistrationVehicle(driverProfile, previousPlate);
+    }
+
+    if (name !== undefined) user.name = name;
+    if (phone !== undefined && phone !== user.phone) {
+      // New number must be verified again
+      user.phone = phone;
+      user.isPhoneVerified = false;
+      user.phoneVerificationCode = null;
+      user.phoneVerificationExpires = null;
+    }
+    if (profilePicture !== undefined) user.profilePicture = profilePicture;
+    await user.save();
+
+    res.status(200).json({
+      message: "Profile updated successfully",
+      ...formatProfile(user, driverProfile),
+    });
+  } catch (error) {
+    console.error("Update me error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Change password (requires current password)
+ * @route   POST /api/auth/change-password
+ * @access  Private
+ */
+export const changePassword = async (req, res) => {
+  try {
+    const body = req.body ?? {};
+
+    // Validate input
+    const { isValid, errors } = validatePasswordChange(body);
+    if (!isValid) {
+      return res.status(400).json({ errors });
+    }
+
+    const { currentPassword, newPassword } = body;
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({ message: "Current password is incorrect" });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Log out other devices, keep the current one signed in
+    await revokeAllSessions(user._id, "password-change", req.sessionId);
+
+    res.status(200).json({ message: "Password changed successfully" });
+  } catch (error) {
+    console.error("Change password error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Request email change - send verification code to the new address
+ * @route   POST /api/auth/change-email
+ * @access  Private
+ */
+export const requestEmailChange = async (req, res) => {
+  try {
+    const body = req.body ?? {};
+
+    // Validate input
+    const { isValid, errors } = validateEmailChange(body);
+    if (!isValid) {
+      return res.status(400).json({ errors });
+    }
+
+    const { newEmail, password } = body;
+    const email = newEmail.toLowerCase();
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return res.status(401).json({ message: "Incorrect password" });
+    }
+
+    if (email === user.email) {
+      return res.status(400).json({ message: "New email must be different from the current email" });
+    }
+
+    // Check if email already taken
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({ message: "User already exists with this email" });
+    }
+
+    const verificationCode = generateVerificationCode();
+    user.pendingEmail = email;
+    user.emailChangeCode = hashVerificationCode(verificationCode);
+    user.emailChangeExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+    user.emailChangeAttempts = 0;
+    await user.save();
+
+    // Send verification email to the new address
+    await sendVerificationEmail(email, verificationCode, user.name);
+
+    res.status(200).json({
+      message: "Verification code sent to your new email address",
+      pendingEmail: email,
+    });
+  } catch (error) {
+    console.error("Request email change error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Confirm email change with code sent to the new address
+ * @route   POST /api/auth/change-email/verify
+ * @access  Private
+ */
+export const verifyEmailChange = async (req, res) => {
+  try {
+    const { code } = req.body ?? {};
+
+    if (!code) {
+      return res.status(400).json({ message: "Verification code is required" });
+    }
+
+    const user = await User.findById(req.user._id).select("-password");
+
+    const codeError = user?.pendingEmail
+      ? await checkUserCode(user, CODE_FIELDS.emailChange, code, "verification code")
+      : "Invalid or expired verification code";
+    if (codeError) {
+      return res.status(400).json({ message: codeError });
+    }
+
+    // Email may have been taken since the code was sent
+    const existingUser = await User.findOne({ email: user.pendingEmail });
+    if (existingUser) {
+      return res.status(400).json({ message: "User already exists with this email" });
+    }
+
+    user.email = user.pendingEmail;
+    user.pendingEmail = null;
+    user.emailChangeCode = null;
+    user.emailChangeExpires = null;
+    user.emailChangeAttempts = 0;
+    await user.save();
+
+    res.status(200).json({
+      message: "Email changed successfully",
+      email: user.email,
+    });
+  } catch (error) {
+    console.error("Verify email change error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// ==================== ROLE FUNCTIONS ====================
+
+/**
+ * @desc    Add a driver profile and role to the current account
+ * @route   POST /api/auth/become-driver
+ * @access  Private
+ */
+export const becomeDriver = async (req, res) => {
+  try {
+    const body = req.body ?? {};
+
+    // Validate driver-specific input
+    const { isValid, errors } = validateDriverDetails(body);
+    if (!isValid) {
+      return res.status(400).json({ errors });
+    }
+
+    const { cnic, drivingLicense, gender, vehicleInfo } = body;
+
+    const user = await User.findById(req.user._id).select("-password");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // Check if user already has a driver profile
+    const existingProfile = await DriverProfile.findOne({ user: user._id });
+    if (user.roles.includes("driver") || existingProfile) {
+      return res.status(400).json({ message: "You are already registered as a driver" });
+    }
+
+    // Check if CNIC already registered
+    const existingCnic = await DriverProfile.findOne({ cnic });
+    if (existingCnic) {
+      return res.status(400).json({ message: "CNIC already registered" });
+    }
+
+    // Check if vehicle plate already registered
+    if (await isPlateTaken(vehicleInfo.vehiclePlate, user._id)) {
+      return res.status(400).json({ message: "Vehicle plate already registered" });
+    }
+
+    // Create driver profile
+    const driverProfile = await DriverProfile.create({
+      user: user._id,
+      cnic,
+      drivingLicense,
+      gender: gender.toLowerCase(),
+      vehicleInfo,
+    });
+    await ensureDefaultVehicle(driverProfile);
+
+    // Add driver role and switch to it
+    user.roles.push("driver");
+    user.activeRole = "driver";
+    await user.save();
+
+    res.status(201).json({
+      message: "Driver profile added successfully. It will be reviewed by an admin before you can post rides.",
+      ...formatProfile(user, driverProfile),
+    });
+  } catch (error) {
+    console.error("Become driver error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Resubmit a rejected driver application (optionally with corrected details)
+ * @route   POST /api/auth/driver-application/resubmit
+ * @access  Private (Driver only)
+ */
+export const resubmitDriverApplication = async (req, res) => {
+  try {
+    const driverProfile = await DriverProfile.findOne({ user: req.user._id });
+    if (!driverProfile) {
+      return res.status(404).json({ message: "Driver profile not found" });
+    }
+
+    if (driverProfile.approvalStatus !== "rejected") {
+      return res.status(400).json({
+        message: `Only rejected applications can be resubmitted (yours is ${driverProfile.approvalStatus})`,
+      });
+    }
+
+    // Missing fields keep their current values
+    const body = req.body ?? {};
+    const details = {
+      cnic: body.cnic ?? driverProfile.cnic,
+      drivingLicense: body.drivingLicense ?? driverProfile.drivingLicense,
+      gender: body.gender ?? driverProfile.gender,
+      vehicleInfo: body.vehicleInfo ?? driverProfile.vehicleInfo.toObject(),
+    };
+
+    const { isValid, errors } = validateDriverDetails(details);
+    if (!isValid) {
+      return res.status(400).json({ errors });
+    }
+
+    // Check if CNIC already registered by another driver
+    const existingCnic = await DriverProfile.findOne({
+      cnic: details.cnic,
+      _id: { $ne: driverProfile._id },
+    });
+    if (existingCnic) {
+      return res.status(400).json({ message: "CNIC already registered" });
+    }
+
+    // Check if vehicle plate already registered by another driver or vehicle
+    const previousPlate = driverProfile.vehicleInfo.vehiclePlate;
+    if (
+      details.vehicleInfo.vehiclePlate !== previousPlate &&
+      (await isPlateTaken(details.vehicleInfo.vehiclePlate, req.user._id))
+    ) {
+      return res.status(400).json({ message: "Vehicle plate already registered" });
+    }
+
+    driverProfile.cnic = details.cnic;
+    driverProfile.drivingLicense = details.drivingLicense;
+    driverProfile.gender = details.gender.toLowerCase();
+    driverProfile.vehicleInfo = {
+      vehicleType: details.vehicleInfo.vehicleType,
+      vehicleModel: details.vehicleInfo.vehicleModel,
+      vehicleColor: details.vehicleInfo.vehicleColor,
+      vehiclePlate: details.vehicleInfo.vehiclePlate,
+    };
+
+    // Back into the review queue
+    driverProfile.approvalStatus = "pending";
+    driverProfile.approval = { submittedAt: new Date() };
+    await driverProfile.save();
+    await syncRegistrationVehicle(driverProfile, previousPlate);
+
+    const user = await User.findById(req.user._id).select("-password");
+
+    res.status(200).json({
+      message: "Driver application resubmitted for review",
+      ...formatProfile(user, driverProfile),
+    });
+  } catch (error) {
+    console.error("Resubmit driver application error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Switch the role the client is acting as
+ * @route   PATCH /api/auth/active-role
+ * @access  Private
+ */
+export const switchActiveRole = async (req, res) => {
+  try {
+    const { role } = req.body ?? {};
+
+    if (!role) {
+      return res.status(400).json({ message: "Role is required" });
+    }
+
+    const user = await User.findById(req.user._id).select("-password");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.roles.includes(role)) {
+      return res.status(403).json({ message: `You don't have the '${role}' role` });
+    }
+
+    user.activeRole = role;
+    await user.save();
+
+    res.status(200).json({
+      message: `Switched to ${role}`,
+      activeRole: user.activeRole,
+      roles: user.roles,
+    });
+  } catch (error) {
+    console.error("Switch active role error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// ==================== PHONE VERIFICATION FUNCTIONS ====================
+
+/**
+ * @desc    Verify phone number with SMS code
+ * @route   POST /api/auth/verify-phone
+ * @access  Private
+ */
+export const verifyPhone = async (req, res) => {
+  try {
+    const { code } = req.body ?? {};
+
+    if (!code) {
+      return res.status(400).json({ message: "Verification code is required" });
+    }
+
+    const user = await User.findById(req.user._id).select("-password");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.isPhoneVerified) {
+      return res.status(400).json({ message: "Phone number is already verified" });
+    }
+
+    // Check lockout
+    const attemptKeys = getAttemptKeys("verify-phone", req, user._id);
+    const { locked, retryAfter } = await checkLockout(attemptKeys);
+    if (locked) {
+      return sendLockedOut(res, retryAfter);
+    }
+
+    const codeError = await checkUserCode(user, CODE_FIELDS.phone, code, "verification code");
+    if (codeError) {
+      await recordFailure(attemptKeys);
+      return res.status(400).json({ message: codeError });
+    }
+
+    await clearAttempts(attemptKeys);
+
+    user.isPhoneVerified = true;
+    user.phoneVerificationCode = null;
+    user.phoneVerificationExpires = null;
+    user.phoneVerificationAttempts = 0;
+    await user.save();
+
+    res.status(200).json({
+      message: "Phone number verified successfully",
+      phone: user.phone,
+      isPhoneVerified: user.isPhoneVerified,
+    });
+  } catch (error) {
+    console.error("Verify phone error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Send (or resend) phone verification code
+ * @route   POST /api/auth/resend-phone-code
+ * @access  Private
+ */
+export const resendPhoneCode = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("-password");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.isPhoneVerified) {
+      return res.status(400).json({ message: "Phone number is already verified" });
+    }
+
+    // Limit how often SMS can be sent
+    if (
+      user.phoneVerificationSentAt &&
+      Date.now() - user.phoneVerificationSentAt.getTime() < PHONE_CODE_COOLDOWN_MS
+    ) {
+      const retryAfter = Math.ceil(
+        (PHONE_CODE_COOLDOWN_MS - (Date.now() - user.phoneVerificationSentAt.getTime())) / 1000
+      );
+      return res.status(429).json({
+        message: `Please wait ${retryAfter} seconds before requesting a new code`,
+        retryAfter,
+      });
+    }
+
+    await sendPhoneCode(user);
+    await user.save();
+
+    res.status(200).json({
+      message: "Verification code sent to your phone",
+    });
+  } catch (error) {
+    console.error("Resend phone code error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Accept an admin invite with the emailed code
+ * @route   POST /api/auth/accept-admin-invite
+ * @access  Private
+ */
+export const acceptAdminInvite = async (req, res) => {
+  try {
+    const { code } = req.body ?? {};
+
+    if (!code || typeof code !== "string") {
+      return res.status(400).json({ message: "Invite code is required" });
+    }
+
+    // Check lockout
+    const attemptKeys = getAttemptKeys("admin-invite", req, req.user._id);
+    const { locked, retryAfter } = await checkLockout(attemptKeys);
+    if (locked) {
+      return sendLockedOut(res, retryAfter);
+    }
+
+    // Invites are bound to the email they were sent to
+    const invites = await AdminInvite.find({
+      email: req.user.email,
+      usedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+
+    const invite = invites.find((i) =>
+      compareVerificationCode(code.toUpperCase(), i.codeHash)
+    );
+    if (!invite) {
+      await recordFailure(attemptKeys);
+      return res.status(400).json({ message: "Invalid or expired invite code" });
+    }
+
+    await clearAttempts(attemptKeys);
+
+    const user = await User.findById(req.user._id).select("-password");
+    if (!user.roles.includes("admin")) {
+      user.roles.push("admin");
+    }
+    // Invite proves ownership of the email
+    user.isVerified = true;
+    await user.save();
+
+    invite.usedAt = new Date();
+    invite.usedBy = user._id;
+    await invite.save();
+
+    res.status(200).json({
+      message: "Admin invite accepted. Enable two-factor authentication to access admin pages.",
+      roles: user.roles,
+      twoFactorSetupRequired: isTwoFactorRequired(user) && !user.twoFactor.enabled,
+    });
+  } catch (error) {
+    console.error("Accept admin invite error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Delete account (anonymized after a grace period, login restores it)
+ * @route   DELETE /api/auth/me
+ * @access  Private
+ */
+export const deleteMe = async (req, res) => {
+  try {
+    const { password } = req.body ?? {};
+
+    if (!password) {
+      return res.status(400).json({ message: "Password is required" });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return res.status(401).json({ message: "Incorrect password" });
+    }
+
+    // Can't leave in the middle of a trip or with rides other people booked
+    const blockers = await getDeletionBlockers(user._id);
+    if (blockers.activeBookings || blockers.activeDriverBookings || blockers.scheduledRides) {
+      return res.status(400).json({
+        message: "Complete or cancel your active bookings and scheduled rides before deleting your account",
+        ...blockers,
+      });
+    }
+
+    await cancelPendingBookings(user._id);
+
+    const graceDays = getDeletionGraceDays();
+    user.deletion = {
+      requestedAt: new Date(),
+      scheduledFor: new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000),
+      anonymizedAt: null,
+    };
+    await user.save();
+
+    // Log out everywhere
+    await revokeAllSessions(user._id, "logout");
+
+    res.status(200).json({
+      message: `Your account will be deleted in ${graceDays} days. Log in before then to restore it.`,
+      scheduledFor: user.deletion.scheduledFor,
+    });
+  } catch (error) {
+    console.error("Delete me error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// ==================== SESSION FUNCTIONS ====================
+
+/**
+ * @desc    Exchange refresh token for a new access/refresh token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+export const refreshAccessToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body ?? {};
+
+    if (!refreshToken || typeof refreshToken !== "string") {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    const result = await rotateSession(refreshToken, req);
+    if (!result) {
+      return res.status(401).json({ message: "Invalid or expired refresh token" });
+    }
+
+    res.status(200).json({
+      token: result.token,
+      refreshToken: result.refreshToken,
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Logout - revoke the current session
+ * @route   POST /api/auth/logout
+ * @access  Private
+ */
+export const logout = async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, req.user._id, "logout");
+
+    res.status(200).json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Get active sessions (logged in devices)
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+
+    res.status(200).json({
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        lastSeenAt: session.lastSeenAt,
+        createdAt: session.createdAt,
+        isCurrent: session._id.toString() === req.sessionId.toString(),
+      })),
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Revoke a session (log out a device)
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+export const deleteSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    const revoked = await revokeSession(id, req.user._id, "revoked");
+    if (!revoked) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    res.status(200).json({ message: "Session revoked successfully" });
+  } catch (error) {
+    console.error("Delete session error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
@@ -1,11 +1,22 @@
-import Booking from "../models/Booking.js";
-import Ride from "../models/Ride.js";
+import Booking, { ACTIVE_BOOKING_STATUSES, SEAT_RELEASED_STATUSES } from "../models/Booking.js";
+import Ride, { getDeparture } from "../models/Ride.js";
+import WaitlistEntry from "../models/WaitlistEntry.js";
 import DriverProfile from "../models/DriverProfile.js";
+import { LOCATION_STALE_MS } from "../utils/locationService.js";
+import {
+  parseSegment,
+  getAvailableSeatsBetween,
+  bookSegment,
+  releaseBooking,
+} from "../utils/segmentService.js";
+import { promoteWaitlist, getWaitlistPosition } from "../utils/waitlistService.js";
 
 // ==================== PASSENGER FUNCTIONS ====================
 
 /**
  * @desc    Book a ride (Passenger)
+ *          Optional fromStop/toStop book part of the route: 0 is the origin,
+ *          1..n the stops and n + 1 the destination (default: whole trip)
  * @route   POST /api/bookings
  * @access  Private (Passenger only)
  */
@@ -18,6 +29,8 @@ export const bookRide = async (req, res) => {
       dropoffLocation,
       passengerNote,
       paymentMethod,
+      fromStop,
+      toStop,
     } = req.body;
 
     // Validate required fields
@@ -27,12 +40,6 @@ export const bookRide = async (req, res) => {
     if (!seatsBooked || seatsBooked < 1) {
       return res.status(400).json({ message: "At least 1 seat must be booked" });
     }
-    if (!pickupLocation?.address) {
-      return res.status(400).json({ message: "Pickup location is required" });
-    }
-    if (!dropoffLocation?.address) {
-      return res.status(400).json({ message: "Dropoff location is required" });
-    }
 
     // Find the ride
     const ride = await Ride.findById(rideId);
@@ -45,10 +52,28 @@ export const bookRide = async (req, res) => {
       return res.status(400).json({ message: "This ride is no longer available for booking" });
     }
 
-    // Check available seats
-    if (ride.availableSeats < seatsBooked) {
+    // Driver has an expired license, registration or insurance
+    if (ride.documentsExpired) {
       return res.status(400).json({
-        message: `Only ${ride.availableSeats} seats available`,
+        message: "This ride is on hold until the driver renews their documents",
+      });
+    }
+
+    // Segment of the route (route point indexes)
+    const segment = parseSegment(ride, fromStop, toStop);
+    if (!segment) {
+      return res.status(400).json({
+        message: `fromStop and toStop must be route points between 0 and ${ride.stops.length + 1}, with fromStop before toStop`,
+      });
+    }
+    const { from, to } = segment;
+
+    // Check available seats on every leg of the segment
+    const availableSeats = getAvailableSeatsBetween(ride, from, to);
+    if (availableSeats < seatsBooked) {
+      return res.status(400).json({
+        message: `Only ${availableSeats} seats available`,
+        canJoinWaitlist: true,
       });
     }
 
@@ -56,7 +81,7 @@ export const bookRide = async (req, res) => {
     const existingBooking = await Booking.findOne({
       ride: rideId,
       passenger: req.user._id,
-      status: { $nin: ["cancelled", "rejected"] },
+      status: { $nin: SEAT_RELEASED_STATUSES },
     });
     if (existingBooking) {
       return res.status(400).json({ message: "You have already booked this ride" });
@@ -67,29 +92,35 @@ export const bookRide = async (req, res) => {
       return res.status(400).json({ message: "You cannot book your own ride" });
     }
 
-    // Create booking
-    const booking = await Booking.create({
-      ride: rideId,
-      passenger: req.user._id,
-      seatsBooked,
-      pickupLocation,
-      dropoffLocation,
-      farePerSeat: ride.farePerSeat,
-      totalFare: seatsBooked * ride.farePerSeat,
-      passengerNote,
-      paymentMethod: paymentMethod || "cash",
-    });
-
-    // Update available seats in ride
-    ride.availableSeats -= seatsBooked;
-    ride.passengers.push(booking._id);
-    await ride.save();
+    // Create booking and take the seats (both checks above can race with
+    // other requests, so the seats and duplicates are checked again here)
+    let booking;
+    try {
+      booking = await bookSegment(ride, {
+        passenger: req.user._id,
+        seatsBooked,
+        from,
+        to,
+        pickupLocation,
+        dropoffLocation,
+        passengerNote,
+        paymentMethod,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({ message: "You have already booked this ride" });
+      }
+      throw error;
+    }
+    if (!booking) {
+      return res.status(400).json({ message: "Not enough seats available" });
+    }
 
     // Populate booking details
     const populatedBooking = await Booking.findById(booking._id)
       .populate({
         path: "ride",
-        select: "origin destination departureDate departureTime farePerSeat",
+        select: "origin destination stops departureDate departureTime farePerSeat",
         populate: {
           path: "driver",
           select: "name phone profilePicture",
@@ -198,7 +229,7 @@ export const getBookingDetails = async (req, res) => {
 export const cancelBooking = async (req, res) => {
   try {
     const { id } = req.params;
-    const { reason } = req.body;
+    const { reason } = req.body ?? {};
 
     const booking = await Booking.findOne({
       _id: id,
@@ -216,22 +247,25 @@ export const cancelBooking = async (req, res) => {
       });
     }
 
-    // Update booking
-    booking.status = "cancelled";
-    booking.cancelledBy = "passenger";
-    booking.cancellationReason = reason;
-    booking.cancelledAt = new Date();
-    await booking.save();
-
-    // Restore seats to ride
-    await Ride.findByIdAndUpdate(booking.ride, {
-      $inc: { availableSeats: booking.seatsBooked },
-      $pull: { passengers: booking._id },
+    // Update booking and restore seats to ride
+    const cancelledBooking = await releaseBooking(booking, ["pending", "confirmed"], {
+      status: "cancelled",
+      cancelledBy: "passenger",
+      cancellationReason: reason,
+      cancelledAt: new Date(),
     });
+    if (!cancelledBooking) {
+      return res.status(400).json({
+        message: "Cannot cancel booking in current status",
+      });
+    }
+
+    // Offer the seats to the waitlist
+    await promoteWaitlist(booking.ride);
 
     res.status(200).json({
       message: "Booking cancelled successfully",
-      booking,
+      booking: cancelledBooking,
     });
   } catch (error) {
     console.error("Cancel booking error:", error);
@@ -239,6 +273,206 @@ export const cancelBooking = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get the driver's live location for a confirmed/active booking (Passenger)
+ * @route   GET /api/bookings/:id/driver-location
+ * @access  Private (Passenger only)
+ */
+export const getDriverLocation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const booking = await Booking.findOne({
+      _id: id,
+      passenger: req.user._id,
+    }).populate({
+      path: "ride",
+      select: "driverProfile",
+      populate: { path: "driverProfile", select: "currentLocation locationUpdatedAt" },
+    });
+
+    if (!booking) {
+      return res.status(404).json({ message: "Booking not found" });
+    }
+
+    if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+      return res.status(400).json({
+        message: "Driver location is only available for confirmed or active bookings",
+      });
+    }
+
+    const driverProfile = booking.ride?.driverProfile;
+    const updatedAt = driverProfile?.locationUpdatedAt;
+    if (!updatedAt) {
+      return res.status(404).json({ message: "Driver hasn't shared a location yet" });
+    }
+
+    res.status(200).json({
+      location: {
+        coordinates: driverProfile.currentLocation.coordinates,
+        updatedAt,
+        isStale: Date.now() - updatedAt.getTime() > LOCATION_STALE_MS,
+      },
+      bookingStatus: booking.status,
+    });
+  } catch (error) {
+    console.error("Get driver location error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// ==================== WAITLIST FUNCTIONS ====================
+
+/**
+ * @desc    Join the waitlist of a full ride (Passenger)
+ *          Same body as booking; a pending booking is made when seats free up
+ * @route   POST /api/bookings/waitlist
+ * @access  Private (Passenger only)
+ */
+export const joinWaitlist = async (req, res) => {
+  try {
+    const {
+      rideId,
+      seatsBooked,
+      pickupLocation,
+      dropoffLocation,
+      passengerNote,
+      paymentMethod,
+      fromStop,
+      toStop,
+    } = req.body ?? {};
+
+    if (!rideId) {
+      return res.status(400).json({ message: "Ride ID is required" });
+    }
+    if (!seatsBooked || seatsBooked < 1) {
+      return res.status(400).json({ message: "At least 1 seat must be booked" });
+    }
+
+    const ride = await Ride.findById(rideId);
+    if (
+      !ride ||
+      ride.status !== "scheduled" ||
+      getDeparture(ride.departureDate, ride.departureTime) <= new Date()
+    ) {
+      return res.status(404).json({ message: "Ride not found" });
+    }
+
+    if (ride.driver.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: "You cannot book your own ride" });
+    }
+
+    if (seatsBooked > ride.totalSeats) {
+      return res.status(400).json({ message: `This ride only has ${ride.totalSeats} seats` });
+    }
+
+    const segment = parseSegment(ride, fromStop, toStop);
+    if (!segment) {
+      return res.status(400).json({
+        message: `fromStop and toStop must be route points between 0 and ${ride.stops.length + 1}, with fromStop before toStop`,
+      });
+    }
+
+    // Only for rides that are actually full
+    if (getAvailableSeatsBetween(ride, segment.from, segment.to) >= seatsBooked) {
+      return res.status(400).json({ message: "Seats are available - book the ride instead" });
+    }
+
+    const [existingBooking, existingEntry] = await Promise.all([
+      Booking.exists({
+        ride: rideId,
+        passenger: req.user._id,
+        status: { $nin: SEAT_RELEASED_STATUSES },
+      }),
+      WaitlistEntry.exists({ ride: rideId, passenger: req.user._id, status: "waiting" }),
+    ]);
+    if (existingBooking) {
+      return res.status(400).json({ message: "You have already booked this ride" });
+    }
+    if (existingEntry) {
+      return res.status(400).json({ message: "You are already on the waitlist for this ride" });
+    }
+
+    const entry = await WaitlistEntry.create({
+      ride: rideId,
+      passenger: req.user._id,
+      seatsRequested: seatsBooked,
+      fromStop: segment.from,
+      toStop: segment.to,
+      pickupLocation,
+      dropoffLocation,
+      paymentMethod: paymentMethod || "cash",
+      passengerNote,
+    });
+
+    res.status(201).json({
+      message: "You've been added to the waitlist. We'll email you if seats open up.",
+      waitlistEntry: entry,
+      position: await getWaitlistPosition(entry),
+    });
+  } catch (error) {
+    console.error("Join waitlist error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Get my waitlist entries (Passenger)
+ * @route   GET /api/bookings/waitlist
+ * @access  Private (Passenger only)
+ */
+export const getMyWaitlist = async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({ passenger: req.user._id, status: "waiting" })
+      .sort({ createdAt: -1 })
+      .populate({
+        path: "ride",
+        select: "origin destination departureDate departureTime status",
+        populate: { path: "driver", select: "name profilePicture" },
+      });
+
+    const waitlist = await Promise.all(
+      entries.map(async (entry) => ({
+        ...entry.toObject(),
+        position: await getWaitlistPosition(entry),
+      }))
+    );
+
+    res.status(200).json({ waitlist });
+  } catch (error) {
+    console.error("Get my waitlist error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Leave a ride's waitlist (Passenger)
+ * @route   DELETE /api/bookings/waitlist/:id
+ * @access  Private (Passenger only)
+ */
+export const leaveWaitlist = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const entry = await WaitlistEntry.findOne({
+      _id: id,
+      passenger: req.user._id,
+      status: "waiting",
+    });
+    if (!entry) {
+      return res.status(404).json({ message: "Waitlist entry not found" });
+    }
+
+    entry.status = "cancelled";
+    await entry.save();
+
+    res.status(200).json({ message: "You've left the waitlist" });
+  } catch (error) {
+    console.error("Leave waitlist error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
 // ==================== DRIVER FUNCTIONS ====================
 
 /**
@@ -263,7 +497,11 @@ export const getRideBookings = async (req, res) => {
       })
       .sort({ createdAt: -1 });
 
-    res.status(200).json({ bookings });
+    const waitlist = await WaitlistEntry.find({ ride: rideId, status: "waiting" })
+      .sort({ createdAt: 1 })
+      .populate("passenger", "name profilePicture");
+
+    res.status(200).json({ bookings, waitlist });
   } catch (error) {
     console.error("Get ride bookings error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
@@ -278,7 +516,7 @@ export const getRideBookings = async (req, res) => {
 export const respondToBooking = async (req, res) => {
   try {
     const { id } = req.params;
-    const { action, driverNote } = req.body; // action: 'confirm' or 'reject'
+    const { action, driverNote } = req.body ?? {}; // action: 'confirm' or 'reject'
 
     if (!["confirm", "reject"].includes(action)) {
       return res.status(400).json({ message: "Invalid action. Use 'confirm' or 'reject'" });
@@ -299,27 +537,42 @@ export const respondToBooking = async (req, res) => {
       return res.status(400).json({ message: "Can only respond to pending bookings" });
     }
 
+    // Expired requests are cleared by the pending-booking-expiry job
+    if (booking.responseDeadline && booking.responseDeadline <= new Date()) {
+      return res.status(400).json({ message: "The time to respond to this booking has passed" });
+    }
+
+    const changes = driverNote ? { driverNote } : {};
+
+    // Only applies if still pending (the passenger may have cancelled meanwhile)
+    let updatedBooking;
     if (action === "confirm") {
-      booking.status = "confirmed";
-      booking.confirmedAt = new Date();
+      updatedBooking = await Booking.findOneAndUpdate(
+        { _id: booking._id, status: "pending" },
+        { ...changes, status: "confirmed", confirmedAt: new Date() },
+        { new: true, runValidators: true }
+      );
     } else {
-      booking.status = "rejected";
       // Restore seats
-      await Ride.findByIdAndUpdate(booking.ride._id, {
-        $inc: { availableSeats: booking.seatsBooked },
-        $pull: { passengers: booking._id },
+      updatedBooking = await releaseBooking(booking, ["pending"], {
+        ...changes,
+        status: "rejected",
       });
     }
+    if (!updatedBooking) {
+      return res.status(400).json({ message: "Can only respond to pending bookings" });
+    }
 
-    if (driverNote) {
-      booking.driverNote = driverNote;
+    // Offer the seats to the waitlist
+    if (action === "reject") {
+      await promoteWaitlist(booking.ride._id);
     }
 
-    await booking.save();
+    await updatedBooking.populate("ride");
 
     res.status(200).json({
       message: `Booking ${action}ed successfully`,
-      booking,
+      booking: updatedBooking,
     });
   } catch (error) {
     console.error("Respond to booking error:", error);
@@ -327,6 +580,61 @@ export const respondToBooking = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Cancel a passenger's booking (Driver)
+ * @route   PATCH /api/bookings/:id/driver-cancel
+ * @access  Private (Driver only)
+ */
+export const driverCancelBooking = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body ?? {};
+
+    const booking = await Booking.findById(id).populate("ride");
+    if (!booking) {
+      return res.status(404).json({ message: "Booking not found" });
+    }
+
+    // Verify driver owns the ride
+    if (booking.ride.driver.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    // Can only cancel pending or confirmed bookings
+    if (!["pending", "confirmed"].includes(booking.status)) {
+      return res.status(400).json({
+        message: "Cannot cancel booking in current status",
+      });
+    }
+
+    // Update booking and restore seats to ride
+    const cancelledBooking = await releaseBooking(booking, ["pending", "confirmed"], {
+      status: "cancelled",
+      cancelledBy: "driver",
+      cancellationReason: reason,
+      cancelledAt: new Date(),
+    });
+    if (!cancelledBooking) {
+      return res.status(400).json({
+        message: "Cannot cancel booking in current status",
+      });
+    }
+
+    // Offer the seats to the waitlist
+    await promoteWaitlist(booking.ride._id);
+
+    await cancelledBooking.populate("ride");
+
+    res.status(200).json({
+      message: "Booking cancelled successfully",
+      booking: cancelledBooking,
+    });
+  } catch (error) {
+    console.error("Driver cancel booking error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
 /**
  * @desc    Update booking status (Driver) - For ride progress tracking
  * @route   PATCH /api/bookings/:id/status
@@ -335,7 +643,7 @@ export const respondToBooking = async (req, res) => {
 export const updateBookingStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status } = req.body ?? {};
 
     const validStatuses = [
       "coming-for-pickup",
@@ -603,12 +911,10 @@ export const getDriverHistory = async (req, res) => {
  */
 export const getActiveBookings = async (req, res) => {
   try {
-    const activeStatuses = ["confirmed", "coming-for-pickup", "picked-up", "in-transit"];
-    
     // For passenger
     const passengerBookings = await Booking.find({
       passenger: req.user._id,
-      status: { $in: activeStatuses },
+      status: { $in: ACTIVE_BOOKING_STATUSES },
     })
       .populate({
         path: "ride",
@@ -626,7 +932,7 @@ export const getActiveBookings = async (req, res) => {
       
       driverBookings = await Booking.find({
         ride: { $in: rideIds },
-        status: { $in: activeStatuses },
+        status: { $in: ACTIVE_BOOKING_STATUSES },
       })
         .populate({
           path: "ride",
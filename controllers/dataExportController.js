@@ -0,0 +1,138 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import DataExport from "../models/DataExport.js";
+import { hashToken } from "../utils/generateToken.js";
+import {
+  EXPORT_TIMEOUT_MS,
+  buildDataExport,
+  cleanupExpiredExports,
+} from "../utils/dataExport.js";
+import { sendDataExportEmail } from "../utils/emailService.js";
+
+// How long download links stay valid
+const EXPORT_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Minimum time between two export requests
+const EXPORT_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @desc    Request a download of all personal data
+ * @route   POST /api/auth/me/export
+ * @access  Private
+ */
+export const requestDataExport = async (req, res) => {
+  try {
+    // Exports are expensive - one per day (an interrupted one can be retried)
+    const recentExport = await DataExport.findOne({
+      user: req.user._id,
+      $or: [
+        { status: "ready", createdAt: { $gt: new Date(Date.now() - EXPORT_COOLDOWN_MS) } },
+        { status: "pending", createdAt: { $gt: new Date(Date.now() - EXPORT_TIMEOUT_MS) } },
+      ],
+    });
+    if (recentExport) {
+      return res.status(429).json({
+        message: "You already requested a data export in the last 24 hours. Check your email.",
+        export: {
+          id: recentExport._id,
+          status: recentExport.status,
+          createdAt: recentExport.createdAt,
+        },
+      });
+    }
+
+    const downloadToken = crypto.randomBytes(32).toString("hex");
+    const dataExport = await DataExport.create({
+      user: req.user._id,
+      downloadTokenHash: hashToken(downloadToken),
+      expiresAt: new Date(Date.now() + EXPORT_EXPIRY_MS),
+    });
+
+    const baseUrl = process.env.API_URL || `${req.protocol}://${req.get("host")}`;
+    const downloadUrl = `${baseUrl}/api/auth/me/export/${dataExport._id}/download?token=${downloadToken}`;
+    const user = req.user;
+
+    // Assemble in the background and email the links when ready
+    setImmediate(async () => {
+      try {
+        await buildDataExport(dataExport);
+        await sendDataExportEmail(
+          user.email,
+          user.name,
+          `${downloadUrl}&format=json`,
+          `${downloadUrl}&format=zip`,
+          dataExport.expiresAt
+        );
+        await cleanupExpiredExports();
+      } catch (error) {
+        console.error("Data export error:", error);
+      }
+    });
+
+    res.status(202).json({
+      message: "Your data export is being prepared. We'll email you a download link when it's ready.",
+      export: {
+        id: dataExport._id,
+        status: dataExport.status,
+        expiresAt: dataExport.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error("Request data export error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Get my data export requests
+ * @route   GET /api/auth/me/exports
+ * @access  Private
+ */
+export const getMyDataExports = async (req, res) => {
+  try {
+    const exports = await DataExport.find({ user: req.user._id })
+      .select("status createdAt completedAt expiresAt")
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    res.status(200).json({ exports });
+  } catch (error) {
+    console.error("Get my data exports error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Download a data export (link from email)
+ * @route   GET /api/auth/me/export/:id/download?token=...&format=json|zip
+ * @access  Public (requires download token)
+ */
+export const downloadDataExport = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { token, format = "json" } = req.query;
+
+    if (typeof token !== "string" || !["json", "zip"].includes(format)) {
+      return res.status(400).json({ message: "Invalid download link" });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: "Export not found or link expired" });
+    }
+
+    const dataExport = await DataExport.findOne({
+      _id: id,
+      downloadTokenHash: hashToken(token),
+    });
+
+    if (!dataExport || dataExport.status !== "ready" || dataExport.expiresAt <= new Date()) {
+      return res.status(404).json({ message: "Export not found or link expired" });
+    }
+
+    const date = dataExport.createdAt.toISOString().slice(0, 10);
+    res.download(dataExport.files[format], `carpooling-data-${date}.${format}`);
+  } catch (error) {
+    console.error("Download data export error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
@@ -0,0 +1,370 @@
+import Vehicle, { VEHICLE_SEATS } from "../models/Vehicle.js";
+import Ride from "../models/Ride.js";
+import RideSeries from "../models/RideSeries.js";
+import DriverProfile from "../models/DriverProfile.js";
+import Booking, { ACTIVE_BOOKING_STATUSES } from "../models/Booking.js";
+import { validateVehicle } from "../utils/validators.js";
+import {
+  isPlateTaken,
+  ensureDefaultVehicle,
+  requestVehicleReview,
+} from "../utils/vehicleService.js";
+import { parseCoordinates, findNearbyDrivers } from "../utils/locationService.js";
+
+// Minimum time between two location pings from the same driver
+const LOCATION_UPDATE_INTERVAL_MS = 5 * 1000;
+
+// Nearby search radius (meters)
+const DEFAULT_NEARBY_RADIUS = 5000;
+const MAX_NEARBY_RADIUS = 50000;
+
+// ==================== VEHICLES ====================
+
+/**
+ * Helper function to make one vehicle the driver's default
+ */
+const makeDefaultVehicle = async (driverId, vehicle) => {
+  await Vehicle.updateMany(
+    { driver: driverId, _id: { $ne: vehicle._id }, isDefault: true },
+    { isDefault: false }
+  );
+  vehicle.isDefault = true;
+  await vehicle.save();
+};
+
+/**
+ * @desc    Get my vehicles
+ * @route   GET /api/drivers/me/vehicles
+ * @access  Private (Driver only)
+ */
+export const getMyVehicles = async (req, res) => {
+  try {
+    const driverProfile = await DriverProfile.findOne({ user: req.user._id });
+    if (!driverProfile) {
+      return res.status(404).json({ message: "Driver profile not found" });
+    }
+
+    // Drivers registered before vehicle lists get their registration vehicle
+    await ensureDefaultVehicle(driverProfile);
+
+    const vehicles = await Vehicle.find({ driver: req.user._id, isActive: true }).sort({
+      isDefault: -1,
+      createdAt: 1,
+    });
+
+    res.status(200).json({ vehicles });
+  } catch (error) {
+    console.error("Get my vehicles error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Add a vehicle
+ * @route   POST /api/drivers/me/vehicles
+ * @access  Private (Driver only)
+ */
+export const addVehicle = async (req, res) => {
+  try {
+    // Validate input
+    const { isValid, errors } = validateVehicle(req.body ?? {});
+    if (!isValid) {
+      return res.status(400).json({ errors });
+    }
+
+    const { vehicleType, vehicleModel, vehicleColor, vehiclePlate, seatCapacity, isDefault } =
+      req.body;
+
+    const driverProfile = await DriverProfile.findOne({ user: req.user._id });
+    if (!driverProfile) {
+      return res.status(404).json({ message: "Driver profile not found" });
+    }
+    await ensureDefaultVehicle(driverProfile);
+
+    if (await isPlateTaken(vehiclePlate, req.user._id)) {
+      return res.status(400).json({ message: "Vehicle plate already registered" });
+    }
+
+    const vehicle = new Vehicle({
+      driver: req.user._id,
+      vehicleType,
+      vehicleModel,
+      vehicleColor,
+      vehiclePlate,
+      seatCapacity: seatCapacity ?? VEHICLE_SEATS[vehicleType].default,
+    });
+    // Reviewed before it can be used for rides
+    requestVehicleReview(vehicle);
+    await vehicle.save();
+
+    if (isDefault === true) {
+      await makeDefaultVehicle(req.user._id, vehicle);
+    }
+
+    res.status(201).json({
+      message: "Vehicle added. You can use it for rides once an admin approves it.",
+      vehicle,
+    });
+  } catch (error) {
+    console.error("Add vehicle error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Update a vehicle
+ * @route   PATCH /api/drivers/me/vehicles/:id
+ * @access  Private (Driver only)
+ */
+export const updateVehicle = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const vehicle = await Vehicle.findOne({ _id: id, driver: req.user._id, isActive: true });
+    if (!vehicle) {
+      return res.status(404).json({ message: "Vehicle not found" });
+    }
+
+    // Missing fields keep their current values
+    const details = {};
+    const fields = ["vehicleType", "vehicleModel", "vehicleColor", "vehiclePlate", "seatCapacity"];
+    for (const field of fields) {
+      details[field] = req.body?.[field] ?? vehicle[field];
+    }
+
+    const { isValid, errors } = validateVehicle(details);
+    if (!isValid) {
+      return res.status(400).json({ errors });
+    }
+
+    if (
+      details.vehiclePlate !== vehicle.vehiclePlate &&
+      (await isPlateTaken(details.vehiclePlate, req.user._id, vehicle._id))
+    ) {
+      return res.status(400).json({ message: "Vehicle plate already registered" });
+    }
+
+    // Scheduled rides and active series must still fit in the vehicle
+    const [oversizedRide, oversizedSeries] = await Promise.all([
+      Ride.exists({
+        vehicle: vehicle._id,
+        status: "scheduled",
+        totalSeats: { $gt: Number(details.seatCapacity) },
+      }),
+      RideSeries.exists({
+        vehicle: vehicle._id,
+        status: "active",
+        totalSeats: { $gt: Number(details.seatCapacity) },
+      }),
+    ]);
+    if (oversizedRide || oversizedSeries) {
+      return res.status(400).json({
+        message: `A scheduled ${oversizedRide ? "ride" : "ride series"} offers more seats than this capacity. Update it first.`,
+      });
+    }
+
+    // A different plate is a different vehicle; a rejected one is fixed and resubmitted
+    const pendingReview =
+      details.vehiclePlate !== vehicle.vehiclePlate || vehicle.approvalStatus === "rejected";
+
+    Object.assign(vehicle, details);
+    if (pendingReview) {
+      requestVehicleReview(vehicle);
+    }
+    await vehicle.save();
+
+    res.status(200).json({
+      message: pendingReview
+        ? "Vehicle updated. You can use it for new rides once an admin approves it."
+        : "Vehicle updated successfully",
+      vehicle,
+    });
+  } catch (error) {
+    console.error("Update vehicle error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Make a vehicle the default for new rides
+ * @route   PATCH /api/drivers/me/vehicles/:id/default
+ * @access  Private (Driver only)
+ */
+export const setDefaultVehicle = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const vehicle = await Vehicle.findOne({ _id: id, driver: req.user._id, isActive: true });
+    if (!vehicle) {
+      return res.status(404).json({ message: "Vehicle not found" });
+    }
+
+    await makeDefaultVehicle(req.user._id, vehicle);
+
+    res.status(200).json({
+      message: "Default vehicle updated",
+      vehicle,
+    });
+  } catch (error) {
+    console.error("Set default vehicle error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Remove a vehicle
+ * @route   DELETE /api/drivers/me/vehicles/:id
+ * @access  Private (Driver only)
+ */
+export const removeVehicle = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const vehicle = await Vehicle.findOne({ _id: id, driver: req.user._id, isActive: true });
+    if (!vehicle) {
+      return res.status(404).json({ message: "Vehicle not found" });
+    }
+
+    const otherVehicles = await Vehicle.find({
+      driver: req.user._id,
+      isActive: true,
+      _id: { $ne: vehicle._id },
+    }).sort({ createdAt: 1 });
+
+    if (otherVehicles.length === 0) {
+      return res.status(400).json({ message: "You need at least one vehicle" });
+    }
+
+    // Can't remove a vehicle that upcoming rides depend on
+    const activeRide = await Ride.exists({
+      vehicle: vehicle._id,
+      status: { $in: ["scheduled", "in-progress"] },
+    });
+    const activeSeries = await RideSeries.exists({ vehicle: vehicle._id, status: "active" });
+    if (activeRide || activeSeries) {
+      return res.status(400).json({
+        message: "This vehicle is used by scheduled rides or a ride series. Change or cancel them first.",
+      });
+    }
+
+    // Kept (inactive) so past rides still show it
+    vehicle.isActive = false;
+    const wasDefault = vehicle.isDefault;
+    vehicle.isDefault = false;
+    await vehicle.save();
+
+    if (wasDefault) {
+      await makeDefaultVehicle(req.user._id, otherVehicles[0]);
+    }
+
+    res.status(200).json({ message: "Vehicle removed successfully" });
+  } catch (error) {
+    console.error("Remove vehicle error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// ==================== LOCATION ====================
+
+/**
+ * @desc    Update my current location (periodic GPS ping)
+ * @route   POST /api/drivers/me/location
+ * @access  Private (Driver only)
+ */
+export const updateMyLocation = async (req, res) => {
+  try {
+    const coordinates = parseCoordinates(req.body?.coordinates);
+    if (!coordinates) {
+      return res.status(400).json({
+        message: "Location coordinates [longitude, latitude] are required",
+      });
+    }
+
+    const driverProfile = await DriverProfile.findOne({ user: req.user._id });
+    if (!driverProfile) {
+      return res.status(404).json({ message: "Driver profile not found" });
+    }
+
+    // Rate limit pings
+    const sinceLastUpdate = Date.now() - (driverProfile.locationUpdatedAt?.getTime() || 0);
+    if (sinceLastUpdate < LOCATION_UPDATE_INTERVAL_MS) {
+      const retryAfter = Math.ceil((LOCATION_UPDATE_INTERVAL_MS - sinceLastUpdate) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        message: "Location updated too recently",
+        retryAfter,
+      });
+    }
+
+    // Only tracked while looking for passengers or driving them
+    if (!driverProfile.isAvailable) {
+      const driverRides = await Ride.find({ driver: req.user._id }).select("_id");
+      const hasActiveBooking = await Booking.exists({
+        ride: { $in: driverRides.map((r) => r._id) },
+        status: { $in: ACTIVE_BOOKING_STATUSES },
+      });
+
+      if (!hasActiveBooking) {
+        return res.status(403).json({
+          message: "Location can only be shared while you are available or on an active trip",
+        });
+      }
+    }
+
+    driverProfile.currentLocation = { type: "Point", coordinates };
+    driverProfile.locationUpdatedAt = new Date();
+    await driverProfile.save();
+
+    res.status(200).json({
+      message: "Location updated",
+      location: {
+        coordinates,
+        updatedAt: driverProfile.locationUpdatedAt,
+      },
+    });
+  } catch (error) {
+    console.error("Update my location error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Find available drivers near a point (Admin)
+ * @route   GET /api/drivers/nearby?lng=&lat=&radius=
+ * @access  Private (Admin only)
+ */
+export const getNearbyDrivers = async (req, res) => {
+  try {
+    const { lng, lat, radius = DEFAULT_NEARBY_RADIUS, limit = 20 } = req.query;
+
+    const coordinates = parseCoordinates([lng, lat]);
+    if (!coordinates) {
+      return res.status(400).json({ message: "Valid lng and lat are required" });
+    }
+
+    const maxDistance = Math.min(Number(radius) || DEFAULT_NEARBY_RADIUS, MAX_NEARBY_RADIUS);
+
+    const driverProfiles = await findNearbyDrivers({
+      coordinates,
+      radius: maxDistance,
+      limit: Math.min(parseInt(limit) || 20, 100),
+    });
+
+    res.status(200).json({
+      drivers: driverProfiles.map((driverProfile) => ({
+        id: driverProfile._id,
+        user: driverProfile.user,
+        vehicleInfo: driverProfile.vehicleInfo,
+        rating: driverProfile.rating,
+        location: {
+          coordinates: driverProfile.currentLocation.coordinates,
+          updatedAt: driverProfile.locationUpdatedAt,
+        },
+      })),
+      radius: maxDistance,
+    });
+  } catch (error) {
+    console.error("Get nearby drivers error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
@@ -1,6 +1,60 @@
 import Ride from "../models/Ride.js";
-import Booking from "../models/Booking.js";
+import Booking, { SEAT_RELEASED_STATUSES } from "../models/Booking.js";
 import DriverProfile from "../models/DriverProfile.js";
+import Vehicle from "../models/Vehicle.js";
+import { cancelRide } from "../utils/rideService.js";
+import { EXPIRING_DOCUMENTS } from "../utils/documentExpiry.js";
+import { ensureDefaultVehicle, getVehicleReviewError } from "../utils/vehicleService.js";
+import { parseCoordinates } from "../utils/locationService.js";
+import {
+  MATCH_WEIGHTS,
+  MAX_RANKED_RIDES,
+  searchRidesNear,
+  searchRidesByCity,
+  buildSearchFilters,
+  rankRides,
+} from "../utils/rideSearch.js";
+import { promoteWaitlist } from "../utils/waitlistService.js";
+import { refreshResponseDeadlines } from "../utils/bookingExpiry.js";
+import {
+  validateStopFares,
+  recalculateSeats,
+  changeTotalSeats,
+} from "../utils/segmentService.js";
+
+// Vehicle fields shown with rides
+const VEHICLE_FIELDS = "vehicleType vehicleModel vehicleColor vehiclePlate seatCapacity";
+
+// Driver and vehicle details shown in search results
+const SEARCH_POPULATE = [
+  { path: "driver", select: "name profilePicture" },
+  { path: "driverProfile", select: "rating totalRides vehicleInfo gender" },
+  { path: "vehicle", select: VEHICLE_FIELDS },
+];
+
+// Geo search radius around pickup/dropoff points (meters)
+const DEFAULT_SEARCH_RADIUS = 3000;
+const MAX_SEARCH_RADIUS = 50000;
+
+/**
+ * Helper function to read a search point (lng, lat, radius) from the query string
+ * @returns {object|null|false} Point, null if not given, false if invalid
+ */
+const parseSearchPoint = (lng, lat, radius) => {
+  if (lng === undefined && lat === undefined) {
+    return null;
+  }
+
+  const coordinates = parseCoordinates([lng, lat]);
+  if (!coordinates) {
+    return false;
+  }
+
+  return {
+    coordinates,
+    radius: Math.min(Number(radius) || DEFAULT_SEARCH_RADIUS, MAX_SEARCH_RADIUS),
+  };
+};
 
 // ==================== DRIVER FUNCTIONS ====================
 
@@ -21,6 +75,7 @@ export const postRide = async (req, res) => {
       farePerSeat,
       preferences,
       description,
+      vehicleId,
     } = req.body;
 
     // Validate required fields
@@ -39,6 +94,13 @@ export const postRide = async (req, res) => {
     if (!farePerSeat || farePerSeat < 0) {
       return res.status(400).json({ message: "Valid fare per seat is required" });
     }
+    if (stops?.some((stop) => !stop?.address || !stop?.city)) {
+      return res.status(400).json({ message: "Each stop needs an address and city" });
+    }
+    const stopFareError = validateStopFares(stops, farePerSeat);
+    if (stopFareError) {
+      return res.status(400).json({ message: stopFareError });
+    }
 
     // Check if departure date is in the future
     const departure = new Date(departureDate);
@@ -54,13 +116,55 @@ export const postRide = async (req, res) => {
 
     // Check if driver is approved
     if (!driverProfile.isApproved) {
-      return res.status(403).json({ message: "Your driver account is pending approval" });
+      return res.status(403).json({
+        message:
+          driverProfile.approvalStatus === "rejected"
+            ? "Your driver application was rejected. Please update your details and resubmit."
+            : "Your driver account is pending approval",
+        approvalStatus: driverProfile.approvalStatus,
+        rejectionReason: driverProfile.approval?.rejectionReason || null,
+      });
+    }
+
+    // Check that license, registration and insurance are still valid
+    const expiredDocuments = driverProfile.getExpiredDocuments();
+    if (expiredDocuments.length > 0) {
+      return res.status(403).json({
+        message: `Expired documents: ${expiredDocuments
+          .map((field) => EXPIRING_DOCUMENTS[field])
+          .join(", ")}. Upload a renewal to post rides.`,
+        expiredDocuments,
+      });
+    }
+
+    // Use the chosen vehicle, or the driver's default
+    const vehicle = vehicleId
+      ? await Vehicle.findOne({ _id: vehicleId, driver: req.user._id, isActive: true })
+      : await ensureDefaultVehicle(driverProfile);
+    if (!vehicle) {
+      return res.status(404).json({ message: "Vehicle not found" });
+    }
+
+    // Vehicles added or re-plated since approval wait for review
+    const vehicleReviewError = getVehicleReviewError(vehicle);
+    if (vehicleReviewError) {
+      return res.status(403).json({
+        message: vehicleReviewError,
+        vehicleApprovalStatus: vehicle.approvalStatus,
+      });
+    }
+
+    if (totalSeats > vehicle.seatCapacity) {
+      return res.status(400).json({
+        message: `Your ${vehicle.vehicleModel} can offer at most ${vehicle.seatCapacity} seat(s)`,
+      });
     }
 
     // Create ride
     const ride = await Ride.create({
       driver: req.user._id,
       driverProfile: driverProfile._id,
+      vehicle: vehicle._id,
       origin,
       destination,
       stops: stops || [],
@@ -101,7 +205,8 @@ export const getMyRides = async (req, res) => {
       .sort({ departureDate: -1 })
       .skip((page - 1) * limit)
       .limit(parseInt(limit))
-      .populate("passengers");
+      .populate("passengers")
+      .populate("vehicle", VEHICLE_FIELDS);
 
     const total = await Ride.countDocuments(query);
 
@@ -139,15 +244,12 @@ export const updateRideStatus = async (req, res) => {
       return res.status(404).json({ message: "Ride not found" });
     }
 
-    ride.status = status;
-    await ride.save();
-
     // If cancelled, update all pending bookings
     if (status === "cancelled") {
-      await Booking.updateMany(
-        { ride: id, status: { $in: ["pending", "confirmed"] } },
-        { status: "cancelled", cancelledBy: "driver", cancelledAt: new Date() }
-      );
+      await cancelRide(ride);
+    } else {
+      ride.status = status;
+      await ride.save();
     }
 
     res.status(200).json({
@@ -186,6 +288,74 @@ export const updateRide = async (req, res) => {
       });
     }
 
+    // Switching vehicle
+    let vehicle = null;
+    if (updates.vehicleId) {
+      vehicle = await Vehicle.findOne({
+        _id: updates.vehicleId,
+        driver: req.user._id,
+        isActive: true,
+      });
+      if (!vehicle) {
+        return res.status(404).json({ message: "Vehicle not found" });
+      }
+
+      // Vehicles added or re-plated since approval wait for review
+      const vehicleReviewError = getVehicleReviewError(vehicle);
+      if (vehicleReviewError) {
+        return res.status(403).json({
+          message: vehicleReviewError,
+          vehicleApprovalStatus: vehicle.approvalStatus,
+        });
+      }
+      ride.vehicle = vehicle._id;
+    } else if (ride.vehicle) {
+      vehicle = await Vehicle.findById(ride.vehicle);
+    }
+
+    // Stops can't move under passengers who booked between them
+    if (updates.stops !== undefined) {
+      const hasActiveBookings = await Booking.exists({
+        ride: id,
+        status: { $nin: SEAT_RELEASED_STATUSES },
+      });
+      if (hasActiveBookings) {
+        return res.status(400).json({
+          message: "Cannot change stops while the ride has bookings",
+        });
+      }
+      if (updates.stops.some((stop) => !stop?.address || !stop?.city)) {
+        return res.status(400).json({ message: "Each stop needs an address and city" });
+      }
+    }
+
+    const stopFareError = validateStopFares(
+      updates.stops ?? ride.stops,
+      updates.farePerSeat ?? ride.farePerSeat
+    );
+    if (stopFareError) {
+      return res.status(400).json({ message: stopFareError });
+    }
+
+    // Seats must fit in the vehicle
+    const totalSeats = updates.totalSeats ?? ride.totalSeats;
+    if (vehicle && totalSeats > vehicle.seatCapacity) {
+      return res.status(400).json({
+        message: `Your ${vehicle.vehicleModel} can offer at most ${vehicle.seatCapacity} seat(s)`,
+      });
+    }
+
+    // Seat change without new stops: add/remove free seats on every leg
+    // in one update, so bookings made meanwhile are counted
+    const seatsChanged = updates.totalSeats && updates.totalSeats !== ride.totalSeats;
+    if (seatsChanged && updates.stops === undefined) {
+      if (!(await changeTotalSeats(ride, updates.totalSeats))) {
+        return res.status(400).json({
+          message: "Total seats can't be less than the seats already booked",
+        });
+      }
+    }
+
     // Allowed fields to update
     const allowedUpdates = [
       "departureDate",
@@ -203,13 +373,28 @@ export const updateRide = async (req, res) => {
       }
     });
 
-    // Update available seats if totalSeats changed
-    if (updates.totalSeats) {
-      ride.availableSeats = updates.totalSeats;
+    // Edited on its own: later series edits leave this ride alone
+    if (ride.series) {
+      ride.seriesModified = true;
+    }
+
+    // New stops mean new legs (the ride has no bookings, checked above)
+    if (updates.stops !== undefined) {
+      await recalculateSeats(ride);
     }
 
     await ride.save();
 
+    // More seats may let waitlisted passengers in
+    if (seatsChanged) {
+      await promoteWaitlist(ride._id);
+    }
+
+    // Pending requests must still be answered before departure
+    if (updates.departureDate !== undefined || updates.departureTime !== undefined) {
+      await refreshResponseDeadlines(ride);
+    }
+
     res.status(200).json({
       message: "Ride updated successfully",
       ride,
@@ -255,6 +440,14 @@ export const deleteRide = async (req, res) => {
 
 /**
  * @desc    Search for rides (Passenger)
+ *          By city (matching stops too, each ride gets the matched segment), or near pickup/dropoff points:
+ *          ?pickupLng=&pickupLat=&pickupRadius=&dropoffLng=&dropoffLat=&dropoffRadius= (meters)
+ *          Filters: smokingAllowed, petsAllowed, musicAllowed, acAvailable, luggageSpace (minimum),
+ *          departureAfter/departureBefore (HH:MM), maxStops, viaCity, driverGender, womenOnly,
+ *          minRating, vehicleType
+ *          sortBy=bestMatch ranks by price, departure time (closest to preferredTime), driver
+ *          rating and experience, and adds the score breakdown to each ride (near-point
+ *          searches stay ordered by detour)
  * @route   GET /api/rides/search
  * @access  Public
  */
@@ -271,23 +464,35 @@ export const searchRides = async (req, res) => {
       limit = 10,
       sortBy = "departureDate",
       sortOrder = "asc",
+      preferredTime,
+      departureAfter,
+      departureBefore,
+      pickupLng,
+      pickupLat,
+      pickupRadius,
+      dropoffLng,
+      dropoffLat,
+      dropoffRadius,
     } = req.query;
 
+    const pickup = parseSearchPoint(pickupLng, pickupLat, pickupRadius);
+    const dropoff = parseSearchPoint(dropoffLng, dropoffLat, dropoffRadius);
+    if (pickup === false || dropoff === false) {
+      return res.status(400).json({ message: "Valid longitude and latitude are required" });
+    }
+
+    const { conditions, error } = await buildSearchFilters(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
     // Build query
     const query = {
       status: "scheduled",
-      availableSeats: { $gte: parseInt(seats) },
       departureDate: { $gte: new Date() }, // Only future rides
     };
-
-    // Filter by origin city (case-insensitive)
-    if (originCity) {
-      query["origin.city"] = { $regex: new RegExp(originCity, "i") };
-    }
-
-    // Filter by destination city (case-insensitive)
-    if (destinationCity) {
-      query["destination.city"] = { $regex: new RegExp(destinationCity, "i") };
+    if (conditions.length > 0) {
+      query.$and = conditions;
     }
 
     // Filter by specific date
@@ -301,40 +506,108 @@ export const searchRides = async (req, res) => {
       };
     }
 
-    // Filter by price range
-    if (minPrice || maxPrice) {
-      query.farePerSeat = {};
-      if (minPrice) query.farePerSeat.$gte = parseInt(minPrice);
-      if (maxPrice) query.farePerSeat.$lte = parseInt(maxPrice);
-    }
-
     // Sort options
+    const bestMatch = sortBy === "bestMatch";
     const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
+    sortOptions[bestMatch ? "departureDate" : sortBy] = sortOrder === "desc" ? -1 : 1;
 
-    // Execute query with pagination
-    const rides = await Ride.find(query)
-      .sort(sortOptions)
-      .skip((page - 1) * limit)
-      .limit(parseInt(limit))
-      .populate({
-        path: "driver",
-        select: "name profilePicture",
-      })
-      .populate({
-        path: "driverProfile",
-        select: "rating totalRides vehicleInfo",
+    const skip = (page - 1) * limit;
+    const pagination = (total) => ({
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(total / limit),
+      totalRides: total,
+    });
+
+    // Near pickup/dropoff points - ordered by combined distance
+    if (pickup || dropoff) {
+      // Whole trip
+      query.availableSeats = { $gte: parseInt(seats) };
+      if (originCity) {
+        query["origin.city"] = { $regex: new RegExp(originCity, "i") };
+      }
+      if (destinationCity) {
+        query["destination.city"] = { $regex: new RegExp(destinationCity, "i") };
+      }
+      if (minPrice || maxPrice) {
+        query.farePerSeat = {};
+        if (minPrice) query.farePerSeat.$gte = parseInt(minPrice);
+        if (maxPrice) query.farePerSeat.$lte = parseInt(maxPrice);
+      }
+
+      const { rides, total } = await searchRidesNear({
+        query,
+        pickup,
+        dropoff,
+        skip,
+        limit: parseInt(limit),
       });
 
-    const total = await Ride.countDocuments(query);
+      await Ride.populate(rides, SEARCH_POPULATE);
+
+      return res.status(200).json({ rides, pagination: pagination(total) });
+    }
+
+    // By city (origin, destination or a stop) - seats and price of the matched segment
+    let candidates;
+    let total;
+    if (originCity || destinationCity) {
+      ({ rides: candidates, total } = await searchRidesByCity({
+        query,
+        originCity,
+        destinationCity,
+        seats: parseInt(seats),
+        minPrice: minPrice ? parseInt(minPrice) : undefined,
+        maxPrice: maxPrice ? parseInt(maxPrice) : undefined,
+        sort: sortOptions,
+        // Ranking needs the candidates from the start
+        skip: bestMatch ? 0 : skip,
+        limit: bestMatch ? MAX_RANKED_RIDES : parseInt(limit),
+      }));
+
+      if (!bestMatch) {
+        await Ride.populate(candidates, SEARCH_POPULATE);
+
+        return res.status(200).json({ rides: candidates, pagination: pagination(total) });
+      }
+    } else {
+      // Whole trip
+      query.availableSeats = { $gte: parseInt(seats) };
+      if (minPrice || maxPrice) {
+        query.farePerSeat = {};
+        if (minPrice) query.farePerSeat.$gte = parseInt(minPrice);
+        if (maxPrice) query.farePerSeat.$lte = parseInt(maxPrice);
+      }
+
+      // Paginated in the database unless ranking
+      if (!bestMatch) {
+        const rides = await Ride.find(query)
+          .sort(sortOptions)
+          .skip(skip)
+          .limit(parseInt(limit))
+          .populate(SEARCH_POPULATE);
+
+        const total = await Ride.countDocuments(query);
+
+        return res.status(200).json({ rides, pagination: pagination(total) });
+      }
+
+      [candidates, total] = await Promise.all([
+        Ride.find(query).sort(sortOptions).limit(MAX_RANKED_RIDES).lean(),
+        Ride.countDocuments(query),
+      ]);
+    }
 
+    // Ranking needs every candidate's driver rating
+    await Ride.populate(candidates, SEARCH_POPULATE);
+    rankRides(candidates, { preferredTime, departureAfter, departureBefore });
+
+    // Only the soonest MAX_RANKED_RIDES matches are ranked
     res.status(200).json({
-      rides,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
-        totalRides: total,
-      },
+      rides: candidates.slice(skip, skip + parseInt(limit)),
+      pagination: pagination(total),
+      scoreWeights: MATCH_WEIGHTS,
+      rankedRides: candidates.length,
+      truncated: candidates.length < total,
     });
   } catch (error) {
     console.error("Search rides error:", error);
@@ -360,6 +633,7 @@ export const getRideDetails = async (req, res) => {
         path: "driverProfile",
         select: "rating totalRides vehicleInfo gender isAvailable",
       })
+      .populate("vehicle", VEHICLE_FIELDS)
       .populate({
         path: "passengers",
         populate: {
@@ -405,7 +679,8 @@ export const getAllRides = async (req, res) => {
       .populate({
         path: "driverProfile",
         select: "rating totalRides vehicleInfo",
-      });
+      })
+      .populate("vehicle", VEHICLE_FIELDS);
 
     const total = await Ride.countDocuments(query);
 
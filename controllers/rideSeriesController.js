@@ -0,0 +1,488 @@
+import RideSeries from "../models/RideSeries.js";
+import SeriesSubscription from "../models/SeriesSubscription.js";
+import Ride from "../models/Ride.js";
+import DriverProfile from "../models/DriverProfile.js";
+import Vehicle from "../models/Vehicle.js";
+import { validateRideSeries } from "../utils/validators.js";
+import { EXPIRING_DOCUMENTS } from "../utils/documentExpiry.js";
+import { ensureDefaultVehicle, getVehicleReviewError } from "../utils/vehicleService.js";
+import { parseSegment, validateStopFares } from "../utils/segmentService.js";
+import {
+  materializeSeries,
+  applySeriesChanges,
+  cancelSeries,
+  cancelSubscription,
+  bookSubscription,
+} from "../utils/rideSeriesService.js";
+
+// Vehicle fields shown with series
+const VEHICLE_FIELDS = "vehicleType vehicleModel vehicleColor vehiclePlate seatCapacity";
+
+// Series fields the driver can change after creating it
+const SERIES_UPDATE_FIELDS = [
+  "daysOfWeek",
+  "departureTime",
+  "endDate",
+  "exceptions",
+  "totalSeats",
+  "farePerSeat",
+  "preferences",
+  "description",
+];
+
+/**
+ * Helper function to get the vehicle for a series (chosen or default)
+ * A vehicle newly put on the series must be approved.
+ * @returns {Promise<{ vehicle?: object, status?: number, message?: string }>}
+ */
+const resolveSeriesVehicle = async (driverProfile, vehicleId, totalSeats, isNewVehicle = true) => {
+  const vehicle = vehicleId
+    ? await Vehicle.findOne({ _id: vehicleId, driver: driverProfile.user, isActive: true })
+    : await ensureDefaultVehicle(driverProfile);
+  if (!vehicle) {
+    return { status: 404, message: "Vehicle not found" };
+  }
+
+  // Vehicles added or re-plated since approval wait for review
+  const vehicleReviewError = isNewVehicle && getVehicleReviewError(vehicle);
+  if (vehicleReviewError) {
+    return { status: 403, message: vehicleReviewError };
+  }
+
+  if (totalSeats > vehicle.seatCapacity) {
+    return {
+      status: 400,
+      message: `Your ${vehicle.vehicleModel} can offer at most ${vehicle.seatCapacity} seat(s)`,
+    };
+  }
+
+  return { vehicle };
+};
+
+// ==================== DRIVER FUNCTIONS ====================
+
+/**
+ * @desc    Create a recurring ride series (rides are created automatically
+ *          a few days ahead, see RIDE_SERIES_DAYS_AHEAD)
+ * @route   POST /api/ride-series
+ * @access  Private (Driver only)
+ */
+export const createRideSeries = async (req, res) => {
+  try {
+    const body = req.body ?? {};
+
+    const { isValid, errors } = validateRideSeries(body);
+    if (!isValid) {
+      return res.status(400).json({ errors });
+    }
+
+    const {
+      origin,
+      destination,
+      stops,
+      daysOfWeek,
+      departureTime,
+      startDate,
+      endDate,
+      exceptions,
+      totalSeats,
+      farePerSeat,
+      preferences,
+      description,
+      vehicleId,
+    } = body;
+
+    const stopFareError = validateStopFares(stops, farePerSeat);
+    if (stopFareError) {
+      return res.status(400).json({ message: stopFareError });
+    }
+
+    const driverProfile = await DriverProfile.findOne({ user: req.user._id });
+    if (!driverProfile) {
+      return res.status(400).json({ message: "Driver profile not found" });
+    }
+
+    // Same rules as posting a single ride
+    if (!driverProfile.isApproved) {
+      return res.status(403).json({
+        message: "Your driver account must be approved before posting rides",
+        approvalStatus: driverProfile.approvalStatus,
+      });
+    }
+
+    const expiredDocuments = driverProfile.getExpiredDocuments();
+    if (expiredDocuments.length > 0) {
+      return res.status(403).json({
+        message: `Expired documents: ${expiredDocuments
+          .map((field) => EXPIRING_DOCUMENTS[field])
+          .join(", ")}. Upload a renewal to post rides.`,
+        expiredDocuments,
+      });
+    }
+
+    const { vehicle, status, message } = await resolveSeriesVehicle(
+      driverProfile,
+      vehicleId,
+      totalSeats
+    );
+    if (!vehicle) {
+      return res.status(status).json({ message });
+    }
+
+    const series = await RideSeries.create({
+      driver: req.user._id,
+      driverProfile: driverProfile._id,
+      vehicle: vehicle._id,
+      origin,
+      destination,
+      stops: stops || [],
+      daysOfWeek: [...new Set(daysOfWeek)].sort(),
+      departureTime,
+      startDate,
+      endDate,
+      exceptions: exceptions || [],
+      totalSeats,
+      farePerSeat,
+      preferences: preferences || {},
+      description,
+    });
+
+    const ridesCreated = await materializeSeries(series);
+
+    res.status(201).json({
+      message: "Ride series created successfully",
+      series,
+      ridesCreated,
+    });
+  } catch (error) {
+    console.error("Create ride series error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Get driver's ride series (Driver)
+ * @route   GET /api/ride-series/my-series
+ * @access  Private (Driver only)
+ */
+export const getMySeries = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const query = { driver: req.user._id };
+    if (status) {
+      query.status = status;
+    }
+
+    const seriesList = await RideSeries.find(query)
+      .sort({ createdAt: -1 })
+      .populate("vehicle", VEHICLE_FIELDS);
+
+    res.status(200).json({ series: seriesList });
+  } catch (error) {
+    console.error("Get my series error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Update a ride series; upcoming rides follow unless edited on their own
+ *          (a single ride is edited or cancelled through the /api/rides endpoints)
+ * @route   PATCH /api/ride-series/:id
+ * @access  Private (Driver only)
+ */
+export const updateRideSeries = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const body = req.body ?? {};
+
+    const series = await RideSeries.findOne({ _id: id, driver: req.user._id });
+    if (!series) {
+      return res.status(404).json({ message: "Ride series not found" });
+    }
+    if (series.status !== "active") {
+      return res.status(400).json({ message: `This series is ${series.status}` });
+    }
+
+    // Missing fields keep their current values
+    const updates = {};
+    for (const field of SERIES_UPDATE_FIELDS) {
+      if (body[field] !== undefined) {
+        updates[field] = body[field];
+      }
+    }
+
+    const { isValid, errors } = validateRideSeries({ ...series.toObject(), ...updates });
+    if (!isValid) {
+      return res.status(400).json({ errors });
+    }
+
+    const stopFareError = validateStopFares(
+      series.stops,
+      updates.farePerSeat ?? series.farePerSeat
+    );
+    if (stopFareError) {
+      return res.status(400).json({ message: stopFareError });
+    }
+
+    // Switching vehicle, or seats must still fit the current one
+    if (body.vehicleId || updates.totalSeats !== undefined) {
+      const driverProfile = await DriverProfile.findById(series.driverProfile);
+      const { vehicle, status, message } = await resolveSeriesVehicle(
+        driverProfile,
+        body.vehicleId || series.vehicle,
+        updates.totalSeats ?? series.totalSeats,
+        Boolean(body.vehicleId)
+      );
+      if (!vehicle) {
+        return res.status(status).json({ message });
+      }
+      series.vehicle = vehicle._id;
+    }
+
+    if (updates.daysOfWeek) {
+      updates.daysOfWeek = [...new Set(updates.daysOfWeek)].sort();
+    }
+    series.set(updates);
+    await series.save();
+
+    const rides = await applySeriesChanges(series);
+    const ridesCreated = await materializeSeries(series);
+
+    res.status(200).json({
+      message:
+        rides.skipped > 0
+          ? `Ride series updated. ${rides.skipped} upcoming ride(s) kept their previous details (see rides.skippedRides).`
+          : "Ride series updated successfully",
+      series,
+      rides: { ...rides, created: ridesCreated },
+    });
+  } catch (error) {
+    console.error("Update ride series error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Cancel a ride series and all of its scheduled rides
+ * @route   PATCH /api/ride-series/:id/cancel
+ * @access  Private (Driver only)
+ */
+export const cancelRideSeries = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body ?? {};
+
+    const series = await RideSeries.findOne({ _id: id, driver: req.user._id });
+    if (!series) {
+      return res.status(404).json({ message: "Ride series not found" });
+    }
+    if (series.status !== "active") {
+      return res.status(400).json({ message: `This series is already ${series.status}` });
+    }
+
+    const cancelledRides = await cancelSeries(series, reason || "Ride series cancelled");
+
+    res.status(200).json({
+      message: "Ride series cancelled",
+      series,
+      cancelledRides,
+    });
+  } catch (error) {
+    console.error("Cancel ride series error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// ==================== PASSENGER FUNCTIONS ====================
+
+/**
+ * @desc    Get ride series details with upcoming rides (Public)
+ * @route   GET /api/ride-series/:id
+ * @access  Public
+ */
+export const getSeriesDetails = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const series = await RideSeries.findById(id)
+      .populate("driver", "name profilePicture")
+      .populate("driverProfile", "rating totalRides vehicleInfo")
+      .populate("vehicle", VEHICLE_FIELDS);
+
+    if (!series) {
+      return res.status(404).json({ message: "Ride series not found" });
+    }
+
+    const upcomingRides = await Ride.find({
+      series: series._id,
+      status: "scheduled",
+      departureDate: { $gte: new Date() },
+    })
+      .sort({ departureDate: 1 })
+      .select("departureDate departureTime availableSeats segmentSeats farePerSeat");
+
+    const subscriberCount = await SeriesSubscription.countDocuments({
+      series: series._id,
+      status: "active",
+    });
+
+    res.status(200).json({ series, upcomingRides, subscriberCount });
+  } catch (error) {
+    console.error("Get series details error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Subscribe to a ride series: a booking is made on every upcoming ride
+ *          (optional fromStop/toStop as for single bookings)
+ * @route   POST /api/ride-series/:id/subscribe
+ * @access  Private (Passenger only)
+ */
+export const subscribeToSeries = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      seatsBooked,
+      fromStop,
+      toStop,
+      pickupLocation,
+      dropoffLocation,
+      paymentMethod,
+      passengerNote,
+    } = req.body ?? {};
+
+    if (!seatsBooked || seatsBooked < 1) {
+      return res.status(400).json({ message: "At least 1 seat must be booked" });
+    }
+
+    const series = await RideSeries.findById(id);
+    if (!series || series.status !== "active") {
+      return res.status(404).json({ message: "Ride series not found" });
+    }
+
+    if (series.driver.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: "You cannot subscribe to your own series" });
+    }
+
+    if (seatsBooked > series.totalSeats) {
+      return res.status(400).json({ message: `Only ${series.totalSeats} seats offered` });
+    }
+
+    // Segment of the route (route point indexes)
+    const segment = parseSegment(series, fromStop, toStop);
+    if (!segment) {
+      return res.status(400).json({
+        message: `fromStop and toStop must be route points between 0 and ${series.stops.length + 1}, with fromStop before toStop`,
+      });
+    }
+
+    const existingSubscription = await SeriesSubscription.exists({
+      series: series._id,
+      passenger: req.user._id,
+      status: "active",
+    });
+    if (existingSubscription) {
+      return res.status(400).json({ message: "You are already subscribed to this series" });
+    }
+
+    const subscription = await SeriesSubscription.create({
+      series: series._id,
+      passenger: req.user._id,
+      seatsBooked,
+      fromStop: segment.from,
+      toStop: segment.to,
+      pickupLocation,
+      dropoffLocation,
+      paymentMethod: paymentMethod || "cash",
+      passengerNote,
+    });
+
+    // Book the rides already created
+    const rides = await Ride.find({
+      series: series._id,
+      status: "scheduled",
+      departureDate: { $gt: new Date() },
+    }).sort({ departureDate: 1 });
+
+    let bookingsCreated = 0;
+    const fullRides = [];
+    for (const ride of rides) {
+      const booking = await bookSubscription(ride, subscription);
+      if (booking) {
+        bookingsCreated++;
+      } else {
+        fullRides.push({ ride: ride._id, departureDate: ride.departureDate });
+      }
+    }
+
+    res.status(201).json({
+      message: "Subscribed to ride series",
+      subscription,
+      bookingsCreated,
+      notBooked: fullRides,
+    });
+  } catch (error) {
+    console.error("Subscribe to series error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Unsubscribe from a ride series (cancels its upcoming bookings)
+ * @route   DELETE /api/ride-series/:id/subscribe
+ * @access  Private (Passenger only)
+ */
+export const unsubscribeFromSeries = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const subscription = await SeriesSubscription.findOne({
+      series: id,
+      passenger: req.user._id,
+      status: "active",
+    });
+    if (!subscription) {
+      return res.status(404).json({ message: "Subscription not found" });
+    }
+
+    const cancelledBookings = await cancelSubscription(
+      subscription,
+      "Unsubscribed from the ride series"
+    );
+
+    res.status(200).json({
+      message: "Unsubscribed from ride series",
+      cancelledBookings,
+    });
+  } catch (error) {
+    console.error("Unsubscribe from series error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Get passenger's series subscriptions
+ * @route   GET /api/ride-series/my-subscriptions
+ * @access  Private (Passenger only)
+ */
+export const getMySubscriptions = async (req, res) => {
+  try {
+    const subscriptions = await SeriesSubscription.find({
+      passenger: req.user._id,
+      status: "active",
+    })
+      .sort({ createdAt: -1 })
+      .populate({
+        path: "series",
+        select: "origin destination stops daysOfWeek departureTime startDate endDate farePerSeat status",
+        populate: { path: "driver", select: "name phone profilePicture" },
+      });
+
+    res.status(200).json({ subscriptions });
+  } catch (error) {
+    console.error("Get my subscriptions error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
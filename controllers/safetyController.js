@@ -0,0 +1,405 @@
+import crypto from "crypto";
+import User from "../models/User.js";
+import Booking, { SEAT_RELEASED_STATUSES } from "../models/Booking.js";
+import TripShare from "../models/TripShare.js";
+import Incident from "../models/Incident.js";
+import DriverProfile from "../models/DriverProfile.js";
+import { hashToken } from "../utils/generateToken.js";
+import { sendSosAlertEmail } from "../utils/emailService.js";
+import { parseCoordinates } from "../utils/locationService.js";
+import { validateEmergencyContact } from "../utils/validators.js";
+
+const MAX_EMERGENCY_CONTACTS = 5;
+
+// SOS can only be raised while the passenger is on board
+const SOS_BOOKING_STATUSES = ["picked-up", "in-transit"];
+const MAX_TRUSTED_CONTACT_EMAILS = 10;
+
+// Share links last this long unless the passenger asks for less
+const DEFAULT_SHARE_HOURS = 24;
+const MAX_SHARE_HOURS = 48;
+
+// ==================== EMERGENCY CONTACTS ====================
+
+/**
+ * @desc    Get my emergency contacts
+ * @route   GET /api/auth/me/emergency-contacts
+ * @access  Private
+ */
+export const getEmergencyContacts = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("emergencyContacts");
+
+    res.status(200).json({ emergencyContacts: user.emergencyContacts });
+  } catch (error) {
+    console.error("Get emergency contacts error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Add an emergency contact
+ * @route   POST /api/auth/me/emergency-contacts
+ * @access  Private
+ */
+export const addEmergencyContact = async (req, res) => {
+  try {
+    const body = req.body ?? {};
+
+    // Validate input
+    const { isValid, errors } = validateEmergencyContact(body);
+    if (!isValid) {
+      return res.status(400).json({ errors });
+    }
+
+    const { name, phone, email, relationship } = body;
+
+    const user = await User.findById(req.user._id).select("-password");
+
+    if (user.emergencyContacts.length >= MAX_EMERGENCY_CONTACTS) {
+      return res.status(400).json({
+        message: `You can add up to ${MAX_EMERGENCY_CONTACTS} emergency contacts`,
+      });
+    }
+
+    user.emergencyContacts.push({ name, phone, email, relationship });
+    await user.save();
+
+    res.status(201).json({
+      message: "Emergency contact added successfully",
+      emergencyContact: user.emergencyContacts[user.emergencyContacts.length - 1],
+      emergencyContacts: user.emergencyContacts,
+    });
+  } catch (error) {
+    console.error("Add emergency contact error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Update an emergency contact
+ * @route   PUT /api/auth/me/emergency-contacts/:contactId
+ * @access  Private
+ */
+export const updateEmergencyContact = async (req, res) => {
+  try {
+    const { contactId } = req.params;
+
+    const body = req.body ?? {};
+
+    // Validate input
+    const { isValid, errors } = validateEmergencyContact(body);
+    if (!isValid) {
+      return res.status(400).json({ errors });
+    }
+
+    const { name, phone, email, relationship } = body;
+
+    const user = await User.findById(req.user._id).select("-password");
+    const contact = user.emergencyContacts.id(contactId);
+    if (!contact) {
+      return res.status(404).json({ message: "Emergency contact not found" });
+    }
+
+    contact.set({ name, phone, email, relationship });
+    await user.save();
+
+    res.status(200).json({
+      message: "Emergency contact updated successfully",
+      emergencyContact: contact,
+    });
+  } catch (error) {
+    console.error("Update emergency contact error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Delete an emergency contact
+ * @route   DELETE /api/auth/me/emergency-contacts/:contactId
+ * @access  Private
+ */
+export const deleteEmergencyContact = async (req, res) => {
+  try {
+    const { contactId } = req.params;
+
+    const user = await User.findById(req.user._id).select("-password");
+    const contact = user.emergencyContacts.id(contactId);
+    if (!contact) {
+      return res.status(404).json({ message: "Emergency contact not found" });
+    }
+
+    contact.deleteOne();
+    await user.save();
+
+    res.status(200).json({ message: "Emergency contact deleted successfully" });
+  } catch (error) {
+    console.error("Delete emergency contact error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// ==================== TRIP SHARING ====================
+
+/**
+ * @desc    Create a public link to share trip progress (Passenger)
+ * @route   POST /api/bookings/:id/share
+ * @access  Private (Passenger only)
+ */
+export const createTripShare = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { expiresInHours = DEFAULT_SHARE_HOURS } = req.body ?? {};
+
+    const hours = Number(expiresInHours);
+    if (!hours || hours <= 0 || hours > MAX_SHARE_HOURS) {
+      return res.status(400).json({
+        message: `Share link must expire within ${MAX_SHARE_HOURS} hours`,
+      });
+    }
+
+    const booking = await Booking.findOne({ _id: id, passenger: req.user._id });
+    if (!booking) {
+      return res.status(404).json({ message: "Booking not found" });
+    }
+
+    if ([...SEAT_RELEASED_STATUSES, "completed"].includes(booking.status)) {
+      return res.status(400).json({ message: "Cannot share a booking in current status" });
+    }
+
+    const token = crypto.randomBytes(24).toString("hex");
+    const share = await TripShare.create({
+      booking: booking._id,
+      createdBy: req.user._id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+    });
+
+    const baseUrl = process.env.API_URL || `${req.protocol}://${req.get("host")}`;
+
+    res.status(201).json({
+      message: "Trip share link created",
+      share: {
+        id: share._id,
+        token,
+        url: `${baseUrl}/api/share/${token}`,
+        expiresAt: share.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error("Create trip share error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Revoke all share links of a booking (Passenger)
+ * @route   DELETE /api/bookings/:id/share
+ * @access  Private (Passenger only)
+ */
+export const revokeTripShares = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const booking = await Booking.findOne({ _id: id, passenger: req.user._id });
+    if (!booking) {
+      return res.status(404).json({ message: "Booking not found" });
+    }
+
+    const result = await TripShare.updateMany(
+      { booking: booking._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    res.status(200).json({
+      message: "Share links revoked",
+      revoked: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Revoke trip shares error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    View shared trip progress
+ * @route   GET /api/share/:token
+ * @access  Public (requires share token)
+ */
+export const getSharedTrip = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const share = await TripShare.findOne({
+      tokenHash: hashToken(token),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+
+    if (!share) {
+      return res.status(404).json({ message: "Share link not found or expired" });
+    }
+
+    const booking = await Booking.findById(share.booking).populate({
+      path: "ride",
+      select:
+        "origin.city destination.city departureDate departureTime status driver driverProfile vehicle",
+      populate: [
+        { path: "driver", select: "name" },
+        { path: "driverProfile", select: "vehicleInfo" },
+        { path: "vehicle", select: "vehicleType vehicleModel vehicleColor vehiclePlate" },
+      ],
+    });
+
+    if (!booking) {
+      return res.status(404).json({ message: "Share link not found or expired" });
+    }
+
+    // Rides posted before vehicle lists only have the registration vehicle
+    const vehicleInfo = booking.ride.vehicle || booking.ride.driverProfile?.vehicleInfo;
+
+    // Only what someone following the trip needs - no contact details or ids
+    res.status(200).json({
+      trip: {
+        status: booking.status,
+        from: booking.ride.origin.city,
+        to: booking.ride.destination.city,
+        departureDate: booking.ride.departureDate,
+        departureTime: booking.ride.departureTime,
+        driverName: booking.ride.driver?.name,
+        vehicle: vehicleInfo
+          ? {
+              type: vehicleInfo.vehicleType,
+              model: vehicleInfo.vehicleModel,
+              color: vehicleInfo.vehicleColor,
+              plate: vehicleInfo.vehiclePlate,
+            }
+          : null,
+        timestamps: {
+          confirmedAt: booking.confirmedAt,
+          comingForPickupAt: booking.comingForPickupAt,
+          pickedUpAt: booking.pickedUpAt,
+          droppedOffAt: booking.droppedOffAt,
+          completedAt: booking.completedAt,
+          cancelledAt: booking.cancelledAt,
+        },
+      },
+      expiresAt: share.expiresAt,
+    });
+  } catch (error) {
+    console.error("Get shared trip error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// ==================== SOS ALERTS ====================
+
+/**
+ * @desc    Raise an SOS alert during an active trip (Passenger or Driver)
+ * @route   POST /api/bookings/:id/sos
+ * @access  Private
+ */
+export const raiseSos = async (req, res) => {
+  try {
+    const { id } = req.params;
+    // A panic button must not fail: nothing in the body is required and
+    // bad values are dropped instead of rejecting the alert
+    const { location, message, trustedContactEmails } = req.body ?? {};
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const contactEmails = (Array.isArray(trustedContactEmails) ? trustedContactEmails : [])
+      .filter((email) => typeof email === "string" && emailRegex.test(email))
+      .slice(0, MAX_TRUSTED_CONTACT_EMAILS);
+    const alertMessage = typeof message === "string" ? message.slice(0, 500) : undefined;
+
+    const booking = await Booking.findById(id).populate("ride");
+    if (!booking) {
+      return res.status(404).json({ message: "Booking not found" });
+    }
+
+    // Check if user is the passenger or driver
+    const isPassenger = booking.passenger.toString() === req.user._id.toString();
+    const isDriver = booking.ride.driver.toString() === req.user._id.toString();
+
+    if (!isPassenger && !isDriver) {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    if (!SOS_BOOKING_STATUSES.includes(booking.status)) {
+      return res.status(400).json({
+        message: "SOS can only be raised during an active trip",
+      });
+    }
+
+    // Location from the device, else the driver's last GPS ping (may be none)
+    let coordinates = parseCoordinates(location?.coordinates);
+    let locationSource = coordinates ? "device" : undefined;
+    let locationRecordedAt = coordinates ? new Date() : undefined;
+    if (!coordinates) {
+      const driverProfile = await DriverProfile.findById(booking.ride.driverProfile).select(
+        "currentLocation locationUpdatedAt"
+      );
+      if (driverProfile?.locationUpdatedAt) {
+        coordinates = driverProfile.currentLocation.coordinates;
+        locationSource = "driver-last-known";
+        locationRecordedAt = driverProfile.locationUpdatedAt;
+      }
+    }
+
+    // Everyone who should hear about it
+    const admins = await User.find({ roles: "admin" }).select("email");
+    const recipients = [
+      ...new Set([
+        ...admins.map((admin) => admin.email),
+        ...contactEmails.map((email) => email.toLowerCase()),
+      ]),
+    ];
+
+    const incident = await Incident.create({
+      booking: booking._id,
+      ride: booking.ride._id,
+      raisedBy: req.user._id,
+      raisedByRole: isPassenger ? "passenger" : "driver",
+      bookingStatus: booking.status,
+      location: coordinates ? { type: "Point", coordinates } : undefined,
+      locationSource,
+      locationRecordedAt,
+      message: alertMessage,
+      notifiedEmails: recipients,
+    });
+
+    // Alert immediately - a failed email must not lose the incident
+    let emailSent = false;
+    if (recipients.length > 0) {
+      try {
+        await sendSosAlertEmail(recipients, {
+          raisedByName: req.user.name,
+          raisedByRole: incident.raisedByRole,
+          bookingStatus: incident.bookingStatus,
+          route: `${booking.ride.origin.city} → ${booking.ride.destination.city}`,
+          coordinates: incident.location?.coordinates,
+          locationSource,
+          locationRecordedAt,
+          message: alertMessage,
+          raisedAt: incident.createdAt,
+        });
+        emailSent = true;
+      } catch (emailError) {
+        console.error("Failed to send SOS alert email:", emailError);
+      }
+    }
+
+    res.status(201).json({
+      message: "SOS alert raised. Help has been notified.",
+      incident: {
+        id: incident._id,
+        status: incident.status,
+        createdAt: incident.createdAt,
+      },
+      emailSent,
+    });
+  } catch (error) {
+    console.error("Raise SOS error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
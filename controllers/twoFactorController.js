@@ -0,0 +1,233 @@
+import User from "../models/User.js";
+import { hashToken } from "../utils/generateToken.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  getProvisioningUri,
+  generateRecoveryCodes,
+  isTwoFactorRequired,
+  verifySecondFactor,
+} from "../utils/twoFactor.js";
+import {
+  getAttemptKeys,
+  checkLockout,
+  recordFailure,
+  clearAttempts,
+  sendLockedOut,
+} from "../utils/attemptLimiter.js";
+
+// Enable, disable and recovery codes share one counter, so guesses can't be spread across them
+const MANAGE_ACTION = "2fa-manage";
+
+/**
+ * @desc    Get two-factor authentication status
+ * @route   GET /api/auth/2fa
+ * @access  Private
+ */
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+twoFactor.recoveryCodes");
+
+    res.status(200).json({
+      enabled: user.twoFactor.enabled,
+      required: isTwoFactorRequired(user),
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+    });
+  } catch (error) {
+    console.error("Get two-factor status error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Start 2FA enrollment - generate secret and provisioning URI
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    // Secret only becomes active once confirmed with a valid code
+    const secret = generateTotpSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.status(200).json({
+      message: "Scan the QR code with your authenticator app, then confirm with a code",
+      secret,
+      otpauthUrl: getProvisioningUri(secret, user.email),
+    });
+  } catch (error) {
+    console.error("Setup two-factor error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Confirm 2FA enrollment with first code and get recovery codes
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ */
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body ?? {};
+
+    if (!code) {
+      return res.status(400).json({ message: "Authentication code is required" });
+    }
+
+    const user = await User.findById(req.user._id).select("+twoFactor.pendingSecret");
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: "Start two-factor setup first" });
+    }
+
+    // Check lockout (per IP and per account)
+    const attemptKeys = getAttemptKeys(MANAGE_ACTION, req, user._id);
+    const { locked, retryAfter } = await checkLockout(attemptKeys);
+    if (locked) {
+      return sendLockedOut(res, retryAfter);
+    }
+
+    if (!verifyTotp(user.twoFactor.pendingSecret, code)) {
+      await recordFailure(attemptKeys);
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+
+    await clearAttempts(attemptKeys);
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashToken);
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    res.status(200).json({
+      message: "Two-factor authentication enabled. Store your recovery codes somewhere safe.",
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error("Enable two-factor error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Disable 2FA (requires password and a code)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body ?? {};
+
+    if (!password || !code) {
+      return res.status(400).json({ message: "Password and authentication code are required" });
+    }
+
+    const user = await User.findById(req.user._id).select(
+      "+twoFactor.secret +twoFactor.recoveryCodes"
+    );
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        message: "Two-factor authentication is mandatory for your account",
+      });
+    }
+
+    // Check lockout (per IP and per account)
+    const attemptKeys = getAttemptKeys(MANAGE_ACTION, req, user._id);
+    const { locked, retryAfter } = await checkLockout(attemptKeys);
+    if (locked) {
+      return sendLockedOut(res, retryAfter);
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      await recordFailure(attemptKeys);
+      return res.status(401).json({ message: "Incorrect password" });
+    }
+
+    if (!verifySecondFactor(user, code).isValid) {
+      await recordFailure(attemptKeys);
+      return res.status(401).json({ message: "Invalid authentication code" });
+    }
+
+    await clearAttempts(attemptKeys);
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = null;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.enabledAt = null;
+    await user.save();
+
+    res.status(200).json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("Disable two-factor error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Regenerate recovery codes (invalidates the old ones)
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body ?? {};
+
+    if (!code) {
+      return res.status(400).json({ message: "Authentication code is required" });
+    }
+
+    const user = await User.findById(req.user._id).select("+twoFactor.secret");
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    // Check lockout (per IP and per account)
+    const attemptKeys = getAttemptKeys(MANAGE_ACTION, req, user._id);
+    const { locked, retryAfter } = await checkLockout(attemptKeys);
+    if (locked) {
+      return sendLockedOut(res, retryAfter);
+    }
+
+    if (!verifyTotp(user.twoFactor.secret, code)) {
+      await recordFailure(attemptKeys);
+      return res.status(401).json({ message: "Invalid authentication code" });
+    }
+
+    await clearAttempts(attemptKeys);
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashToken);
+    await user.save();
+
+    res.status(200).json({
+      message: "New recovery codes generated",
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
@@ -0,0 +1,272 @@
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import DriverProfile from "../models/DriverProfile.js";
+import Upload, { DOCUMENT_TYPES } from "../models/Upload.js";
+import { getStorage } from "../utils/storage.js";
+import { EXPIRING_DOCUMENT_TYPES, setExpiredRideFlags } from "../utils/documentExpiry.js";
+import {
+  storeUpload,
+  removeUpload,
+  removeUploads,
+  getUploadUrl,
+} from "../utils/uploadService.js";
+
+// Document type -> DriverProfile.documents field
+const DOCUMENT_FIELDS = {
+  "cnic-front": "cnicFront",
+  "cnic-back": "cnicBack",
+  "driving-license": "drivingLicense",
+  "vehicle-registration": "vehicleRegistration",
+  insurance: "insurance",
+};
+
+/**
+ * Format upload for API responses (storage keys stay internal)
+ */
+const formatUpload = (req, upload) => ({
+  id: upload._id,
+  kind: upload.kind,
+  originalName: upload.originalName,
+  mimeType: upload.mimeType,
+  size: upload.size,
+  url: getUploadUrl(req, upload._id),
+  thumbnailUrl: upload.thumbnail?.storageKey
+    ? `${getUploadUrl(req, upload._id)}?variant=thumbnail`
+    : null,
+  createdAt: upload.createdAt,
+});
+
+/**
+ * Check if the user may download an upload
+ * Documents: owner and admins only. Profile pictures: any signed-in user.
+ */
+const canAccessUpload = (user, upload) => {
+  return (
+    upload.kind === "profile-picture" ||
+    upload.owner.toString() === user._id.toString() ||
+    user.roles.includes("admin")
+  );
+};
+
+/**
+ * @desc    Upload profile picture (multipart field "file")
+ * @route   POST /api/uploads/profile-picture
+ * @access  Private
+ */
+export const uploadProfilePicture = async (req, res) => {
+  try {
+    let upload;
+    try {
+      upload = await storeUpload(req.user._id, "profile-picture", req.file);
+    } catch (error) {
+      console.error("Process profile picture error:", error);
+      return res.status(400).json({ message: "Could not read image file" });
+    }
+
+    const user = await User.findById(req.user._id);
+    user.profilePicture = getUploadUrl(req, upload._id);
+    await user.save();
+
+    // Only the latest picture is kept
+    await removeUploads(req.user._id, "profile-picture", upload._id);
+
+    res.status(201).json({
+      message: "Profile picture updated",
+      profilePicture: user.profilePicture,
+      upload: formatUpload(req, upload),
+    });
+  } catch (error) {
+    console.error("Upload profile picture error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Upload a driver document (multipart fields "file", "type" and, for
+ *          license/registration/insurance, "expiresAt")
+ * @route   POST /api/uploads/documents
+ * @access  Private (Driver only)
+ */
+export const uploadDriverDocument = async (req, res) => {
+  try {
+    const { type, expiresAt } = req.body;
+
+    if (!DOCUMENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        message: `Document type must be one of: ${DOCUMENT_TYPES.join(", ")}`,
+      });
+    }
+
+    // Renewals must come with their new expiry date
+    const expiryField = EXPIRING_DOCUMENT_TYPES[type];
+    const expiryDate = new Date(expiresAt);
+    if (expiryField && (!expiresAt || isNaN(expiryDate) || expiryDate <= new Date())) {
+      return res.status(400).json({ message: "A future expiry date (expiresAt) is required" });
+    }
+
+    const driverProfile = await DriverProfile.findOne({ user: req.user._id });
+    if (!driverProfile) {
+      return res.status(404).json({ message: "Driver profile not found" });
+    }
+
+    let upload;
+    try {
+      upload = await storeUpload(req.user._id, type, req.file);
+    } catch (error) {
+      console.error("Process document error:", error);
+      return res.status(400).json({ message: "Could not read document file" });
+    }
+
+    driverProfile.documents = driverProfile.documents || {};
+    driverProfile.documents[DOCUMENT_FIELDS[type]] = upload._id;
+    if (expiryField) {
+      driverProfile.set(`documentExpiry.${expiryField}`, expiryDate);
+      driverProfile.set(`expiryRemindersSent.${expiryField}`, undefined);
+    }
+    await driverProfile.save();
+
+    // Lift the flag on scheduled rides once nothing is expired any more
+    const expiredDocuments = driverProfile.getExpiredDocuments();
+    if (expiryField) {
+      await setExpiredRideFlags(req.user._id, expiredDocuments.length > 0);
+    }
+
+    // Replace the previous document of this type
+    await removeUploads(req.user._id, type, upload._id);
+
+    res.status(201).json({
+      message: "Document uploaded",
+      upload: formatUpload(req, upload),
+      documentExpiry: driverProfile.documentExpiry,
+      expiredDocuments,
+    });
+  } catch (error) {
+    console.error("Upload driver document error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Get my uploads
+ * @route   GET /api/uploads
+ * @access  Private
+ */
+export const getMyUploads = async (req, res) => {
+  try {
+    const uploads = await Upload.find({ owner: req.user._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      uploads: uploads.map((upload) => formatUpload(req, upload)),
+    });
+  } catch (error) {
+    console.error("Get my uploads error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Download an upload (?variant=thumbnail for the thumbnail)
+ * @route   GET /api/uploads/:id
+ * @access  Private (owner or admin; profile pictures for any user)
+ */
+export const downloadUpload = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { variant } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: "File not found" });
+    }
+
+    const upload = await Upload.findById(id);
+
+    // Same response whether it doesn't exist or isn't yours
+    if (!upload || !canAccessUpload(req.user, upload)) {
+      return res.status(404).json({ message: "File not found" });
+    }
+
+    const file =
+      variant === "thumbnail"
+        ? upload.thumbnail
+        : { storageKey: upload.storageKey, mimeType: upload.mimeType };
+
+    if (!file?.storageKey) {
+      return res.status(404).json({ message: "File not found" });
+    }
+
+    const stream = await getStorage().createReadStream(file.storageKey);
+    if (!stream) {
+      return res.status(404).json({ message: "File not found" });
+    }
+
+    res.set({
+      "Content-Type": file.mimeType,
+      "Cache-Control": "private, max-age=3600",
+      "X-Content-Type-Options": "nosniff",
+    });
+    stream.on("error", (error) => {
+      console.error("Stream upload error:", error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error("Download upload error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * @desc    Delete one of my uploads
+ * @route   DELETE /api/uploads/:id
+ * @access  Private
+ */
+export const deleteUpload = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: "File not found" });
+    }
+
+    const upload = await Upload.findOne({ _id: id, owner: req.user._id });
+    if (!upload) {
+      return res.status(404).json({ message: "File not found" });
+    }
+
+    // Clear references to it
+    if (upload.kind === "profile-picture") {
+      await User.updateOne(
+        { _id: req.user._id, profilePicture: getUploadUrl(req, upload._id) },
+        { profilePicture: "" }
+      );
+    } else {
+      // The expiry date belongs to the current document of this type only
+      const expiryField = EXPIRING_DOCUMENT_TYPES[upload.kind];
+      const driverProfile = await DriverProfile.findOneAndUpdate(
+        { user: req.user._id, [`documents.${DOCUMENT_FIELDS[upload.kind]}`]: upload._id },
+        {
+          $unset: {
+            [`documents.${DOCUMENT_FIELDS[upload.kind]}`]: 1,
+            ...(expiryField && {
+              [`documentExpiry.${expiryField}`]: 1,
+              [`expiryRemindersSent.${expiryField}`]: 1,
+            }),
+          },
+        },
+        { new: true }
+      );
+
+      // Its expiry no longer holds the driver's rides
+      if (driverProfile && expiryField) {
+        await setExpiredRideFlags(req.user._id, driverProfile.getExpiredDocuments().length > 0);
+      }
+    }
+
+    await removeUpload(upload);
+
+    res.status(200).json({ message: "File deleted" });
+  } catch (error) {
+    console.error("Delete upload error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
@@ -3,11 +3,17 @@ import dotenv from "dotenv";
 import cors from "cors";
 
 import connectDB from "./config/db.js";
+import { startJobs } from "./jobs/index.js";
 import authRoutes from "./routes/authRoutes.js";
 import rideRoutes from "./routes/rideRoutes.js";
 import bookingRoutes from "./routes/bookingRoutes.js";
 import reviewRoutes from "./routes/reviewRoutes.js";
 import contactRoutes from "./routes/contactRoutes.js";
+import adminRoutes from "./routes/adminRoutes.js";
+import shareRoutes from "./routes/shareRoutes.js";
+import uploadRoutes from "./routes/uploadRoutes.js";
+import driverRoutes from "./routes/driverRoutes.js";
+import rideSeriesRoutes from "./routes/rideSeriesRoutes.js";
 
 dotenv.config();
 
@@ -16,6 +22,14 @@ const PORT = process.env.PORT || 5000;
 
 connectDB();
 
+// Client IPs (sessions, login throttling) come from req.ip. Behind a reverse
+// proxy or load balancer set TRUST_PROXY to the number of proxy hops (e.g. 1)
+// so Express reads X-Forwarded-For; otherwise the header is ignored.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set("trust proxy", /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -32,7 +46,15 @@ app.use("/api/rides", rideRoutes);
 app.use("/api/bookings", bookingRoutes);
 app.use("/api/reviews", reviewRoutes);
 app.use("/api/contact", contactRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/share", shareRoutes);
+app.use("/api/uploads", uploadRoutes);
+app.use("/api/drivers", driverRoutes);
+app.use("/api/ride-series", rideSeriesRoutes);
 
 app.listen(PORT, () => {
   console.log(`Server is listening on port ${PORT}`);
 });
+
+// Background jobs
+startJobs();
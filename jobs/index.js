@@ -0,0 +1,67 @@
+import { purgeDeletedAccounts } from "../utils/accountDeletion.js";
+import { checkDocumentExpiry } from "../utils/documentExpiry.js";
+import { materializeAllSeries } from "../utils/rideSeriesService.js";
+import { reconcileAllSeats } from "../utils/seatReconciliation.js";
+import { expirePendingBookings } from "../utils/bookingExpiry.js";
+import { maintainDataExports } from "../utils/dataExport.js";
+
+/**
+ * Background jobs
+ * Each job runs once shortly after startup and then on its interval.
+ */
+const jobs = [
+  {
+    name: "purge-deleted-accounts",
+    interval: 60 * 60 * 1000, // hourly
+    run: purgeDeletedAccounts,
+  },
+  {
+    name: "document-expiry",
+    interval: 24 * 60 * 60 * 1000, // daily
+    run: checkDocumentExpiry,
+  },
+  {
+    name: "ride-series",
+    interval: 60 * 60 * 1000, // hourly
+    run: materializeAllSeries,
+  },
+  {
+    name: "seat-reconciliation",
+    interval: 60 * 60 * 1000, // hourly
+    run: reconcileAllSeats,
+  },
+  {
+    name: "pending-booking-expiry",
+    interval: 5 * 60 * 1000, // every 5 minutes
+    run: expirePendingBookings,
+  },
+  {
+    name: "data-exports",
+    interval: 15 * 60 * 1000, // every 15 minutes
+    run: maintainDataExports,
+  },
+];
+
+/**
+ * Run a job, logging (not throwing) failures
+ */
+const runJob = async (job) => {
+  try {
+    const result = await job.run();
+    if (result) {
+      console.log(`Job ${job.name}:`, result);
+    }
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+  }
+};
+
+/**
+ * Start all background jobs
+ */
+export const startJobs = () => {
+  for (const job of jobs) {
+    setTimeout(() => runJob(job), 10 * 1000);
+    setInterval(() => runJob(job), job.interval);
+  }
+};
@@ -1,5 +1,6 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
 
 /**
  * Middleware to protect routes - verifies JWT token
@@ -16,6 +17,12 @@ export const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Check that the session behind the token hasn't been revoked
+      const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+      if (!session || !session.isActive()) {
+        return res.status(401).json({ message: "Session expired or revoked" });
+      }
+
       // Get user from token (exclude password)
       req.user = await User.findById(decoded.id).select("-password");
 
@@ -23,6 +30,24 @@ export const protect = async (req, res, next) => {
         return res.status(401).json({ message: "User not found" });
       }
 
+      // Suspended users can't use the API
+      if (req.user.isSuspended()) {
+        return res.status(403).json({
+          message: "Your account has been suspended",
+          suspended: true,
+          reason: req.user.suspension.reason,
+          suspendedUntil: req.user.suspension.expiresAt,
+        });
+      }
+
+      // Track device activity (at most once a minute)
+      if (Date.now() - session.lastSeenAt.getTime() > 60 * 1000) {
+        session.lastSeenAt = new Date();
+        await session.save();
+      }
+
+      req.sessionId = session._id;
+
       next();
     } catch (error) {
       console.error("Auth middleware error:", error.message);
@@ -34,3 +59,25 @@ export const protect = async (req, res, next) => {
     return res.status(401).json({ message: "Not authorized, no token provided" });
   }
 };
+
+/**
+ * Middleware to require a verified phone number for an action
+ * Enabled per action through REQUIRE_VERIFIED_PHONE (comma separated, e.g. "book,post")
+ * @param {string} action - Action name ("book" or "post")
+ */
+export const requireVerifiedPhone = (action) => {
+  return (req, res, next) => {
+    const actions = (process.env.REQUIRE_VERIFIED_PHONE || "")
+      .split(",")
+      .map((a) => a.trim());
+
+    if (actions.includes(action) && !req.user.isPhoneVerified) {
+      return res.status(403).json({
+        message: "Please verify your phone number first",
+        requiresPhoneVerification: true,
+      });
+    }
+
+    next();
+  };
+};
@@ -1,3 +1,17 @@
+import { isTwoFactorRequired } from "../utils/twoFactor.js";
+
+/**
+ * Check if access granted through the given roles is blocked by the 2FA policy
+ * (only admin access requires two-factor authentication)
+ */
+const isBlockedByTwoFactorPolicy = (user, grantingRoles) => {
+  return (
+    grantingRoles.every((role) => role === "admin") &&
+    isTwoFactorRequired(user) &&
+    !user.twoFactor?.enabled
+  );
+};
+
 /**
  * Middleware to check if user has required role(s)
  * @param  {...string} roles - Required roles (user must have at least one)
@@ -9,14 +23,21 @@ export const requireRole = (...roles) => {
     }
 
     // Check if user has at least one of the required roles
-    const hasRole = roles.some((role) => req.user.roles.includes(role));
+    const grantingRoles = roles.filter((role) => req.user.roles.includes(role));
 
-    if (!hasRole) {
+    if (grantingRoles.length === 0) {
       return res.status(403).json({
         message: `Access denied. Required role: ${roles.join(" or ")}`,
       });
     }
 
+    if (isBlockedByTwoFactorPolicy(req.user, grantingRoles)) {
+      return res.status(403).json({
+        message: "Two-factor authentication must be enabled for admin access",
+        requiresTwoFactorSetup: true,
+      });
+    }
+
     next();
   };
 };
@@ -40,6 +61,13 @@ export const requireAllRoles = (...roles) => {
       });
     }
 
+    if (roles.includes("admin") && isBlockedByTwoFactorPolicy(req.user, ["admin"])) {
+      return res.status(403).json({
+        message: "Two-factor authentication must be enabled for admin access",
+        requiresTwoFactorSetup: true,
+      });
+    }
+
     next();
   };
 };
@@ -0,0 +1,70 @@
+import multer from "multer";
+
+// File signatures ("magic bytes") of the types we accept
+const FILE_SIGNATURES = {
+  "image/jpeg": (buffer) => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  "image/png": (buffer) =>
+    buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  "image/webp": (buffer) =>
+    buffer.subarray(0, 4).toString("ascii") === "RIFF" &&
+    buffer.subarray(8, 12).toString("ascii") === "WEBP",
+  "application/pdf": (buffer) => buffer.subarray(0, 5).toString("ascii") === "%PDF-",
+};
+
+/**
+ * Middleware to accept a single multipart file upload (kept in memory as req.file)
+ * The declared MIME type must be allowed and match the file's actual contents.
+ * @param {string} field - Form field name
+ * @param {object} options
+ * @param {string[]} options.allowedTypes - Allowed MIME types
+ * @param {number} options.maxSize - Maximum file size in bytes
+ */
+export const uploadSingle = (field, { allowedTypes, maxSize }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!allowedTypes.includes(file.mimetype)) {
+        req.rejectedFileType = file.mimetype;
+        return cb(null, false);
+      }
+      cb(null, true);
+    },
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        const message =
+          error.code === "LIMIT_FILE_SIZE"
+            ? `File is too large. Maximum size is ${Math.round(maxSize / (1024 * 1024))} MB`
+            : error.message;
+        return res.status(400).json({ message });
+      }
+      if (error) {
+        console.error("Upload error:", error);
+        return res.status(400).json({ message: "Invalid upload" });
+      }
+
+      if (req.rejectedFileType) {
+        return res.status(400).json({
+          message: `File type ${req.rejectedFileType} is not allowed. Allowed types: ${allowedTypes.join(", ")}`,
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          message: `A file is required (field "${field}", allowed types: ${allowedTypes.join(", ")})`,
+        });
+      }
+
+      // Don't trust the client's Content-Type - check the contents
+      const matchesSignature = FILE_SIGNATURES[req.file.mimetype];
+      if (!matchesSignature || !matchesSignature(req.file.buffer)) {
+        return res.status(400).json({ message: "File contents do not match its type" });
+      }
+
+      next();
+    });
+  };
+};
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+const adminInviteSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      lowercase: true,
+      trim: true,
+    },
+    // Hash of the one-time invite code
+    codeHash: {
+      type: String,
+      required: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Set once the invite is accepted or revoked
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    usedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+adminInviteSchema.index({ email: 1 });
+adminInviteSchema.index({ createdAt: -1 });
+
+// Check if invite can still be accepted
+adminInviteSchema.methods.isPending = function () {
+  return !this.usedAt && !this.revokedAt && this.expiresAt > new Date();
+};
+
+const AdminInvite = mongoose.model("AdminInvite", adminInviteSchema);
+
+export default AdminInvite;
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+const authAttemptSchema = new mongoose.Schema(
+  {
+    // What is being throttled, e.g. "login:ip:1.2.3.4" or "login:account:user@mail.com"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailureAt: {
+      type: Date,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // Counter is forgotten after a quiet period
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB purge stale counters
+authAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthAttempt = mongoose.model("AuthAttempt", authAttemptSchema);
+
+export default AuthAttempt;
@@ -1,5 +1,11 @@
 import mongoose from "mongoose";
 
+// Bookings that are confirmed and not yet finished (ride is upcoming or ongoing)
+export const ACTIVE_BOOKING_STATUSES = ["confirmed", "coming-for-pickup", "picked-up", "in-transit"];
+
+// Bookings in these statuses don't hold seats
+export const SEAT_RELEASED_STATUSES = ["cancelled", "rejected", "expired"];
+
 const bookingSchema = new mongoose.Schema(
   {
     ride: {
@@ -12,6 +18,11 @@ const bookingSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Series subscription that created this booking (recurring rides)
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SeriesSubscription",
+    },
     // Booking Details
     seatsBooked: {
       type: Number,
@@ -54,6 +65,16 @@ const bookingSchema = new mongoose.Schema(
         },
       },
     },
+    // Segment of the route booked: route point indexes where 0 is the origin,
+    // 1..n the stops and n + 1 the destination (unset on older bookings = whole trip)
+    fromStop: {
+      type: Number,
+      min: 0,
+    },
+    toStop: {
+      type: Number,
+      min: 1,
+    },
     // Fare Calculation
     farePerSeat: {
       type: Number,
@@ -76,9 +97,15 @@ const bookingSchema = new mongoose.Schema(
         "completed", // Ride completed successfully
         "cancelled", // Booking was cancelled
         "rejected", // Driver rejected the booking
+        "expired", // Driver didn't respond before the response deadline
       ],
       default: "pending",
     },
+    // False once cancelled/rejected/expired; a passenger can hold seats on a ride only once
+    holdsSeats: {
+      type: Boolean,
+      default: true,
+    },
     // Payment Status
     paymentStatus: {
       type: String,
@@ -111,7 +138,18 @@ const bookingSchema = new mongoose.Schema(
     cancelledAt: {
       type: Date,
     },
+    // Pending bookings expire if the driver hasn't responded by then
+    responseDeadline: {
+      type: Date,
+    },
+    // Driver was reminded that the deadline is near
+    driverRemindedAt: {
+      type: Date,
+    },
     // Timestamps for status changes
+    expiredAt: {
+      type: Date,
+    },
     confirmedAt: {
       type: Date,
     },
@@ -137,8 +175,14 @@ const bookingSchema = new mongoose.Schema(
 bookingSchema.index({ ride: 1, passenger: 1 });
 bookingSchema.index({ passenger: 1, status: 1 });
 bookingSchema.index({ status: 1 });
+bookingSchema.index({ subscription: 1, status: 1 });
+bookingSchema.index({ status: 1, responseDeadline: 1 });
+bookingSchema.index(
+  { passenger: 1, ride: 1 },
+  { unique: true, partialFilterExpression: { holdsSeats: true } }
+);
 
-// Calculate total fare before saving
+// Calculate total fare and whether seats are held before saving
 bookingSchema.pre("save", function () {
   if (
     this.isNew ||
@@ -147,6 +191,7 @@ bookingSchema.pre("save", function () {
   ) {
     this.totalFare = this.seatsBooked * this.farePerSeat;
   }
+  this.holdsSeats = !SEAT_RELEASED_STATUSES.includes(this.status);
 });
 
 const Booking = mongoose.model("Booking", bookingSchema);
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+const dataExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: [
+        "pending", // Waiting to be assembled
+        "ready", // Files available for download
+        "failed", // Assembling the export failed
+        "expired", // Files deleted after the download window
+      ],
+      default: "pending",
+    },
+    // SHA-256 hash of the token in the emailed download link
+    downloadTokenHash: {
+      type: String,
+      required: true,
+    },
+    // File paths on disk
+    files: {
+      json: String,
+      zip: String,
+    },
+    completedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    error: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+const DataExport = mongoose.model("DataExport", dataExportSchema);
+
+export default DataExport;
@@ -47,9 +47,43 @@ const driverProfileSchema = new mongoose.Schema(
         trim: true,
       },
     },
-    isApproved: {
-      type: Boolean,
-      default: true,
+    // Uploaded verification documents
+    documents: {
+      cnicFront: { type: mongoose.Schema.Types.ObjectId, ref: "Upload" },
+      cnicBack: { type: mongoose.Schema.Types.ObjectId, ref: "Upload" },
+      drivingLicense: { type: mongoose.Schema.Types.ObjectId, ref: "Upload" },
+      vehicleRegistration: { type: mongoose.Schema.Types.ObjectId, ref: "Upload" },
+      insurance: { type: mongoose.Schema.Types.ObjectId, ref: "Upload" },
+    },
+    // Documents that must stay valid to drive (set when a document is uploaded)
+    documentExpiry: {
+      drivingLicense: Date,
+      vehicleRegistration: Date,
+      insurance: Date,
+    },
+    // Smallest reminder (days before expiry, 0 = expired) already emailed per document
+    expiryRemindersSent: {
+      drivingLicense: Number,
+      vehicleRegistration: Number,
+      insurance: Number,
+    },
+    // Admin review of the driver's details and documents
+    approvalStatus: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    approval: {
+      submittedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      reviewedAt: Date,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      rejectionReason: String,
     },
     isAvailable: {
       type: Boolean,
@@ -80,6 +114,10 @@ const driverProfileSchema = new mongoose.Schema(
         default: [0, 0],
       },
     },
+    // Time of the last GPS ping (currentLocation is meaningless without it)
+    locationUpdatedAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -88,6 +126,23 @@ const driverProfileSchema = new mongoose.Schema(
 
 // Index for geospatial queries (find nearby drivers)
 driverProfileSchema.index({ currentLocation: "2dsphere" });
+driverProfileSchema.index({ approvalStatus: 1, "approval.submittedAt": 1 });
+driverProfileSchema.index({ "documentExpiry.drivingLicense": 1 });
+driverProfileSchema.index({ "documentExpiry.vehicleRegistration": 1 });
+driverProfileSchema.index({ "documentExpiry.insurance": 1 });
+
+// Only approved drivers can post rides
+driverProfileSchema.virtual("isApproved").get(function () {
+  return this.approvalStatus === "approved";
+});
+
+// Get documents whose expiry date has passed
+driverProfileSchema.methods.getExpiredDocuments = function (now = new Date()) {
+  const expiry = this.documentExpiry || {};
+  return ["drivingLicense", "vehicleRegistration", "insurance"].filter(
+    (field) => expiry[field] && expiry[field] <= now
+  );
+};
 
 const DriverProfile = mongoose.model("DriverProfile", driverProfileSchema);
 
@@ -0,0 +1,103 @@
+import mongoose from "mongoose";
+
+// GeoJSON point, only stored when a location is known
+const pointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Point"],
+      default: "Point",
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+    },
+  },
+  { _id: false }
+);
+
+const incidentSchema = new mongoose.Schema(
+  {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+    },
+    ride: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ride",
+      required: true,
+    },
+    // Who raised the alarm
+    raisedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    raisedByRole: {
+      type: String,
+      enum: ["passenger", "driver"],
+      required: true,
+    },
+    // Booking status at the time of the alert
+    bookingStatus: {
+      type: String,
+      required: true,
+    },
+    // Unset if the device had no GPS fix and the driver's location is unknown
+    location: {
+      type: pointSchema,
+      default: undefined,
+    },
+    // "device" (sent with the alert) or "driver-last-known" (driver's last GPS ping)
+    locationSource: {
+      type: String,
+      enum: ["device", "driver-last-known"],
+    },
+    locationRecordedAt: {
+      type: Date,
+    },
+    message: {
+      type: String,
+      maxlength: [500, "Message cannot exceed 500 characters"],
+    },
+    // Everyone who was emailed about the incident
+    notifiedEmails: {
+      type: [String],
+      default: [],
+    },
+    // Handling by admins
+    status: {
+      type: String,
+      enum: ["open", "acknowledged", "resolved"],
+      default: "open",
+    },
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    acknowledgedAt: {
+      type: Date,
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    resolvedAt: {
+      type: Date,
+    },
+    resolutionNotes: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+incidentSchema.index({ status: 1, createdAt: -1 });
+incidentSchema.index({ booking: 1 });
+
+const Incident = mongoose.model("Incident", incidentSchema);
+
+export default Incident;
@@ -1,5 +1,25 @@
 import mongoose from "mongoose";
 
+const timeRegex = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+/**
+ * Get when a ride leaves: its departure time on its departure date's day
+ * (UTC, like ride dates in searches). The date may be sent without a time,
+ * so the HH:MM departureTime is what counts.
+ * @param {Date|string} departureDate - Departure date
+ * @param {string} departureTime - HH:MM
+ */
+export const getDeparture = (departureDate, departureTime) => {
+  const day = new Date(departureDate);
+  if (!timeRegex.test(departureTime || "")) {
+    return day;
+  }
+
+  const [hours, minutes] = departureTime.split(":").map(Number);
+  day.setUTCHours(hours, minutes, 0, 0);
+  return day;
+};
+
 const rideSchema = new mongoose.Schema(
   {
     driver: {
@@ -12,6 +32,11 @@ const rideSchema = new mongoose.Schema(
       ref: "DriverProfile",
       required: true,
     },
+    // Vehicle used for this ride
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vehicle",
+    },
     // Route Information
     origin: {
       address: {
@@ -94,6 +119,9 @@ const rideSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    // Free seats on each leg of the route (origin -> stop 1 -> ... -> destination);
+    // availableSeats is the smallest of these
+    segmentSeats: [Number],
     // Pricing
     farePerSeat: {
       type: Number,
@@ -135,6 +163,24 @@ const rideSchema = new mongoose.Schema(
       enum: ["scheduled", "in-progress", "completed", "cancelled"],
       default: "scheduled",
     },
+    // Set while the driver has an expired license, registration or insurance
+    documentsExpired: {
+      type: Boolean,
+      default: false,
+    },
+    // Recurring series this ride belongs to (one ride per series date)
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RideSeries",
+    },
+    seriesDate: {
+      type: Date,
+    },
+    // Set when the driver edits this ride on its own; series edits then leave it alone
+    seriesModified: {
+      type: Boolean,
+      default: false,
+    },
     // Passengers who booked this ride
     passengers: [
       {
@@ -155,6 +201,10 @@ rideSchema.index({ status: 1 });
 rideSchema.index({ availableSeats: 1 });
 rideSchema.index({ "origin.coordinates": "2dsphere" });
 rideSchema.index({ "destination.coordinates": "2dsphere" });
+rideSchema.index(
+  { series: 1, seriesDate: 1 },
+  { unique: true, partialFilterExpression: { series: { $exists: true } } }
+);
 
 // Virtual to check if ride is full
 rideSchema.virtual("isFull").get(function () {
@@ -163,13 +213,14 @@ rideSchema.virtual("isFull").get(function () {
 
 // Virtual to check if ride is in the past
 rideSchema.virtual("isPast").get(function () {
-  return new Date(this.departureDate) < new Date();
+  return getDeparture(this.departureDate, this.departureTime) < new Date();
 });
 
-// Pre-save to set availableSeats equal to totalSeats on creation
+// Pre-save to set availableSeats (and seats per leg) equal to totalSeats on creation
 rideSchema.pre("save", function () {
   if (this.isNew) {
     this.availableSeats = this.totalSeats;
+    this.segmentSeats = Array(this.stops.length + 1).fill(this.totalSeats);
   }
 });
 
@@ -0,0 +1,127 @@
+import mongoose from "mongoose";
+
+// Origin, destination or stop of a series (same shape as on Ride)
+const routePointSchema = new mongoose.Schema(
+  {
+    address: String,
+    city: String,
+    fare: Number, // Stops only: fare to this stop from origin
+    coordinates: {
+      type: {
+        type: String,
+        enum: ["Point"],
+        default: "Point",
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        default: [0, 0],
+      },
+    },
+  },
+  { _id: false }
+);
+
+const rideSeriesSchema = new mongoose.Schema(
+  {
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    driverProfile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DriverProfile",
+      required: true,
+    },
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vehicle",
+    },
+    // Route (copied onto every ride)
+    origin: {
+      type: routePointSchema,
+      required: true,
+    },
+    destination: {
+      type: routePointSchema,
+      required: true,
+    },
+    stops: [routePointSchema],
+    // Schedule
+    daysOfWeek: {
+      type: [Number], // 0 = Sunday ... 6 = Saturday
+      required: true,
+    },
+    departureTime: {
+      type: String, // HH:MM
+      required: [true, "Departure time is required"],
+    },
+    startDate: {
+      type: Date,
+      required: [true, "Start date is required"],
+    },
+    endDate: {
+      type: Date, // Open-ended if not set
+    },
+    // Dates skipped (holidays etc.)
+    exceptions: [Date],
+    // Seats & pricing
+    totalSeats: {
+      type: Number,
+      required: [true, "Total seats is required"],
+      min: [1, "At least 1 seat is required"],
+      max: [8, "Maximum 8 seats allowed"],
+    },
+    farePerSeat: {
+      type: Number,
+      required: [true, "Fare per seat is required"],
+      min: [0, "Fare cannot be negative"],
+    },
+    preferences: {
+      smokingAllowed: {
+        type: Boolean,
+        default: false,
+      },
+      petsAllowed: {
+        type: Boolean,
+        default: false,
+      },
+      musicAllowed: {
+        type: Boolean,
+        default: true,
+      },
+      acAvailable: {
+        type: Boolean,
+        default: true,
+      },
+      luggageSpace: {
+        type: String,
+        enum: ["small", "medium", "large"],
+        default: "medium",
+      },
+    },
+    description: {
+      type: String,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    status: {
+      type: String,
+      enum: ["active", "ended", "cancelled"],
+      default: "active",
+    },
+    cancelledAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+rideSeriesSchema.index({ driver: 1, status: 1 });
+rideSeriesSchema.index({ status: 1 });
+
+const RideSeries = mongoose.model("RideSeries", rideSeriesSchema);
+
+export default RideSeries;
@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+
+// Location shape used for pickup/dropoff (same as on Booking)
+const locationSchema = new mongoose.Schema(
+  {
+    address: String,
+    city: String,
+    coordinates: {
+      type: {
+        type: String,
+        enum: ["Point"],
+        default: "Point",
+      },
+      coordinates: {
+        type: [Number],
+        default: [0, 0],
+      },
+    },
+  },
+  { _id: false }
+);
+
+// A passenger's standing booking on every ride of a series
+const seriesSubscriptionSchema = new mongoose.Schema(
+  {
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RideSeries",
+      required: true,
+    },
+    passenger: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Copied onto each booking
+    seatsBooked: {
+      type: Number,
+      required: [true, "Number of seats is required"],
+      min: [1, "At least 1 seat must be booked"],
+    },
+    fromStop: {
+      type: Number,
+      min: 0,
+    },
+    toStop: {
+      type: Number,
+      min: 1,
+    },
+    pickupLocation: locationSchema,
+    dropoffLocation: locationSchema,
+    paymentMethod: {
+      type: String,
+      enum: ["cash", "online"],
+      default: "cash",
+    },
+    passengerNote: {
+      type: String,
+      maxlength: [200, "Note cannot exceed 200 characters"],
+    },
+    status: {
+      type: String,
+      enum: ["active", "cancelled"],
+      default: "active",
+    },
+    cancelledAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+seriesSubscriptionSchema.index(
+  { series: 1, passenger: 1 },
+  { unique: true, partialFilterExpression: { status: "active" } }
+);
+seriesSubscriptionSchema.index({ passenger: 1, status: 1 });
+
+const SeriesSubscription = mongoose.model("SeriesSubscription", seriesSubscriptionSchema);
+
+export default SeriesSubscription;
@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // SHA-256 hash of the current refresh token (rotated on every refresh)
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    // Device information
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ipAddress: {
+      type: String,
+      default: "",
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Revocation
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout", // User logged out
+        "revoked", // User revoked the session from another device
+        "password-reset", // Password was reset
+        "password-change", // Password was changed on another device
+        "token-reuse", // Rotated refresh token was presented again
+        "suspended", // Account was suspended by an admin
+        null,
+      ],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB purge sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if session can still be used
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+const tripShareSchema = new mongoose.Schema(
+  {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // SHA-256 hash of the public token in the share link
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+tripShareSchema.index({ booking: 1 });
+// Let MongoDB purge expired share links
+tripShareSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const TripShare = mongoose.model("TripShare", tripShareSchema);
+
+export default TripShare;
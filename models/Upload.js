@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+// Kinds of driver documents that can be uploaded
+export const DOCUMENT_TYPES = [
+  "cnic-front",
+  "cnic-back",
+  "driving-license",
+  "vehicle-registration",
+  "insurance",
+];
+
+const uploadSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ["profile-picture", ...DOCUMENT_TYPES],
+      required: true,
+    },
+    originalName: {
+      type: String,
+      trim: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    // Keys in the storage provider (never exposed to clients)
+    storageKey: {
+      type: String,
+      required: true,
+    },
+    thumbnail: {
+      storageKey: String,
+      mimeType: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+uploadSchema.index({ owner: 1, kind: 1 });
+
+const Upload = mongoose.model("Upload", uploadSchema);
+
+export default Upload;
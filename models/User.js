@@ -34,10 +34,37 @@ const userSchema = new mongoose.Schema(
       enum: ["passenger", "driver", "admin"],
       default: ["passenger"],
     },
+    // Role the client is currently acting as (for multi-role accounts)
+    activeRole: {
+      type: String,
+      enum: ["passenger", "driver", "admin", null],
+      default: null,
+    },
     isVerified: {
       type: Boolean,
       default: false,
     },
+    // Phone verification (OTP via SMS)
+    isPhoneVerified: {
+      type: Boolean,
+      default: false,
+    },
+    phoneVerificationCode: {
+      type: String,
+      default: null,
+    },
+    phoneVerificationExpires: {
+      type: Date,
+      default: null,
+    },
+    phoneVerificationAttempts: {
+      type: Number,
+      default: 0,
+    },
+    phoneVerificationSentAt: {
+      type: Date,
+      default: null,
+    },
     verificationCode: {
       type: String,
       default: null,
@@ -46,6 +73,10 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    verificationCodeAttempts: {
+      type: Number,
+      default: 0,
+    },
     resetPasswordCode: {
       type: String,
       default: null,
@@ -54,6 +85,127 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    resetPasswordAttempts: {
+      type: Number,
+      default: 0,
+    },
+    // Email change (new address must be verified before it replaces email)
+    pendingEmail: {
+      type: String,
+      default: null,
+      lowercase: true,
+      trim: true,
+    },
+    emailChangeCode: {
+      type: String,
+      default: null,
+    },
+    emailChangeExpires: {
+      type: Date,
+      default: null,
+    },
+    emailChangeAttempts: {
+      type: Number,
+      default: 0,
+    },
+    // People to notify in an emergency (max 5)
+    emergencyContacts: {
+      type: [
+        {
+          name: {
+            type: String,
+            required: [true, "Contact name is required"],
+            trim: true,
+          },
+          phone: {
+            type: String,
+            required: [true, "Contact phone is required"],
+            trim: true,
+          },
+          email: {
+            type: String,
+            lowercase: true,
+            trim: true,
+          },
+          relationship: {
+            type: String,
+            trim: true,
+          },
+        },
+      ],
+      validate: {
+        validator: (contacts) => contacts.length <= 5,
+        message: "You can add up to 5 emergency contacts",
+      },
+    },
+    // Account suspension by an admin (no expiry = ban)
+    suspension: {
+      isSuspended: {
+        type: Boolean,
+        default: false,
+      },
+      reason: {
+        type: String,
+        default: null,
+      },
+      suspendedAt: {
+        type: Date,
+        default: null,
+      },
+      expiresAt: {
+        type: Date,
+        default: null,
+      },
+      suspendedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+    },
+    // Account deletion (grace period before anonymization)
+    deletion: {
+      requestedAt: {
+        type: Date,
+        default: null,
+      },
+      scheduledFor: {
+        type: Date,
+        default: null,
+      },
+      // Set once personal data has been anonymized
+      anonymizedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    // Two-factor authentication (TOTP)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        default: null,
+        select: false,
+      },
+      // Secret waiting to be confirmed with a first valid code
+      pendingSecret: {
+        type: String,
+        default: null,
+        select: false,
+      },
+      // SHA-256 hashes of unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        default: [],
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+    },
   },
   {
     timestamps: true,
@@ -78,6 +230,22 @@ userSchema.methods.hasRole = function (role) {
   return this.roles.includes(role);
 };
 
+// Check if user is currently suspended (expired suspensions no longer apply)
+userSchema.methods.isSuspended = function () {
+  if (!this.suspension?.isSuspended) return false;
+  return !this.suspension.expiresAt || this.suspension.expiresAt > new Date();
+};
+
+// Get the role the user is currently acting as (falls back to first role)
+userSchema.methods.getActiveRole = function () {
+  return this.roles.includes(this.activeRole) ? this.activeRole : this.roles[0];
+};
+
+// Indexes
+userSchema.index({ roles: 1 });
+userSchema.index({ "suspension.isSuspended": 1 });
+userSchema.index({ "deletion.scheduledFor": 1 });
+
 const User = mongoose.model("User", userSchema);
 
 export default User;
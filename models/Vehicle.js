@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+
+// Passenger seats per vehicle type: default for new vehicles and the maximum allowed
+export const VEHICLE_SEATS = {
+  car: { default: 4, max: 6 },
+  bike: { default: 1, max: 1 },
+  van: { default: 7, max: 8 },
+};
+
+const vehicleSchema = new mongoose.Schema(
+  {
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    vehicleType: {
+      type: String,
+      enum: ["car", "bike", "van"],
+      required: true,
+    },
+    vehicleModel: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    vehicleColor: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    vehiclePlate: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Passenger seats the vehicle can offer on a ride
+    seatCapacity: {
+      type: Number,
+      required: true,
+      min: [1, "At least 1 seat is required"],
+      max: [8, "Maximum 8 seats allowed"],
+    },
+    // Used for rides posted without a vehicleId
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    // Removed vehicles are kept so past rides still show them
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Vehicles added (or re-plated) after driver approval are reviewed on their own;
+    // the registration vehicle is reviewed with the driver profile
+    approvalStatus: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "approved",
+    },
+    approval: {
+      submittedAt: Date,
+      reviewedAt: Date,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      rejectionReason: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+vehicleSchema.index({ driver: 1, isActive: 1 });
+vehicleSchema.index({ approvalStatus: 1, "approval.submittedAt": 1 });
+vehicleSchema.index(
+  { vehiclePlate: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// Only approved vehicles can be used for new rides
+vehicleSchema.virtual("isApproved").get(function () {
+  return this.approvalStatus === "approved";
+});
+
+const Vehicle = mongoose.model("Vehicle", vehicleSchema);
+
+export default Vehicle;
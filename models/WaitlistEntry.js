@@ -0,0 +1,93 @@
+import mongoose from "mongoose";
+
+// Location shape used for pickup/dropoff (same as on Booking)
+const locationSchema = new mongoose.Schema(
+  {
+    address: String,
+    city: String,
+    coordinates: {
+      type: {
+        type: String,
+        enum: ["Point"],
+        default: "Point",
+      },
+      coordinates: {
+        type: [Number],
+        default: [0, 0],
+      },
+    },
+  },
+  { _id: false }
+);
+
+// A passenger waiting for seats on a full ride (served first come, first served)
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    ride: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ride",
+      required: true,
+    },
+    passenger: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Copied onto the booking once seats free up
+    seatsRequested: {
+      type: Number,
+      required: [true, "Number of seats is required"],
+      min: [1, "At least 1 seat must be requested"],
+    },
+    fromStop: {
+      type: Number,
+      min: 0,
+    },
+    toStop: {
+      type: Number,
+      min: 1,
+    },
+    pickupLocation: locationSchema,
+    dropoffLocation: locationSchema,
+    paymentMethod: {
+      type: String,
+      enum: ["cash", "online"],
+      default: "cash",
+    },
+    passengerNote: {
+      type: String,
+      maxlength: [200, "Note cannot exceed 200 characters"],
+    },
+    status: {
+      type: String,
+      enum: [
+        "waiting", // In the queue
+        "booked", // Seats freed up, pending booking created
+        "cancelled", // Left the waitlist, or the ride was cancelled
+      ],
+      default: "waiting",
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+    },
+    bookedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+waitlistEntrySchema.index({ ride: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index(
+  { ride: 1, passenger: 1 },
+  { unique: true, partialFilterExpression: { status: "waiting" } }
+);
+waitlistEntrySchema.index({ passenger: 1, status: 1 });
+
+const WaitlistEntry = mongoose.model("WaitlistEntry", waitlistEntrySchema);
+
+export default WaitlistEntry;
@@ -0,0 +1,60 @@
+import express from "express";
+import {
+  getUsers,
+  getUserDetails,
+  suspendUser,
+  unsuspendUser,
+  grantRole,
+  revokeRole,
+  createAdminInvite,
+  getAdminInvites,
+  revokeAdminInvite,
+  getDriverApplications,
+  approveDriver,
+  rejectDriver,
+  getVehicleApplications,
+  approveVehicle,
+  rejectVehicle,
+  getIncidents,
+  getIncidentDetails,
+  acknowledgeIncident,
+  resolveIncident,
+} from "../controllers/adminController.js";
+import { protect } from "../middleware/authMiddleware.js";
+import { requireRole } from "../middleware/roleMiddleware.js";
+
+const router = express.Router();
+
+// All admin routes require admin role
+router.use(protect, requireRole("admin"));
+
+// ==================== USER MANAGEMENT ROUTES ====================
+router.get("/users", getUsers);                            // Search/filter users
+router.get("/users/:id", getUserDetails);                  // User details with rides/bookings/reviews
+router.patch("/users/:id/suspend", suspendUser);           // Suspend/ban user
+router.patch("/users/:id/unsuspend", unsuspendUser);       // Lift suspension
+router.post("/users/:id/roles", grantRole);                // Grant role
+router.delete("/users/:id/roles/:role", revokeRole);       // Revoke role
+
+// ==================== ADMIN INVITE ROUTES ====================
+router.post("/invites", createAdminInvite);                // Email one-time admin invite code
+router.get("/invites", getAdminInvites);                   // List invites
+router.delete("/invites/:id", revokeAdminInvite);          // Revoke pending invite
+
+// ==================== DRIVER APPROVAL ROUTES ====================
+router.get("/drivers", getDriverApplications);             // Driver applications queue (?status=pending)
+router.patch("/drivers/:id/approve", approveDriver);       // Approve driver
+router.patch("/drivers/:id/reject", rejectDriver);         // Reject driver with reason
+
+// ==================== VEHICLE APPROVAL ROUTES ====================
+router.get("/vehicles", getVehicleApplications);           // Vehicle review queue (?status=pending)
+router.patch("/vehicles/:id/approve", approveVehicle);     // Approve vehicle
+router.patch("/vehicles/:id/reject", rejectVehicle);       // Reject vehicle with reason
+
+// ==================== INCIDENT ROUTES ====================
+router.get("/incidents", getIncidents);                                // SOS incident queue
+router.get("/incidents/:id", getIncidentDetails);                      // Incident details
+router.patch("/incidents/:id/acknowledge", acknowledgeIncident);       // Acknowledge incident
+router.patch("/incidents/:id/resolve", resolveIncident);               // Resolve incident
+
+export default router;
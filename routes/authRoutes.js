@@ -8,7 +8,41 @@ import {
     resendVerification,
     forgotPassword,
     resetPassword,
+    refreshAccessToken,
+    logout,
+    getSessions,
+    deleteSession,
+    verifyTwoFactorLogin,
+    updateMe,
+    changePassword,
+    requestEmailChange,
+    verifyEmailChange,
+    becomeDriver,
+    resubmitDriverApplication,
+    switchActiveRole,
+    verifyPhone,
+    resendPhoneCode,
+    acceptAdminInvite,
+    deleteMe,
 } from "../controllers/authController.js";
+import {
+    requestDataExport,
+    getMyDataExports,
+    downloadDataExport,
+} from "../controllers/dataExportController.js";
+import {
+    getEmergencyContacts,
+    addEmergencyContact,
+    updateEmergencyContact,
+    deleteEmergencyContact,
+} from "../controllers/safetyController.js";
+import {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+} from "../controllers/twoFactorController.js";
 import { protect } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
@@ -23,12 +57,54 @@ router.post("/resend-verification", resendVerification); // Resend verification
 
 // Public routes - Authentication
 router.post("/login", login);                          // Login (both)
+router.post("/login/2fa", verifyTwoFactorLogin);       // Second login step (2FA code)
 
 // Public routes - Password Reset
 router.post("/forgot-password", forgotPassword);       // Request password reset
 router.post("/reset-password", resetPassword);         // Reset password with code
 
+// Public routes - Token Refresh
+router.post("/refresh", refreshAccessToken);           // Rotate refresh token
+
 // Protected routes
 router.get("/me", protect, getMe);                     // Get current user profile
+router.patch("/me", protect, updateMe);                // Update profile / vehicle info
+router.delete("/me", protect, deleteMe);               // Delete account (with grace period)
+router.post("/change-password", protect, changePassword);          // Change password
+router.post("/change-email", protect, requestEmailChange);         // Send code to new email
+router.post("/change-email/verify", protect, verifyEmailChange);   // Confirm new email
+
+// Protected routes - Emergency Contacts
+router.get("/me/emergency-contacts", protect, getEmergencyContacts);                    // List contacts
+router.post("/me/emergency-contacts", protect, addEmergencyContact);                    // Add contact (max 5)
+router.put("/me/emergency-contacts/:contactId", protect, updateEmergencyContact);       // Update contact
+router.delete("/me/emergency-contacts/:contactId", protect, deleteEmergencyContact);    // Delete contact
+
+// Protected routes - Personal Data Export
+router.post("/me/export", protect, requestDataExport);                  // Request data export
+router.get("/me/exports", protect, getMyDataExports);                   // Export requests status
+router.get("/me/export/:id/download", downloadDataExport);              // Download (token link)
+
+// Protected routes - Phone Verification
+router.post("/verify-phone", protect, verifyPhone);            // Verify phone with SMS code
+router.post("/resend-phone-code", protect, resendPhoneCode);   // Send/resend SMS code
+
+// Protected routes - Roles
+router.post("/become-driver", protect, becomeDriver);  // Add driver profile to account
+router.post("/driver-application/resubmit", protect, resubmitDriverApplication); // Resubmit after rejection
+router.patch("/active-role", protect, switchActiveRole); // Switch passenger/driver view
+router.post("/accept-admin-invite", protect, acceptAdminInvite); // Accept admin invite code
+
+// Protected routes - Sessions
+router.post("/logout", protect, logout);               // Logout current device
+router.get("/sessions", protect, getSessions);         // List logged in devices
+router.delete("/sessions/:id", protect, deleteSession); // Logout a device
+
+// Protected routes - Two-Factor Authentication
+router.get("/2fa", protect, getTwoFactorStatus);                        // 2FA status
+router.post("/2fa/setup", protect, setupTwoFactor);                     // Start enrollment (QR URI)
+router.post("/2fa/enable", protect, enableTwoFactor);                   // Confirm enrollment
+router.post("/2fa/disable", protect, disableTwoFactor);                 // Disable 2FA
+router.post("/2fa/recovery-codes", protect, regenerateRecoveryCodes);   // New recovery codes
 
 export default router;
@@ -11,27 +11,41 @@ import {
   getPassengerHistory,
   getDriverHistory,
   getActiveBookings,
+  getDriverLocation,
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+  driverCancelBooking,
 } from "../controllers/bookingController.js";
-import { protect } from "../middleware/authMiddleware.js";
+import { createTripShare, revokeTripShares, raiseSos } from "../controllers/safetyController.js";
+import { protect, requireVerifiedPhone } from "../middleware/authMiddleware.js";
 import { requireRole } from "../middleware/roleMiddleware.js";
 
 const router = express.Router();
 
 // ==================== PASSENGER ROUTES ====================
-router.post("/", protect, requireRole("passenger"), bookRide);                    // Book a ride
+router.post("/", protect, requireRole("passenger"), requireVerifiedPhone("book"), bookRide); // Book a ride
 router.get("/my-bookings", protect, requireRole("passenger"), getMyBookings);     // Get passenger's bookings
 router.patch("/:id/cancel", protect, requireRole("passenger"), cancelBooking);    // Cancel booking
 router.get("/passenger/history", protect, requireRole("passenger"), getPassengerHistory); // Passenger history & stats
+router.post("/:id/share", protect, requireRole("passenger"), createTripShare);    // Create trip share link
+router.delete("/:id/share", protect, requireRole("passenger"), revokeTripShares); // Revoke trip share links
+router.get("/:id/driver-location", protect, requireRole("passenger"), getDriverLocation); // Driver's live location
+router.post("/waitlist", protect, requireRole("passenger"), requireVerifiedPhone("book"), joinWaitlist); // Join a full ride's waitlist
+router.get("/waitlist", protect, requireRole("passenger"), getMyWaitlist);        // Get my waitlist entries
+router.delete("/waitlist/:id", protect, requireRole("passenger"), leaveWaitlist); // Leave waitlist
 
 // ==================== DRIVER ROUTES ====================
 router.get("/ride/:rideId", protect, requireRole("driver"), getRideBookings);     // Get bookings for a ride
 router.get("/driver/all", protect, requireRole("driver"), getDriverBookings);     // Get all driver's bookings
 router.patch("/:id/respond", protect, requireRole("driver"), respondToBooking);   // Confirm/Reject booking
+router.patch("/:id/driver-cancel", protect, requireRole("driver"), driverCancelBooking); // Cancel a passenger's booking
 router.patch("/:id/status", protect, requireRole("driver"), updateBookingStatus); // Update booking status
 router.get("/driver/history", protect, requireRole("driver"), getDriverHistory);  // Driver history & stats
 
 // ==================== COMMON ROUTES ====================
 router.get("/active", protect, getActiveBookings);                                // Get active/ongoing bookings
+router.post("/:id/sos", protect, raiseSos);                                       // Raise SOS alert (passenger or driver)
 router.get("/:id", protect, getBookingDetails);                                   // Get booking details
 
 export default router;
@@ -0,0 +1,27 @@
+import express from "express";
+import {
+  getMyVehicles,
+  addVehicle,
+  updateVehicle,
+  setDefaultVehicle,
+  removeVehicle,
+  updateMyLocation,
+  getNearbyDrivers,
+} from "../controllers/driverController.js";
+import { protect } from "../middleware/authMiddleware.js";
+import { requireRole } from "../middleware/roleMiddleware.js";
+
+const router = express.Router();
+
+// ==================== VEHICLE ROUTES ====================
+router.get("/me/vehicles", protect, requireRole("driver"), getMyVehicles);                   // List my vehicles
+router.post("/me/vehicles", protect, requireRole("driver"), addVehicle);                     // Add vehicle
+router.patch("/me/vehicles/:id", protect, requireRole("driver"), updateVehicle);             // Update vehicle
+router.patch("/me/vehicles/:id/default", protect, requireRole("driver"), setDefaultVehicle); // Set default vehicle
+router.delete("/me/vehicles/:id", protect, requireRole("driver"), removeVehicle);            // Remove vehicle
+
+// ==================== LOCATION ROUTES ====================
+router.post("/me/location", protect, requireRole("driver"), updateMyLocation);              // GPS ping
+router.get("/nearby", protect, requireRole("admin"), getNearbyDrivers);                      // Available drivers near a point
+
+export default router;
@@ -9,7 +9,7 @@ import {
   getRideDetails,
   getAllRides,
 } from "../controllers/rideController.js";
-import { protect } from "../middleware/authMiddleware.js";
+import { protect, requireVerifiedPhone } from "../middleware/authMiddleware.js";
 import { requireRole } from "../middleware/roleMiddleware.js";
 
 const router = express.Router();
@@ -24,7 +24,7 @@ router.get("/:id", getRideDetails);              // Get ride details by ID
 // ==================== DRIVER ROUTES ====================
 // These routes require driver role
 
-router.post("/", protect, requireRole("driver"), postRide);                    // Post a new ride
+router.post("/", protect, requireRole("driver"), requireVerifiedPhone("post"), postRide); // Post a new ride
 router.get("/driver/my-rides", protect, requireRole("driver"), getMyRides);    // Get driver's rides
 router.put("/:id", protect, requireRole("driver"), updateRide);                // Update ride details
 router.patch("/:id/status", protect, requireRole("driver"), updateRideStatus); // Update ride status
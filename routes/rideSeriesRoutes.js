@@ -0,0 +1,31 @@
+import express from "express";
+import {
+  createRideSeries,
+  getMySeries,
+  updateRideSeries,
+  cancelRideSeries,
+  getSeriesDetails,
+  subscribeToSeries,
+  unsubscribeFromSeries,
+  getMySubscriptions,
+} from "../controllers/rideSeriesController.js";
+import { protect, requireVerifiedPhone } from "../middleware/authMiddleware.js";
+import { requireRole } from "../middleware/roleMiddleware.js";
+
+const router = express.Router();
+
+// ==================== DRIVER ROUTES ====================
+router.post("/", protect, requireRole("driver"), requireVerifiedPhone("post"), createRideSeries); // Create ride series
+router.get("/my-series", protect, requireRole("driver"), getMySeries);            // Get driver's series
+router.patch("/:id", protect, requireRole("driver"), updateRideSeries);           // Update series (and upcoming rides)
+router.patch("/:id/cancel", protect, requireRole("driver"), cancelRideSeries);    // Cancel series
+
+// ==================== PASSENGER ROUTES ====================
+router.get("/my-subscriptions", protect, requireRole("passenger"), getMySubscriptions); // Get passenger's subscriptions
+router.post("/:id/subscribe", protect, requireRole("passenger"), requireVerifiedPhone("book"), subscribeToSeries); // Subscribe to series
+router.delete("/:id/subscribe", protect, requireRole("passenger"), unsubscribeFromSeries); // Unsubscribe
+
+// ==================== PUBLIC ROUTES ====================
+router.get("/:id", getSeriesDetails);                                             // Get series details
+
+export default router;
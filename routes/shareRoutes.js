@@ -0,0 +1,9 @@
+import express from "express";
+import { getSharedTrip } from "../controllers/safetyController.js";
+
+const router = express.Router();
+
+// ==================== PUBLIC ROUTES ====================
+router.get("/:token", getSharedTrip);   // View shared trip progress
+
+export default router;
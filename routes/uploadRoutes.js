@@ -0,0 +1,37 @@
+import express from "express";
+import {
+  uploadProfilePicture,
+  uploadDriverDocument,
+  getMyUploads,
+  downloadUpload,
+  deleteUpload,
+} from "../controllers/uploadController.js";
+import { protect } from "../middleware/authMiddleware.js";
+import { requireRole } from "../middleware/roleMiddleware.js";
+import { uploadSingle } from "../middleware/uploadMiddleware.js";
+
+const router = express.Router();
+
+const MB = 1024 * 1024;
+
+const profilePictureUpload = uploadSingle("file", {
+  allowedTypes: ["image/jpeg", "image/png", "image/webp"],
+  maxSize: 5 * MB,
+});
+
+const documentUpload = uploadSingle("file", {
+  allowedTypes: ["image/jpeg", "image/png", "image/webp", "application/pdf"],
+  maxSize: 10 * MB,
+});
+
+// All upload routes require authentication
+router.use(protect);
+
+// ==================== UPLOAD ROUTES ====================
+router.post("/profile-picture", profilePictureUpload, uploadProfilePicture);           // Upload profile picture
+router.post("/documents", requireRole("driver"), documentUpload, uploadDriverDocument); // Upload driver document
+router.get("/", getMyUploads);                                                          // List my uploads
+router.get("/:id", downloadUpload);                                                     // Download file / thumbnail
+router.delete("/:id", deleteUpload);                                                    // Delete my upload
+
+export default router;
@@ -0,0 +1,72 @@
+/**
+ * Create (or promote) a verified admin account
+ *
+ * Usage:
+ *   npm run create-admin -- --email admin@example.com --name "Admin" --phone 03001234567 --password secret123
+ *
+ * If a user with the email already exists, the admin role is added to it
+ * (name/phone/password are ignored). Admins must enable two-factor
+ * authentication on first login before admin routes are accessible.
+ */
+import { parseArgs } from "util";
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import { validatePassengerRegister } from "../utils/validators.js";
+
+dotenv.config();
+
+const { values } = parseArgs({
+  options: {
+    email: { type: "string" },
+    name: { type: "string" },
+    phone: { type: "string" },
+    password: { type: "string" },
+  },
+});
+
+const run = async () => {
+  if (!values.email) {
+    throw new Error("--email is required");
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const existingUser = await User.findOne({ email: values.email.toLowerCase() });
+
+  if (existingUser) {
+    if (!existingUser.roles.includes("admin")) {
+      existingUser.roles.push("admin");
+    }
+    existingUser.isVerified = true;
+    await existingUser.save();
+
+    console.log(`Promoted ${existingUser.email} to admin (roles: ${existingUser.roles.join(", ")})`);
+    return;
+  }
+
+  // Same rules as normal registration
+  const { isValid, errors } = validatePassengerRegister(values);
+  if (!isValid) {
+    throw new Error(Object.values(errors).join("; "));
+  }
+
+  const user = await User.create({
+    name: values.name,
+    email: values.email.toLowerCase(),
+    password: values.password,
+    phone: values.phone,
+    roles: ["admin"],
+    isVerified: true,
+  });
+
+  console.log(`Created admin ${user.email}`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error("Create admin failed:", error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
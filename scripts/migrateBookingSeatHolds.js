@@ -0,0 +1,60 @@
+/**
+ * Set `holdsSeats` on bookings made before it existed
+ *
+ * Usage:
+ *   npm run migrate:booking-seat-holds
+ *
+ * The flag backs the unique index that stops a passenger from holding seats
+ * on the same ride twice. Older bookings don't have it, so the index doesn't
+ * cover them until this runs. Safe to run more than once.
+ */
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Booking, { SEAT_RELEASED_STATUSES } from "../models/Booking.js";
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const collection = Booking.collection;
+  const legacy = { holdsSeats: { $exists: false } };
+
+  const released = await collection.updateMany(
+    { ...legacy, status: { $in: SEAT_RELEASED_STATUSES } },
+    { $set: { holdsSeats: false } }
+  );
+
+  // Update one by one so a duplicate only skips that booking
+  let holding = 0;
+  const duplicates = [];
+  const bookings = await collection.find(legacy).project({ _id: 1 }).toArray();
+  for (const { _id } of bookings) {
+    try {
+      await collection.updateOne({ _id }, { $set: { holdsSeats: true } });
+      holding++;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      duplicates.push(_id);
+    }
+  }
+
+  console.log(
+    `Marked ${holding} booking(s) holding seats and ${released.modifiedCount} released`
+  );
+  if (duplicates.length > 0) {
+    console.log(
+      `${duplicates.length} booking(s) duplicate another booking by the same passenger on the same ride and were left unmarked: ${duplicates.join(", ")}`
+    );
+  }
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error("Booking seat hold migration failed:", error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,49 @@
+/**
+ * Move driver profiles from the old `isApproved` flag to `approvalStatus`
+ *
+ * Usage:
+ *   npm run migrate:driver-approval
+ *
+ * Profiles that were approved keep posting rides. Profiles that were not
+ * approved join the admin review queue as pending. Safe to run more than once.
+ */
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import DriverProfile from "../models/DriverProfile.js";
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const collection = DriverProfile.collection;
+  const legacy = { approvalStatus: { $exists: false } };
+
+  const approved = await collection.updateMany(
+    { ...legacy, isApproved: true },
+    { $set: { approvalStatus: "approved" }, $unset: { isApproved: "" } }
+  );
+
+  // Not approved (or no flag at all) - wait for review
+  const pending = await collection.updateMany(legacy, [
+    {
+      $set: {
+        approvalStatus: "pending",
+        "approval.submittedAt": { $ifNull: ["$approval.submittedAt", "$createdAt"] },
+      },
+    },
+    { $unset: "isApproved" },
+  ]);
+
+  console.log(
+    `Marked ${approved.modifiedCount} driver(s) approved and ${pending.modifiedCount} pending review`
+  );
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error("Driver approval migration failed:", error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,59 @@
+/**
+ * Recount free seats and passenger lists of rides from their bookings
+ *
+ * Usage:
+ *   npm run reconcile:seats -- [--dry-run] [--ride <rideId>]
+ *
+ * Checks upcoming and ongoing rides (or just --ride), prints every ride whose
+ * seats or passengers don't match its bookings and repairs it. With
+ * --dry-run nothing is changed. The same check runs as a background job.
+ */
+import { parseArgs } from "util";
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { reconcileSeats, describeDiscrepancy } from "../utils/seatReconciliation.js";
+
+dotenv.config();
+
+const { values } = parseArgs({
+  options: {
+    "dry-run": { type: "boolean", default: false },
+    ride: { type: "string" },
+  },
+});
+
+const run = async () => {
+  if (values.ride && !mongoose.isValidObjectId(values.ride)) {
+    throw new Error("--ride must be a ride id");
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const dryRun = values["dry-run"];
+  const { checked, repaired, skipped, discrepancies } = await reconcileSeats({
+    dryRun,
+    rideId: values.ride,
+  });
+
+  for (const discrepancy of discrepancies) {
+    console.log(describeDiscrepancy(discrepancy));
+  }
+
+  if (dryRun) {
+    console.log(
+      `Checked ${checked} ride(s): ${discrepancies.length} don't match their bookings (dry run, nothing changed)`
+    );
+  } else {
+    console.log(
+      `Checked ${checked} ride(s): ${discrepancies.length} didn't match their bookings, ${repaired} repaired, ${skipped} skipped (changed meanwhile, run again)`
+    );
+  }
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error("Seat reconciliation failed:", error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
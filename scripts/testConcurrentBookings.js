@@ -0,0 +1,123 @@
+/**
+ * Fire parallel bookings and cancellations at one ride and check it is never
+ * overbooked and seats are never given back twice
+ *
+ * Usage:
+ *   npm run test:concurrency
+ *
+ * Uses MONGO_URI, so point it at a development or test database. The ride
+ * and bookings it creates are deleted afterwards.
+ */
+import assert from "node:assert/strict";
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Ride from "../models/Ride.js";
+import Booking from "../models/Booking.js";
+import { bookSegment, releaseBooking, recalculateSeats } from "../utils/segmentService.js";
+
+dotenv.config();
+
+const TOTAL_SEATS = 3;
+const PASSENGERS = 20;
+
+const place = (city) => ({ address: `${city} bus stand`, city });
+
+// Book, treating a duplicate booking as a failed attempt
+const tryBooking = async (ride, passenger, from, to) => {
+  try {
+    return await bookSegment(ride, { passenger, seatsBooked: 1, from, to });
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Seats on the ride must match its bookings
+const checkSeats = async (ride) => {
+  const saved = await Ride.findById(ride._id);
+  const expected = await Ride.findById(ride._id);
+  await recalculateSeats(expected);
+
+  assert.deepEqual([...saved.segmentSeats], [...expected.segmentSeats]);
+  assert.equal(saved.availableSeats, expected.availableSeats);
+  assert.ok(saved.segmentSeats.every((seats) => seats >= 0), "a leg is overbooked");
+  return saved;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  await Booking.createIndexes();
+
+  // Lahore -> Okara -> Sahiwal -> Multan
+  const ride = await Ride.create({
+    driver: new mongoose.Types.ObjectId(),
+    driverProfile: new mongoose.Types.ObjectId(),
+    origin: place("Lahore"),
+    destination: place("Multan"),
+    stops: [place("Okara"), place("Sahiwal")],
+    departureDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    departureTime: "09:00",
+    totalSeats: TOTAL_SEATS,
+    availableSeats: TOTAL_SEATS,
+    farePerSeat: 2000,
+  });
+
+  try {
+    // Many passengers racing for the whole trip
+    const passengers = Array.from({ length: PASSENGERS }, () => new mongoose.Types.ObjectId());
+    const wholeTrip = await Promise.all(
+      passengers.map((passenger) => tryBooking(ride, passenger, 0, 3))
+    );
+    const booked = wholeTrip.filter(Boolean);
+    assert.equal(booked.length, TOTAL_SEATS, `expected ${TOTAL_SEATS} bookings, got ${booked.length}`);
+    assert.equal((await checkSeats(ride)).availableSeats, 0);
+    console.log(`✓ ${PASSENGERS} parallel bookings for ${TOTAL_SEATS} seats: ${booked.length} succeeded`);
+
+    // Cancel the same booking several times at once: seats come back once
+    const cancelled = await Promise.all(
+      Array.from({ length: 5 }, () =>
+        releaseBooking(booked[0], ["pending", "confirmed"], { status: "cancelled" })
+      )
+    );
+    assert.equal(cancelled.filter(Boolean).length, 1);
+    assert.equal((await checkSeats(ride)).availableSeats, 1);
+    console.log("✓ 5 parallel cancellations of one booking: seats given back once");
+
+    // One passenger booking twice at once: only one booking holds seats
+    const passenger = new mongoose.Types.ObjectId();
+    const twice = await Promise.all([
+      tryBooking(ride, passenger, 0, 1),
+      tryBooking(ride, passenger, 0, 1),
+    ]);
+    assert.equal(twice.filter(Boolean).length, 1);
+    await checkSeats(ride);
+    console.log("✓ 2 parallel bookings by one passenger: 1 succeeded");
+
+    // Segments racing for the freed seat: Lahore -> Okara is now full,
+    // Okara -> Multan and Sahiwal -> Multan share the one left
+    const segments = await Promise.all(
+      Array.from({ length: 10 }, (_, i) =>
+        tryBooking(ride, new mongoose.Types.ObjectId(), 1 + (i % 2), 3)
+      )
+    );
+    assert.equal(segments.filter(Boolean).length, 1);
+    assert.equal((await checkSeats(ride)).segmentSeats[2], 0);
+    console.log("✓ 10 parallel segment bookings for 1 free seat: 1 succeeded");
+  } finally {
+    await Booking.deleteMany({ ride: ride._id });
+    await Ride.deleteOne({ _id: ride._id });
+  }
+};
+
+run()
+  .then(async () => {
+    console.log("Concurrent booking checks passed");
+    await mongoose.disconnect();
+  })
+  .catch(async (error) => {
+    console.error("Concurrent booking checks failed:", error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
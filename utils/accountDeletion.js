@@ -0,0 +1,159 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import User from "../models/User.js";
+import DriverProfile from "../models/DriverProfile.js";
+import Ride from "../models/Ride.js";
+import Booking, { ACTIVE_BOOKING_STATUSES } from "../models/Booking.js";
+import Session from "../models/Session.js";
+import DataExport from "../models/DataExport.js";
+import Vehicle from "../models/Vehicle.js";
+import RideSeries from "../models/RideSeries.js";
+import SeriesSubscription from "../models/SeriesSubscription.js";
+import WaitlistEntry from "../models/WaitlistEntry.js";
+import { removeUploads } from "./uploadService.js";
+import { releaseBooking } from "./segmentService.js";
+import { promoteWaitlist } from "./waitlistService.js";
+
+/**
+ * Get days an account stays restorable after a deletion request
+ */
+export const getDeletionGraceDays = () => {
+  return parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+};
+
+/**
+ * Count what prevents a user from deleting their account
+ * @param {string} userId - User's MongoDB ObjectId
+ * @returns {Promise<{ activeBookings: number, activeDriverBookings: number, scheduledRides: number }>}
+ */
+export const getDeletionBlockers = async (userId) => {
+  const activeBookings = await Booking.countDocuments({
+    passenger: userId,
+    status: { $in: ACTIVE_BOOKING_STATUSES },
+  });
+
+  const scheduledRides = await Ride.countDocuments({
+    driver: userId,
+    status: { $in: ["scheduled", "in-progress"] },
+  });
+
+  const driverRides = await Ride.find({ driver: userId }).select("_id");
+  const activeDriverBookings = await Booking.countDocuments({
+    ride: { $in: driverRides.map((r) => r._id) },
+    status: { $in: ACTIVE_BOOKING_STATUSES },
+  });
+
+  return { activeBookings, activeDriverBookings, scheduledRides };
+};
+
+/**
+ * Cancel a user's pending bookings, series subscriptions and waitlist entries
+ * and give the seats back
+ * @param {string} userId - User's MongoDB ObjectId
+ */
+export const cancelPendingBookings = async (userId) => {
+  await SeriesSubscription.updateMany(
+    { passenger: userId, status: "active" },
+    { status: "cancelled", cancelledAt: new Date() }
+  );
+  await WaitlistEntry.updateMany({ passenger: userId, status: "waiting" }, { status: "cancelled" });
+
+  const bookings = await Booking.find({ passenger: userId, status: "pending" });
+
+  for (const booking of bookings) {
+    const updated = await releaseBooking(booking, ["pending"], {
+      status: "cancelled",
+      cancelledBy: "passenger",
+      cancellationReason: "Account deleted",
+      cancelledAt: new Date(),
+    });
+    if (updated) {
+      await promoteWaitlist(booking.ride);
+    }
+  }
+};
+
+/**
+ * Scrub personal data from a user while keeping their rides, bookings and
+ * reviews so other users' histories and driver ratings stay intact
+ * @param {object} user - User document
+ */
+export const anonymizeUser = async (user) => {
+  const placeholder = `deleted-${user._id}`;
+
+  user.name = "Deleted user";
+  user.email = `${placeholder}@deleted.invalid`;
+  user.phone = "deleted";
+  user.profilePicture = "";
+  user.emergencyContacts = [];
+  user.password = crypto.randomBytes(32).toString("hex");
+  user.isVerified = false;
+  user.isPhoneVerified = false;
+  user.pendingEmail = null;
+  user.verificationCode = null;
+  user.resetPasswordCode = null;
+  user.emailChangeCode = null;
+  user.phoneVerificationCode = null;
+  user.twoFactor = { enabled: false, secret: null, pendingSecret: null, recoveryCodes: [] };
+  user.deletion.anonymizedAt = new Date();
+  await user.save();
+
+  // Keep the driver profile (rating, totals) but drop identity documents
+  await DriverProfile.updateOne(
+    { user: user._id },
+    {
+      cnic: placeholder,
+      drivingLicense: "deleted",
+      "vehicleInfo.vehiclePlate": placeholder,
+      isAvailable: false,
+      documents: {},
+      currentLocation: { type: "Point", coordinates: [0, 0] },
+      locationUpdatedAt: null,
+    }
+  );
+
+  // Vehicles stay linked to past rides, without their plates
+  await Vehicle.updateMany(
+    { driver: user._id },
+    { vehiclePlate: "deleted", isActive: false, isDefault: false }
+  );
+
+  // No more rides from their series
+  await RideSeries.updateMany(
+    { driver: user._id, status: "active" },
+    { status: "cancelled", cancelledAt: new Date() }
+  );
+
+  await Session.deleteMany({ user: user._id });
+
+  // Remove any data exports still on disk
+  const exports = await DataExport.find({ user: user._id });
+  for (const dataExport of exports) {
+    for (const filePath of [dataExport.files?.json, dataExport.files?.zip]) {
+      if (filePath) {
+        await fs.rm(filePath, { force: true });
+      }
+    }
+  }
+  await DataExport.deleteMany({ user: user._id });
+
+  // Profile picture and identity documents
+  await removeUploads(user._id);
+};
+
+/**
+ * Anonymize every account whose deletion grace period has passed
+ * @returns {Promise<number>} Number of accounts anonymized
+ */
+export const purgeDeletedAccounts = async () => {
+  const users = await User.find({
+    "deletion.scheduledFor": { $lte: new Date() },
+    "deletion.anonymizedAt": null,
+  });
+
+  for (const user of users) {
+    await anonymizeUser(user);
+  }
+
+  return users.length;
+};
@@ -0,0 +1,101 @@
+import AuthAttempt from "../models/AuthAttempt.js";
+import { getClientInfo } from "./sessionService.js";
+
+// Failures allowed before the first lockout
+const ACCOUNT_MAX_FAILURES = 5;
+const IP_MAX_FAILURES = 20;
+
+// Lockout doubles with every failure past the limit (1 min, 2 min, 4 min, ... up to 1 hour)
+const BASE_LOCKOUT_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+
+// Counters reset after a day without failures
+const ATTEMPT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Wrong guesses allowed before a verification/reset code is invalidated
+export const MAX_CODE_ATTEMPTS = 5;
+
+/**
+ * Build throttle keys for an action (per IP and per account)
+ * @param {string} action - e.g. "login", "verify-email", "reset-password"
+ * @param {object} req - Express request
+ * @param {string} [account] - Email or user id the attempt targets
+ * @returns {string[]}
+ */
+export const getAttemptKeys = (action, req, account) => {
+  const keys = [`${action}:ip:${getClientInfo(req).ipAddress}`];
+  if (account) {
+    keys.push(`${action}:account:${String(account).toLowerCase()}`);
+  }
+  return keys;
+};
+
+/**
+ * Check if any of the keys is currently locked out
+ * @param {string[]} keys - Throttle keys
+ * @returns {Promise<{ locked: boolean, retryAfter: number }>} retryAfter in seconds
+ */
+export const checkLockout = async (keys) => {
+  const attempts = await AuthAttempt.find({
+    key: { $in: keys },
+    lockedUntil: { $gt: new Date() },
+  });
+
+  if (attempts.length === 0) {
+    return { locked: false, retryAfter: 0 };
+  }
+
+  const lockedUntil = Math.max(...attempts.map((a) => a.lockedUntil.getTime()));
+  return { locked: true, retryAfter: Math.ceil((lockedUntil - Date.now()) / 1000) };
+};
+
+/**
+ * Record a failed attempt and apply progressive lockout
+ * @param {string[]} keys - Throttle keys
+ */
+export const recordFailure = async (keys) => {
+  const now = new Date();
+
+  for (const key of keys) {
+    const attempt = await AuthAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + ATTEMPT_WINDOW_MS) },
+      },
+      { upsert: true, new: true }
+    );
+
+    const maxFailures = key.includes(":ip:") ? IP_MAX_FAILURES : ACCOUNT_MAX_FAILURES;
+    if (attempt.failures >= maxFailures) {
+      const lockoutMs = Math.min(
+        BASE_LOCKOUT_MS * 2 ** (attempt.failures - maxFailures),
+        MAX_LOCKOUT_MS
+      );
+      attempt.lockedUntil = new Date(now.getTime() + lockoutMs);
+      await attempt.save();
+    }
+  }
+};
+
+/**
+ * Clear account counters after a successful attempt
+ * IP counters keep running so one valid account can't be used to reset them.
+ * @param {string[]} keys - Throttle keys
+ */
+export const clearAttempts = async (keys) => {
+  await AuthAttempt.deleteMany({
+    key: { $in: keys.filter((key) => !key.includes(":ip:")) },
+  });
+};
+
+/**
+ * Send 429 response for a locked out client
+ */
+export const sendLockedOut = (res, retryAfter) => {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    message: `Too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+    retryAfter,
+  });
+};
@@ -0,0 +1,151 @@
+import Booking from "../models/Booking.js";
+import { sendBookingExpiredEmail, sendBookingResponseReminderEmail } from "./emailService.js";
+import { promoteWaitlist } from "./waitlistService.js";
+import {
+  getRoutePoints,
+  getBookingSegment,
+  getResponseDeadline,
+  releaseBooking,
+} from "./segmentService.js";
+
+// Ride fields needed for the emails
+const RIDE_FIELDS = "origin destination stops departureDate departureTime farePerSeat driver";
+
+/**
+ * Get how long before the response deadline drivers are reminded
+ */
+const getReminderMinutes = () => {
+  return parseInt(process.env.BOOKING_RESPONSE_REMINDER_MINUTES) || 30;
+};
+
+/**
+ * Get the booked segment as "Origin → Destination"
+ * @param {object} ride - Ride document
+ * @param {object} booking - Booking document
+ */
+const getRoute = (ride, booking) => {
+  const points = getRoutePoints(ride);
+  const { from, to } = getBookingSegment(ride, booking);
+  return `${points[from].city} → ${points[to].city}`;
+};
+
+/**
+ * Move the response deadlines of a ride's pending bookings after its departure changed
+ * @param {object} ride - Ride document (with the new departureDate and departureTime)
+ * @returns {Promise<number>} Number of bookings updated
+ */
+export const refreshResponseDeadlines = async (ride) => {
+  const bookings = await Booking.find({ ride: ride._id, status: "pending" }).select("createdAt");
+
+  for (const booking of bookings) {
+    await Booking.updateOne(
+      { _id: booking._id, status: "pending" },
+      {
+        responseDeadline: getResponseDeadline(ride, booking.createdAt),
+        $unset: { driverRemindedAt: "" },
+      }
+    );
+  }
+
+  return bookings.length;
+};
+
+/**
+ * Expire pending bookings the driver didn't respond to in time (releasing
+ * their seats and emailing the passenger), and remind drivers of requests
+ * that expire within BOOKING_RESPONSE_REMINDER_MINUTES (default 30)
+ * @returns {Promise<object|null>} Counts, or null if there was nothing to do
+ */
+export const expirePendingBookings = async () => {
+  const now = new Date();
+
+  // Bookings made before response deadlines existed
+  const undated = await Booking.find({
+    status: "pending",
+    responseDeadline: { $exists: false },
+  }).populate("ride", "departureDate departureTime");
+  for (const booking of undated) {
+    if (booking.ride) {
+      await Booking.updateOne(
+        { _id: booking._id, status: "pending" },
+        { responseDeadline: getResponseDeadline(booking.ride, booking.createdAt) }
+      );
+    }
+  }
+
+  const overdue = await Booking.find({ status: "pending", responseDeadline: { $lte: now } })
+    .populate("passenger", "name email")
+    .populate("ride", RIDE_FIELDS);
+
+  let bookingsExpired = 0;
+  for (const booking of overdue) {
+    // Only if the driver didn't respond (or the passenger cancel) meanwhile
+    const expired = await releaseBooking(booking, ["pending"], {
+      status: "expired",
+      expiredAt: now,
+    });
+    if (!expired) {
+      continue;
+    }
+    bookingsExpired++;
+
+    if (!booking.ride) {
+      continue;
+    }
+    await promoteWaitlist(booking.ride._id);
+
+    if (booking.passenger) {
+      try {
+        await sendBookingExpiredEmail(booking.passenger.email, booking.passenger.name, {
+          route: getRoute(booking.ride, booking),
+          departureDate: booking.ride.departureDate,
+          departureTime: booking.ride.departureTime,
+          seats: booking.seatsBooked,
+        });
+      } catch (emailError) {
+        console.error("Failed to send booking expired email:", emailError);
+      }
+    }
+  }
+
+  const remindBefore = new Date(now.getTime() + getReminderMinutes() * 60 * 1000);
+  const dueSoon = await Booking.find({
+    status: "pending",
+    driverRemindedAt: { $exists: false },
+    responseDeadline: { $gt: now, $lte: remindBefore },
+  })
+    .populate("passenger", "name")
+    .populate({
+      path: "ride",
+      select: RIDE_FIELDS,
+      populate: { path: "driver", select: "name email" },
+    });
+
+  let remindersSent = 0;
+  for (const booking of dueSoon) {
+    if (!booking.ride?.driver) {
+      continue;
+    }
+
+    try {
+      await sendBookingResponseReminderEmail(booking.ride.driver.email, booking.ride.driver.name, {
+        passengerName: booking.passenger?.name || "A passenger",
+        route: getRoute(booking.ride, booking),
+        departureDate: booking.ride.departureDate,
+        departureTime: booking.ride.departureTime,
+        seats: booking.seatsBooked,
+        responseDeadline: booking.responseDeadline,
+      });
+      await Booking.updateOne({ _id: booking._id }, { driverRemindedAt: new Date() });
+      remindersSent++;
+    } catch (emailError) {
+      // Not marked as sent - retried on the next run
+      console.error("Failed to send booking response reminder email:", emailError);
+    }
+  }
+
+  if (bookingsExpired === 0 && remindersSent === 0) {
+    return null;
+  }
+  return { bookingsExpired, remindersSent };
+};
@@ -0,0 +1,253 @@
+import fs from "fs";
+import path from "path";
+import { ZipArchive } from "archiver";
+import User from "../models/User.js";
+import DriverProfile from "../models/DriverProfile.js";
+import Ride from "../models/Ride.js";
+import Booking from "../models/Booking.js";
+import Review from "../models/Review.js";
+import Contact from "../models/Contact.js";
+import Vehicle from "../models/Vehicle.js";
+import RideSeries from "../models/RideSeries.js";
+import SeriesSubscription from "../models/SeriesSubscription.js";
+import WaitlistEntry from "../models/WaitlistEntry.js";
+import DataExport from "../models/DataExport.js";
+
+// Secrets and internal fields never included in an export
+const SENSITIVE_USER_FIELDS = [
+  "password",
+  "verificationCode",
+  "verificationCodeExpires",
+  "verificationCodeAttempts",
+  "resetPasswordCode",
+  "resetPasswordExpires",
+  "resetPasswordAttempts",
+  "emailChangeCode",
+  "emailChangeExpires",
+  "emailChangeAttempts",
+  "phoneVerificationCode",
+  "phoneVerificationExpires",
+  "phoneVerificationAttempts",
+  "phoneVerificationSentAt",
+  "twoFactor.secret",
+  "twoFactor.pendingSecret",
+  "twoFactor.recoveryCodes",
+];
+
+// Pending exports older than this were interrupted (e.g. by a restart)
+export const EXPORT_TIMEOUT_MS = 30 * 60 * 1000;
+
+/**
+ * Get directory where export files are stored
+ */
+export const getExportsDir = () => {
+  return process.env.EXPORTS_DIR || path.join("storage", "exports");
+};
+
+/**
+ * Collect everything stored about a user
+ * @param {string} userId - User's MongoDB ObjectId
+ * @returns {Promise<object>} Plain object grouped by collection
+ */
+export const collectUserData = async (userId) => {
+  const user = await User.findById(userId)
+    .select(SENSITIVE_USER_FIELDS.map((field) => `-${field}`).join(" "))
+    .lean();
+
+  const driverProfile = await DriverProfile.findOne({ user: userId }).lean();
+  const vehicles = await Vehicle.find({ driver: userId }).lean();
+  const rideSeries = await RideSeries.find({ driver: userId }).lean();
+  const rides = await Ride.find({ driver: userId }).lean();
+  const rideIds = rides.map((ride) => ride._id);
+
+  // Other people's details are reduced to ids
+  const bookingsAsPassenger = await Booking.find({ passenger: userId }).lean();
+  const seriesSubscriptions = await SeriesSubscription.find({ passenger: userId }).lean();
+  const waitlistEntries = await WaitlistEntry.find({ passenger: userId }).lean();
+  const bookingsAsDriver = await Booking.find({ ride: { $in: rideIds } })
+    .select("-pickupLocation -dropoffLocation -passengerNote")
+    .lean();
+
+  const reviewsGiven = await Review.find({ reviewer: userId }).lean();
+  const reviewsReceived = await Review.find({ reviewee: userId, isVisible: true }).lean();
+
+  const contactSubmissions = await Contact.find({ email: user.email })
+    .select("-adminNotes -handledBy")
+    .lean();
+
+  return {
+    exportedAt: new Date().toISOString(),
+    user,
+    driverProfile,
+    vehicles,
+    rideSeries,
+    rides,
+    bookingsAsPassenger,
+    seriesSubscriptions,
+    waitlistEntries,
+    bookingsAsDriver,
+    reviewsGiven,
+    reviewsReceived,
+    contactSubmissions,
+  };
+};
+
+/**
+ * Flatten a document into dot-notation keys (for CSV columns)
+ */
+const flatten = (value, prefix = "", result = {}) => {
+  if (
+    value !== null &&
+    typeof value === "object" &&
+    !(value instanceof Date) &&
+    !Array.isArray(value) &&
+    !value._bsontype
+  ) {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, prefix ? `${prefix}.${key}` : key, result);
+    }
+  } else if (Array.isArray(value)) {
+    result[prefix] = JSON.stringify(value);
+  } else if (value instanceof Date) {
+    result[prefix] = value.toISOString();
+  } else {
+    result[prefix] = value === null || value === undefined ? "" : String(value);
+  }
+  return result;
+};
+
+/**
+ * Convert documents to CSV text
+ * @param {object[]} docs - Documents
+ * @returns {string}
+ */
+export const toCsv = (docs) => {
+  const rows = docs.map((doc) => flatten(doc));
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+
+  const escape = (cell) => {
+    const text = cell === undefined ? "" : String(cell);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    columns.map(escape).join(","),
+    ...rows.map((row) => columns.map((column) => escape(row[column])).join(",")),
+  ].join("\n");
+};
+
+/**
+ * Write the zip archive with data.json and one CSV per collection
+ */
+const writeZip = async (filePath, data) => {
+  const output = fs.createWriteStream(filePath);
+  const archive = new ZipArchive({ zlib: { level: 9 } });
+
+  const closed = new Promise((resolve, reject) => {
+    output.on("close", resolve);
+    archive.on("error", reject);
+  });
+
+  archive.pipe(output);
+  archive.append(JSON.stringify(data, null, 2), { name: "data.json" });
+
+  for (const [name, value] of Object.entries(data)) {
+    if (name === "exportedAt" || !value) continue;
+    const docs = Array.isArray(value) ? value : [value];
+    archive.append(toCsv(docs), { name: `csv/${name}.csv` });
+  }
+
+  await archive.finalize();
+  await closed;
+};
+
+/**
+ * Assemble the export files for a DataExport request
+ * @param {object} dataExport - DataExport document
+ */
+export const buildDataExport = async (dataExport) => {
+  try {
+    const dir = getExportsDir();
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const data = await collectUserData(dataExport.user);
+
+    const jsonPath = path.join(dir, `${dataExport._id}.json`);
+    const zipPath = path.join(dir, `${dataExport._id}.zip`);
+
+    await fs.promises.writeFile(jsonPath, JSON.stringify(data, null, 2));
+    await writeZip(zipPath, data);
+
+    dataExport.files = { json: jsonPath, zip: zipPath };
+    dataExport.status = "ready";
+    dataExport.completedAt = new Date();
+    await dataExport.save();
+  } catch (error) {
+    dataExport.status = "failed";
+    dataExport.error = error.message;
+    await dataExport.save();
+    throw error;
+  }
+};
+
+/**
+ * Delete files of exports whose download window has passed
+ * @returns {Promise<number>} Number of exports expired
+ */
+export const cleanupExpiredExports = async () => {
+  const exports = await DataExport.find({
+    status: "ready",
+    expiresAt: { $lte: new Date() },
+  });
+
+  for (const dataExport of exports) {
+    for (const filePath of [dataExport.files?.json, dataExport.files?.zip]) {
+      if (filePath) {
+        await fs.promises.rm(filePath, { force: true });
+      }
+    }
+    dataExport.status = "expired";
+    dataExport.files = {};
+    await dataExport.save();
+  }
+
+  return exports.length;
+};
+
+/**
+ * Mark exports still pending after EXPORT_TIMEOUT_MS as failed and remove
+ * any partial files, so the user can request a new one
+ * @returns {Promise<number>} Number of exports marked as failed
+ */
+export const failStaleExports = async () => {
+  const exports = await DataExport.find({
+    status: "pending",
+    createdAt: { $lte: new Date(Date.now() - EXPORT_TIMEOUT_MS) },
+  });
+
+  const dir = getExportsDir();
+  for (const dataExport of exports) {
+    for (const extension of ["json", "zip"]) {
+      await fs.promises.rm(path.join(dir, `${dataExport._id}.${extension}`), { force: true });
+    }
+    dataExport.status = "failed";
+    dataExport.error = "Export did not finish in time";
+    await dataExport.save();
+  }
+
+  return exports.length;
+};
+
+/**
+ * Clean up data exports: fail interrupted ones and expire old downloads
+ * @returns {Promise<object|null>} Counts, or null if there was nothing to do
+ */
+export const maintainDataExports = async () => {
+  const failed = await failStaleExports();
+  const expired = await cleanupExpiredExports();
+
+  if (failed === 0 && expired === 0) {
+    return null;
+  }
+  return { failed, expired };
+};
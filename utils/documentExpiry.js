@@ -0,0 +1,116 @@
+import DriverProfile from "../models/DriverProfile.js";
+import Ride from "../models/Ride.js";
+import { sendDocumentExpiryEmail } from "./emailService.js";
+
+// DriverProfile.documentExpiry field -> label shown to drivers
+export const EXPIRING_DOCUMENTS = {
+  drivingLicense: "Driving license",
+  vehicleRegistration: "Vehicle registration",
+  insurance: "Vehicle insurance",
+};
+
+// Upload document type -> DriverProfile.documentExpiry field
+export const EXPIRING_DOCUMENT_TYPES = {
+  "driving-license": "drivingLicense",
+  "vehicle-registration": "vehicleRegistration",
+  insurance: "insurance",
+};
+
+// Reminders are emailed this many days before a document expires
+const REMINDER_DAYS = [30, 7, 1];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the reminder a document is due for (0 once expired, null if not yet due)
+ * @param {Date} expiresAt - Document expiry date
+ * @param {Date} now - Current time
+ */
+const getDueReminder = (expiresAt, now) => {
+  if (expiresAt <= now) {
+    return 0;
+  }
+  const daysLeft = Math.ceil((expiresAt - now) / DAY_MS);
+  const due = REMINDER_DAYS.filter((days) => daysLeft <= days);
+  return due.length > 0 ? Math.min(...due) : null;
+};
+
+/**
+ * Flag (or unflag) a driver's scheduled rides while they have an expired document
+ * @param {string} driverId - Driver's user id
+ * @param {boolean} documentsExpired - Whether any document has expired
+ * @returns {Promise<number>} Number of rides changed
+ */
+export const setExpiredRideFlags = async (driverId, documentsExpired) => {
+  const result = await Ride.updateMany(
+    { driver: driverId, status: "scheduled", documentsExpired: !documentsExpired },
+    { documentsExpired }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Email drivers whose documents expire within 30/7/1 days or have expired,
+ * and flag scheduled rides of drivers with expired documents
+ * @returns {Promise<object|null>} Counts, or null if there was nothing to do
+ */
+export const checkDocumentExpiry = async () => {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + Math.max(...REMINDER_DAYS) * DAY_MS);
+
+  const driverProfiles = await DriverProfile.find({
+    $or: Object.keys(EXPIRING_DOCUMENTS).map((field) => ({
+      [`documentExpiry.${field}`]: { $lte: horizon },
+    })),
+  }).populate("user", "name email");
+
+  let remindersSent = 0;
+  let ridesFlagged = 0;
+
+  for (const driverProfile of driverProfiles) {
+    // Skip profiles whose user no longer exists
+    if (!driverProfile.user) {
+      continue;
+    }
+
+    // Collect every document that reached a new reminder
+    const documents = [];
+    for (const [field, label] of Object.entries(EXPIRING_DOCUMENTS)) {
+      const expiresAt = driverProfile.documentExpiry?.[field];
+      if (!expiresAt) {
+        continue;
+      }
+
+      const due = getDueReminder(expiresAt, now);
+      const alreadySent = driverProfile.expiryRemindersSent?.[field];
+      if (due !== null && (alreadySent == null || due < alreadySent)) {
+        documents.push({ field, label, expiresAt, expired: due === 0, due });
+      }
+    }
+
+    if (documents.length > 0) {
+      try {
+        await sendDocumentExpiryEmail(driverProfile.user.email, driverProfile.user.name, documents);
+        for (const document of documents) {
+          driverProfile.set(`expiryRemindersSent.${document.field}`, document.due);
+        }
+        await driverProfile.save();
+        remindersSent++;
+      } catch (emailError) {
+        // Not marked as sent - retried on the next run
+        console.error("Failed to send document expiry email:", emailError);
+      }
+    }
+
+    ridesFlagged += await setExpiredRideFlags(
+      driverProfile.user._id,
+      driverProfile.getExpiredDocuments(now).length > 0
+    );
+  }
+
+  if (remindersSent === 0 && ridesFlagged === 0) {
+    return null;
+  }
+  return { remindersSent, ridesFlagged };
+};
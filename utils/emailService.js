@@ -1,3 +1,4 @@
+import crypto from "crypto";
 import nodemailer from "nodemailer";
 
 /**
@@ -20,6 +21,17 @@ const createTransporter = () => {
   });
 };
 
+/**
+ * Escape user-provided text before putting it in an email
+ */
+const escapeHtml = (text) => {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+};
+
 /**
  * Generate 6-digit verification code
  */
@@ -27,6 +39,33 @@ export const generateVerificationCode = () => {
   return Math.floor(100000 + Math.random() * 900000).toString();
 };
 
+/**
+ * Hash verification/reset code before storing it
+ * Keyed with JWT_SECRET so a leaked database can't be brute-forced offline.
+ * @param {string} code - Plain code
+ */
+export const hashVerificationCode = (code) => {
+  return crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(String(code).trim())
+    .digest("hex");
+};
+
+/**
+ * Compare a code entered by the user with a stored hash
+ * @param {string} code - Code entered by the user
+ * @param {string} hash - Stored hash
+ * @returns {boolean}
+ */
+export const compareVerificationCode = (code, hash) => {
+  if (!code || !hash) {
+    return false;
+  }
+  const codeHash = Buffer.from(hashVerificationCode(code));
+  const storedHash = Buffer.from(hash);
+  return codeHash.length === storedHash.length && crypto.timingSafeEqual(codeHash, storedHash);
+};
+
 /**
  * Send verification email
  * @param {string} to - Recipient email
@@ -210,3 +249,810 @@ export const sendPasswordResetEmail = async (to, code, name) => {
     throw new Error("Failed to send password reset email");
   }
 };
+
+/**
+ * Send admin invite email
+ * @param {string} to - Recipient email
+ * @param {string} code - One-time invite code
+ * @param {string} inviterName - Name of the admin who sent the invite
+ */
+export const sendAdminInviteEmail = async (to, code, inviterName) => {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to,
+    subject: "You're Invited as an Admin - Carpooling App",
+    html: `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Admin Invitation</title>
+      </head>
+      <body style="margin: 0; padding: 0; background-color: #f8fafc; font-family: 'DM Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;">
+        <table role="presentation" style="width: 100%; border-collapse: collapse; background-color: #f8fafc;">
+          <tr>
+            <td align="center" style="padding: 40px 20px;">
+              <table role="presentation" style="width: 100%; max-width: 600px; border-collapse: collapse; background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);">
+
+                <!-- Header -->
+                <tr>
+                  <td style="background: linear-gradient(135deg, hsl(222, 47%, 11%) 0%, hsl(222, 47%, 18%) 100%); padding: 48px 40px; text-align: center;">
+                    <h1 style="margin: 0; color: #ffffff; font-size: 32px; font-weight: 700; letter-spacing: -0.5px;">Carpooling App</h1>
+                    <p style="margin: 8px 0 0 0; color: rgba(255, 255, 255, 0.8); font-size: 14px; font-weight: 400;">Admin invitation</p>
+                  </td>
+                </tr>
+
+                <!-- Content -->
+                <tr>
+                  <td style="padding: 48px 40px;">
+                    <h2 style="margin: 0 0 16px 0; color: #1e293b; font-size: 24px; font-weight: 600; line-height: 1.3;">Hello!</h2>
+                    <p style="margin: 0 0 24px 0; color: #64748b; font-size: 16px; line-height: 1.6;">${inviterName} has invited you to become an administrator of Carpooling App. Log in (or register) with this email address and enter the invite code below to accept.</p>
+
+                    <!-- Invite Code Box -->
+                    <table role="presentation" style="width: 100%; border-collapse: collapse; margin: 32px 0;">
+                      <tr>
+                        <td style="background: linear-gradient(135deg, hsl(222, 47%, 11%) 0%, hsl(222, 47%, 18%) 100%); border-radius: 12px; padding: 32px; text-align: center; box-shadow: 0 10px 15px -3px rgba(15, 23, 42, 0.1), 0 4px 6px -2px rgba(15, 23, 42, 0.05);">
+                          <p style="margin: 0 0 12px 0; color: rgba(255, 255, 255, 0.7); font-size: 12px; font-weight: 500; text-transform: uppercase; letter-spacing: 1px;">Invite Code</p>
+                          <p style="margin: 0; color: #ffffff; font-size: 32px; font-weight: 700; letter-spacing: 6px; font-family: 'Courier New', monospace;">${code}</p>
+                        </td>
+                      </tr>
+                    </table>
+
+                    <div style="background-color: #f1f5f9; border-left: 4px solid hsl(222, 47%, 11%); padding: 16px 20px; border-radius: 8px; margin: 24px 0;">
+                      <p style="margin: 0; color: #475569; font-size: 14px; line-height: 1.5;">
+                        <strong style="color: #1e293b;">⏱️ Important:</strong> This code can be used once and expires in <strong style="color: hsl(222, 47%, 11%);">48 hours</strong>. Admins must enable two-factor authentication before accessing admin pages.
+                      </p>
+                    </div>
+
+                    <p style="margin: 24px 0 0 0; color: #94a3b8; font-size: 14px; line-height: 1.5;">If you weren't expecting this invitation, you can safely ignore this email.</p>
+                  </td>
+                </tr>
+
+                <!-- Footer -->
+                <tr>
+                  <td style="background-color: #f8fafc; padding: 32px 40px; text-align: center; border-top: 1px solid #e2e8f0;">
+                    <p style="margin: 0 0 8px 0; color: #64748b; font-size: 13px; line-height: 1.5;">Need help? Contact our support team</p>
+                    <p style="margin: 0 0 16px 0; color: #94a3b8; font-size: 12px;">&copy; ${new Date().getFullYear()} Carpooling App. All rights reserved.</p>
+                    <p style="margin: 0; color: #cbd5e1; font-size: 11px;">This is an automated message, please do not reply to this email.</p>
+                  </td>
+                </tr>
+
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `,
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log("Admin invite email sent:", info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error("Email send error:", error);
+    throw new Error("Failed to send admin invite email");
+  }
+};
+
+/**
+ * Send data export ready email
+ * @param {string} to - Recipient email
+ * @param {string} name - User's name
+ * @param {string} downloadUrl - Link to the JSON export
+ * @param {string} zipUrl - Link to the zipped CSV export
+ * @param {Date} expiresAt - When the links stop working
+ */
+export const sendDataExportEmail = async (to, name, downloadUrl, zipUrl, expiresAt) => {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to,
+    subject: "Your Data Export is Ready - Carpooling App",
+    html: `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Data Export</title>
+      </head>
+      <body style="margin: 0; padding: 0; background-color: #f8fafc; font-family: 'DM Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;">
+        <table role="presentation" style="width: 100%; border-collapse: collapse; background-color: #f8fafc;">
+          <tr>
+            <td align="center" style="padding: 40px 20px;">
+              <table role="presentation" style="width: 100%; max-width: 600px; border-collapse: collapse; background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);">
+
+                <!-- Header -->
+                <tr>
+                  <td style="background: linear-gradient(135deg, hsl(222, 47%, 11%) 0%, hsl(222, 47%, 18%) 100%); padding: 48px 40px; text-align: center;">
+                    <h1 style="margin: 0; color: #ffffff; font-size: 32px; font-weight: 700; letter-spacing: -0.5px;">Carpooling App</h1>
+                    <p style="margin: 8px 0 0 0; color: rgba(255, 255, 255, 0.8); font-size: 14px; font-weight: 400;">Your data export</p>
+                  </td>
+                </tr>
+
+                <!-- Content -->
+                <tr>
+                  <td style="padding: 48px 40px;">
+                    <h2 style="margin: 0 0 16px 0; color: #1e293b; font-size: 24px; font-weight: 600; line-height: 1.3;">Hello ${name},</h2>
+                    <p style="margin: 0 0 24px 0; color: #64748b; font-size: 16px; line-height: 1.6;">The copy of your personal data you requested is ready. It includes your profile, rides, bookings, reviews and contact messages.</p>
+
+                    <table role="presentation" style="width: 100%; border-collapse: collapse; margin: 32px 0;">
+                      <tr>
+                        <td style="text-align: center;">
+                          <a href="${downloadUrl}" style="display: inline-block; background: hsl(222, 47%, 11%); color: #ffffff; text-decoration: none; font-size: 16px; font-weight: 600; padding: 14px 32px; border-radius: 8px; margin: 0 8px 12px 8px;">Download JSON</a>
+                          <a href="${zipUrl}" style="display: inline-block; background: #ffffff; color: hsl(222, 47%, 11%); text-decoration: none; font-size: 16px; font-weight: 600; padding: 12px 30px; border-radius: 8px; border: 2px solid hsl(222, 47%, 11%); margin: 0 8px 12px 8px;">Download CSV (zip)</a>
+                        </td>
+                      </tr>
+                    </table>
+
+                    <div style="background-color: #f1f5f9; border-left: 4px solid hsl(222, 47%, 11%); padding: 16px 20px; border-radius: 8px; margin: 24px 0;">
+                      <p style="margin: 0; color: #475569; font-size: 14px; line-height: 1.5;">
+                        <strong style="color: #1e293b;">⏱️ Important:</strong> These links expire on <strong style="color: hsl(222, 47%, 11%);">${expiresAt.toUTCString()}</strong>. Don't forward this email - anyone with the links can download your data.
+                      </p>
+                    </div>
+
+                    <p style="margin: 24px 0 0 0; color: #94a3b8; font-size: 14px; line-height: 1.5;">If you didn't request a data export, please change your password immediately.</p>
+                  </td>
+                </tr>
+
+                <!-- Footer -->
+                <tr>
+                  <td style="background-color: #f8fafc; padding: 32px 40px; text-align: center; border-top: 1px solid #e2e8f0;">
+                    <p style="margin: 0 0 8px 0; color: #64748b; font-size: 13px; line-height: 1.5;">Need help? Contact our support team</p>
+                    <p style="margin: 0 0 16px 0; color: #94a3b8; font-size: 12px;">&copy; ${new Date().getFullYear()} Carpooling App. All rights reserved.</p>
+                    <p style="margin: 0; color: #cbd5e1; font-size: 11px;">This is an automated message, please do not reply to this email.</p>
+                  </td>
+                </tr>
+
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `,
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log("Data export email sent:", info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error("Email send error:", error);
+    throw new Error("Failed to send data export email");
+  }
+};
+
+/**
+ * Send SOS alert email (recipients are BCC'd so addresses aren't shared)
+ * @param {string[]} recipients - Admin and trusted contact emails
+ * @param {object} details - Incident details
+ * @param {string} details.raisedByName - Name of the person who raised the alert
+ * @param {string} details.raisedByRole - "passenger" or "driver"
+ * @param {string} details.bookingStatus - Booking status at the time of the alert
+ * @param {string} details.route - Ride route (origin → destination)
+ * @param {number[]} [details.coordinates] - [longitude, latitude], if known
+ * @param {string} [details.locationSource] - "device" or "driver-last-known"
+ * @param {Date} [details.locationRecordedAt] - When the location was recorded
+ * @param {string} [details.message] - Message from the user
+ * @param {Date} details.raisedAt - When the alert was raised
+ */
+export const sendSosAlertEmail = async (recipients, details) => {
+  const transporter = createTransporter();
+  let locationHtml = "Not available (no GPS fix)";
+  if (details.coordinates) {
+    const [lng, lat] = details.coordinates;
+    const mapUrl = `https://www.google.com/maps?q=${lat},${lng}`;
+    locationHtml = `<a href="${mapUrl}" style="color: #dc2626;">${lat}, ${lng}</a>`;
+    if (details.locationSource === "driver-last-known") {
+      locationHtml += ` (driver's last known location, ${details.locationRecordedAt.toUTCString()})`;
+    }
+  }
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    bcc: recipients,
+    subject: `🚨 SOS Alert from ${details.raisedByName} - Carpooling App`,
+    html: `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>SOS Alert</title>
+      </head>
+      <body style="margin: 0; padding: 0; background-color: #f8fafc; font-family: 'DM Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;">
+        <table role="presentation" style="width: 100%; border-collapse: collapse; background-color: #f8fafc;">
+          <tr>
+            <td align="center" style="padding: 40px 20px;">
+              <table role="presentation" style="width: 100%; max-width: 600px; border-collapse: collapse; background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);">
+
+                <!-- Header -->
+                <tr>
+                  <td style="background: linear-gradient(135deg, #dc2626 0%, #991b1b 100%); padding: 48px 40px; text-align: center;">
+                    <h1 style="margin: 0; color: #ffffff; font-size: 32px; font-weight: 700; letter-spacing: -0.5px;">🚨 SOS Alert</h1>
+                    <p style="margin: 8px 0 0 0; color: rgba(255, 255, 255, 0.9); font-size: 14px; font-weight: 400;">Raised during an active trip</p>
+                  </td>
+                </tr>
+
+                <!-- Content -->
+                <tr>
+                  <td style="padding: 48px 40px;">
+                    <p style="margin: 0 0 24px 0; color: #1e293b; font-size: 16px; line-height: 1.6;"><strong>${escapeHtml(details.raisedByName)}</strong> (${details.raisedByRole}) raised an SOS alert on ${details.raisedAt.toUTCString()}.</p>
+
+                    <div style="background-color: #fef2f2; border-left: 4px solid #dc2626; padding: 16px 20px; border-radius: 8px; margin: 24px 0;">
+                      <p style="margin: 0 0 8px 0; color: #7f1d1d; font-size: 14px; line-height: 1.5;"><strong>Route:</strong> ${escapeHtml(details.route)}</p>
+                      <p style="margin: 0 0 8px 0; color: #7f1d1d; font-size: 14px; line-height: 1.5;"><strong>Trip status:</strong> ${details.bookingStatus}</p>
+                      <p style="margin: 0; color: #7f1d1d; font-size: 14px; line-height: 1.5;"><strong>Location:</strong> ${locationHtml}</p>
+                      ${details.message ? `<p style="margin: 8px 0 0 0; color: #7f1d1d; font-size: 14px; line-height: 1.5;"><strong>Message:</strong> ${escapeHtml(details.message)}</p>` : ""}
+                    </div>
+
+                    <p style="margin: 24px 0 0 0; color: #64748b; font-size: 14px; line-height: 1.5;">If you believe someone is in immediate danger, contact local emergency services (15 in Pakistan).</p>
+                  </td>
+                </tr>
+
+                <!-- Footer -->
+                <tr>
+                  <td style="background-color: #f8fafc; padding: 32px 40px; text-align: center; border-top: 1px solid #e2e8f0;">
+                    <p style="margin: 0 0 16px 0; color: #94a3b8; font-size: 12px;">&copy; ${new Date().getFullYear()} Carpooling App. All rights reserved.</p>
+                    <p style="margin: 0; color: #cbd5e1; font-size: 11px;">This is an automated message, please do not reply to this email.</p>
+                  </td>
+                </tr>
+
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `,
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log("SOS alert email sent:", info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error("Email send error:", error);
+    throw new Error("Failed to send SOS alert email");
+  }
+};
+
+/**
+ * Send driver application decision email
+ * @param {string} to - Recipient email
+ * @param {string} name - Driver's name
+ * @param {boolean} approved - Whether the application was approved
+ * @param {string} [reason] - Rejection reason
+ */
+export const sendDriverReviewEmail = async (to, name, approved, reason) => {
+  const transporter = createTransporter();
+
+  const content = approved
+    ? `
+                    <p style="margin: 0 0 24px 0; color: #64748b; font-size: 16px; line-height: 1.6;">Good news - your driver application has been <strong style="color: #16a34a;">approved</strong>. You can now post rides and start accepting passengers.</p>
+    `
+    : `
+                    <p style="margin: 0 0 24px 0; color: #64748b; font-size: 16px; line-height: 1.6;">Unfortunately we couldn't approve your driver application yet.</p>
+
+                    <div style="background-color: #fef2f2; border-left: 4px solid #dc2626; padding: 16px 20px; border-radius: 8px; margin: 24px 0;">
+                      <p style="margin: 0; color: #475569; font-size: 14px; line-height: 1.5;">
+                        <strong style="color: #1e293b;">Reason:</strong> ${escapeHtml(reason)}
+                      </p>
+                    </div>
+
+                    <p style="margin: 0 0 24px 0; color: #64748b; font-size: 16px; line-height: 1.6;">Please update your details or upload corrected documents in the app, then resubmit your application for review.</p>
+    `;
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to,
+    subject: approved
+      ? "Your Driver Account is Approved - Carpooling App"
+      : "Action Needed on Your Driver Application - Carpooling App",
+    html: `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Driver Application</title>
+      </head>
+      <body style="margin: 0; padding: 0; background-color: #f8fafc; font-family: 'DM Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;">
+        <table role="presentation" style="width: 100%; border-collapse: collapse; background-color: #f8fafc;">
+          <tr>
+            <td align="center" style="padding: 40px 20px;">
+              <table role="presentation" style="width: 100%; max-width: 600px; border-collapse: collapse; background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);">
+
+                <!-- Header -->
+                <tr>
+                  <td style="background: linear-gradient(135deg, hsl(222, 47%, 11%) 0%, hsl(222, 47%, 18%) 100%); padding: 48px 40px; text-align: center;">
+                    <h1 style="margin: 0; color: #ffffff; font-size: 32px; font-weight: 700; letter-spacing: -0.5px;">Carpooling App</h1>
+                    <p style="margin: 8px 0 0 0; color: rgba(255, 255, 255, 0.8); font-size: 14px; font-weight: 400;">Driver application</p>
+                  </td>
+                </tr>
+
+                <!-- Content -->
+                <tr>
+                  <td style="padding: 48px 40px;">
+                    <h2 style="margin: 0 0 16px 0; color: #1e293b; font-size: 24px; font-weight: 600; line-height: 1.3;">Hello ${escapeHtml(name)},</h2>
+                    ${content}
+                    <p style="margin: 24px 0 0 0; color: #94a3b8; font-size: 14px; line-height: 1.5;">Thank you for driving with Carpooling App.</p>
+                  </td>
+                </tr>
+
+                <!-- Footer -->
+                <tr>
+                  <td style="background-color: #f8fafc; padding: 32px 40px; text-align: center; border-top: 1px solid #e2e8f0;">
+                    <p style="margin: 0 0 8px 0; color: #64748b; font-size: 13px; line-height: 1.5;">Need help? Contact our support team</p>
+                    <p style="margin: 0 0 16px 0; color: #94a3b8; font-size: 12px;">&copy; ${new Date().getFullYear()} Carpooling App. All rights reserved.</p>
+                    <p style="margin: 0; color: #cbd5e1; font-size: 11px;">This is an automated message, please do not reply to this email.</p>
+                  </td>
+                </tr>
+
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `,
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log("Driver review email sent:", info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error("Email send error:", error);
+    throw new Error("Failed to send driver review email");
+  }
+};
+
+/**
+ * Send vehicle review decision email
+ * @param {string} to - Recipient email
+ * @param {string} name - Driver's name
+ * @param {boolean} approved - Whether the vehicle was approved
+ * @param {object} details - Review details
+ * @param {string} details.vehicle - "Model (plate)"
+ * @param {string} [details.reason] - Rejection reason
+ */
+export const sendVehicleReviewEmail = async (to, name, approved, { vehicle, reason }) => {
+  const transporter = createTransporter();
+
+  const content = approved
+    ? `
+                    <p style="margin: 0 0 24px 0; color: #64748b; font-size: 16px; line-height: 1.6;">Good news - your ${escapeHtml(vehicle)} has been <strong style="color: #16a34a;">approved</strong>. You can now use it for your rides.</p>
+    `
+    : `
+                    <p style="margin: 0 0 24px 0; color: #64748b; font-size: 16px; line-height: 1.6;">Unfortunately we couldn't approve your ${escapeHtml(vehicle)} yet.</p>
+
+                    <div style="background-color: #fef2f2; border-left: 4px solid #dc2626; padding: 16px 20px; border-radius: 8px; margin: 24px 0;">
+                      <p style="margin: 0; color: #475569; font-size: 14px; line-height: 1.5;">
+                        <strong style="color: #1e293b;">Reason:</strong> ${escapeHtml(reason)}
+                      </p>
+                    </div>
+
+                    <p style="margin: 0 0 24px 0; color: #64748b; font-size: 16px; line-height: 1.6;">Please correct the vehicle's details in the app and it will be reviewed again. Your other vehicles can still be used.</p>
+    `;
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to,
+    subject: approved
+      ? "Your Vehicle is Approved - Carpooling App"
+      : "Action Needed on Your Vehicle - Carpooling App",
+    html: `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Vehicle Review</title>
+      </head>
+      <body style="margin: 0; padding: 0; background-color: #f8fafc; font-family: 'DM Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;">
+        <table role="presentation" style="width: 100%; border-collapse: collapse; background-color: #f8fafc;">
+          <tr>
+            <td align="center" style="padding: 40px 20px;">
+              <table role="presentation" style="width: 100%; max-width: 600px; border-collapse: collapse; background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);">
+
+                <!-- Header -->
+                <tr>
+                  <td style="background: linear-gradient(135deg, hsl(222, 47%, 11%) 0%, hsl(222, 47%, 18%) 100%); padding: 48px 40px; text-align: center;">
+                    <h1 style="margin: 0; color: #ffffff; font-size: 32px; font-weight: 700; letter-spacing: -0.5px;">Carpooling App</h1>
+                    <p style="margin: 8px 0 0 0; color: rgba(255, 255, 255, 0.8); font-size: 14px; font-weight: 400;">Vehicle review</p>
+                  </td>
+                </tr>
+
+                <!-- Content -->
+                <tr>
+                  <td style="padding: 48px 40px;">
+                    <h2 style="margin: 0 0 16px 0; color: #1e293b; font-size: 24px; font-weight: 600; line-height: 1.3;">Hello ${escapeHtml(name)},</h2>
+                    ${content}
+                    <p style="margin: 24px 0 0 0; color: #94a3b8; font-size: 14px; line-height: 1.5;">Thank you for driving with Carpooling App.</p>
+                  </td>
+                </tr>
+
+                <!-- Footer -->
+                <tr>
+                  <td style="background-color: #f8fafc; padding: 32px 40px; text-align: center; border-top: 1px solid #e2e8f0;">
+                    <p style="margin: 0 0 8px 0; color: #64748b; font-size: 13px; line-height: 1.5;">Need help? Contact our support team</p>
+                    <p style="margin: 0 0 16px 0; color: #94a3b8; font-size: 12px;">&copy; ${new Date().getFullYear()} Carpooling App. All rights reserved.</p>
+                    <p style="margin: 0; color: #cbd5e1; font-size: 11px;">This is an automated message, please do not reply to this email.</p>
+                  </td>
+                </tr>
+
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `,
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log("Vehicle review email sent:", info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error("Email send error:", error);
+    throw new Error("Failed to send vehicle review email");
+  }
+};
+
+/**
+ * Send driver document expiry reminder
+ * @param {string} to - Recipient email
+ * @param {string} name - Driver's name
+ * @param {Array<{ label: string, expiresAt: Date, expired: boolean }>} documents - Expiring documents
+ */
+export const sendDocumentExpiryEmail = async (to, name, documents) => {
+  const transporter = createTransporter();
+  const anyExpired = documents.some((document) => document.expired);
+
+  const rows = documents
+    .map(
+      (document) => `
+                      <tr>
+                        <td style="padding: 12px 16px; border-bottom: 1px solid #e2e8f0; color: #1e293b; font-size: 15px; font-weight: 600;">${document.label}</td>
+                        <td style="padding: 12px 16px; border-bottom: 1px solid #e2e8f0; color: ${document.expired ? "#dc2626" : "#475569"}; font-size: 15px; text-align: right;">${document.expired ? "Expired" : "Expires"} ${document.expiresAt.toDateString()}</td>
+                      </tr>`
+    )
+    .join("");
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to,
+    subject: anyExpired
+      ? "Your Driver Documents Have Expired - Carpooling App"
+      : "Your Driver Documents Expire Soon - Carpooling App",
+    html: `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Document Expiry</title>
+      </head>
+      <body style="margin: 0; padding: 0; background-color: #f8fafc; font-family: 'DM Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;">
+        <table role="presentation" style="width: 100%; border-collapse: collapse; background-color: #f8fafc;">
+          <tr>
+            <td align="center" style="padding: 40px 20px;">
+              <table role="presentation" style="width: 100%; max-width: 600px; border-collapse: collapse; background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);">
+
+                <!-- Header -->
+                <tr>
+                  <td style="background: linear-gradient(135deg, hsl(222, 47%, 11%) 0%, hsl(222, 47%, 18%) 100%); padding: 48px 40px; text-align: center;">
+                    <h1 style="margin: 0; color: #ffffff; font-size: 32px; font-weight: 700; letter-spacing: -0.5px;">Carpooling App</h1>
+                    <p style="margin: 8px 0 0 0; color: rgba(255, 255, 255, 0.8); font-size: 14px; font-weight: 400;">Driver documents</p>
+                  </td>
+                </tr>
+
+                <!-- Content -->
+                <tr>
+                  <td style="padding: 48px 40px;">
+                    <h2 style="margin: 0 0 16px 0; color: #1e293b; font-size: 24px; font-weight: 600; line-height: 1.3;">Hello ${escapeHtml(name)},</h2>
+                    <p style="margin: 0 0 24px 0; color: #64748b; font-size: 16px; line-height: 1.6;">${anyExpired ? "Some of your driver documents have expired." : "Some of your driver documents will expire soon."} Upload a renewed copy in the app to keep driving.</p>
+
+                    <table role="presentation" style="width: 100%; border-collapse: collapse; margin: 24px 0; background-color: #f8fafc; border-radius: 8px;">
+                      ${rows}
+                    </table>
+
+                    <div style="background-color: #f1f5f9; border-left: 4px solid hsl(222, 47%, 11%); padding: 16px 20px; border-radius: 8px; margin: 24px 0;">
+                      <p style="margin: 0; color: #475569; font-size: 14px; line-height: 1.5;">
+                        <strong style="color: #1e293b;">⏱️ Important:</strong> While any document is expired you can't post new rides, and your scheduled rides are flagged and closed to new bookings.
+                      </p>
+                    </div>
+                  </td>
+                </tr>
+
+                <!-- Footer -->
+                <tr>
+                  <td style="background-color: #f8fafc; padding: 32px 40px; text-align: center; border-top: 1px solid #e2e8f0;">
+                    <p style="margin: 0 0 8px 0; color: #64748b; font-size: 13px; line-height: 1.5;">Need help? Contact our support team</p>
+                    <p style="margin: 0 0 16px 0; color: #94a3b8; font-size: 12px;">&copy; ${new Date().getFullYear()} Carpooling App. All rights reserved.</p>
+                    <p style="margin: 0; color: #cbd5e1; font-size: 11px;">This is an automated message, please do not reply to this email.</p>
+                  </td>
+                </tr>
+
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `,
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log("Document expiry email sent:", info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error("Email send error:", error);
+    throw new Error("Failed to send document expiry email");
+  }
+};
+
+/**
+ * Send email when seats freed up for a waitlisted passenger
+ * @param {string} to - Recipient email
+ * @param {string} name - Passenger's name
+ * @param {object} details - Trip details
+ * @param {string} details.route - "Origin → Destination" of the booked segment
+ * @param {Date} details.departureDate - Ride departure date
+ * @param {string} details.departureTime - Ride departure time
+ * @param {number} details.seats - Seats booked
+ * @param {number} details.totalFare - Total fare
+ */
+export const sendWaitlistBookingEmail = async (to, name, details) => {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to,
+    subject: "A Seat Opened Up on Your Waitlisted Ride - Carpooling App",
+    html: `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Waitlist Update</title>
+      </head>
+      <body style="margin: 0; padding: 0; background-color: #f8fafc; font-family: 'DM Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;">
+        <table role="presentation" style="width: 100%; border-collapse: collapse; background-color: #f8fafc;">
+          <tr>
+            <td align="center" style="padding: 40px 20px;">
+              <table role="presentation" style="width: 100%; max-width: 600px; border-collapse: collapse; background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);">
+
+                <!-- Header -->
+                <tr>
+                  <td style="background: linear-gradient(135deg, hsl(222, 47%, 11%) 0%, hsl(222, 47%, 18%) 100%); padding: 48px 40px; text-align: center;">
+                    <h1 style="margin: 0; color: #ffffff; font-size: 32px; font-weight: 700; letter-spacing: -0.5px;">Carpooling App</h1>
+                    <p style="margin: 8px 0 0 0; color: rgba(255, 255, 255, 0.8); font-size: 14px; font-weight: 400;">Waitlist update</p>
+                  </td>
+                </tr>
+
+                <!-- Content -->
+                <tr>
+                  <td style="padding: 48px 40px;">
+                    <h2 style="margin: 0 0 16px 0; color: #1e293b; font-size: 24px; font-weight: 600; line-height: 1.3;">Hello ${escapeHtml(name)},</h2>
+                    <p style="margin: 0 0 24px 0; color: #64748b; font-size: 16px; line-height: 1.6;">Good news - seats opened up on a ride you were waiting for, so we've sent a booking request to the driver for you.</p>
+
+                    <div style="background-color: #f1f5f9; border-left: 4px solid hsl(222, 47%, 11%); padding: 16px 20px; border-radius: 8px; margin: 24px 0;">
+                      <p style="margin: 0 0 8px 0; color: #475569; font-size: 14px; line-height: 1.5;"><strong style="color: #1e293b;">Route:</strong> ${escapeHtml(details.route)}</p>
+                      <p style="margin: 0 0 8px 0; color: #475569; font-size: 14px; line-height: 1.5;"><strong style="color: #1e293b;">Departure:</strong> ${details.departureDate.toDateString()} at ${escapeHtml(details.departureTime)}</p>
+                      <p style="margin: 0; color: #475569; font-size: 14px; line-height: 1.5;"><strong style="color: #1e293b;">Seats:</strong> ${details.seats} (total fare ${details.totalFare})</p>
+                    </div>
+
+                    <p style="margin: 0 0 24px 0; color: #64748b; font-size: 16px; line-height: 1.6;">Your booking is pending until the driver confirms it. If your plans have changed, please cancel it in the app so the seat goes to the next passenger.</p>
+                    <p style="margin: 24px 0 0 0; color: #94a3b8; font-size: 14px; line-height: 1.5;">Thank you for riding with Carpooling App.</p>
+                  </td>
+                </tr>
+
+                <!-- Footer -->
+                <tr>
+                  <td style="background-color: #f8fafc; padding: 32px 40px; text-align: center; border-top: 1px solid #e2e8f0;">
+                    <p style="margin: 0 0 8px 0; color: #64748b; font-size: 13px; line-height: 1.5;">Need help? Contact our support team</p>
+                    <p style="margin: 0 0 16px 0; color: #94a3b8; font-size: 12px;">&copy; ${new Date().getFullYear()} Carpooling App. All rights reserved.</p>
+                    <p style="margin: 0; color: #cbd5e1; font-size: 11px;">This is an automated message, please do not reply to this email.</p>
+                  </td>
+                </tr>
+
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `,
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log("Waitlist booking email sent:", info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error("Email send error:", error);
+    throw new Error("Failed to send waitlist booking email");
+  }
+};
+
+/**
+ * Send email when a booking request expired because the driver didn't respond
+ * @param {string} to - Recipient email
+ * @param {string} name - Passenger's name
+ * @param {object} details - Trip details
+ * @param {string} details.route - "Origin → Destination" of the booked segment
+ * @param {Date} details.departureDate - Ride departure date
+ * @param {string} details.departureTime - Ride departure time
+ * @param {number} details.seats - Seats requested
+ */
+export const sendBookingExpiredEmail = async (to, name, details) => {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to,
+    subject: "Your Booking Request Expired - Carpooling App",
+    html: `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Booking Expired</title>
+      </head>
+      <body style="margin: 0; padding: 0; background-color: #f8fafc; font-family: 'DM Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;">
+        <table role="presentation" style="width: 100%; border-collapse: collapse; background-color: #f8fafc;">
+          <tr>
+            <td align="center" style="padding: 40px 20px;">
+              <table role="presentation" style="width: 100%; max-width: 600px; border-collapse: collapse; background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);">
+
+                <!-- Header -->
+                <tr>
+                  <td style="background: linear-gradient(135deg, hsl(222, 47%, 11%) 0%, hsl(222, 47%, 18%) 100%); padding: 48px 40px; text-align: center;">
+                    <h1 style="margin: 0; color: #ffffff; font-size: 32px; font-weight: 700; letter-spacing: -0.5px;">Carpooling App</h1>
+                    <p style="margin: 8px 0 0 0; color: rgba(255, 255, 255, 0.8); font-size: 14px; font-weight: 400;">Booking update</p>
+                  </td>
+                </tr>
+
+                <!-- Content -->
+                <tr>
+                  <td style="padding: 48px 40px;">
+                    <h2 style="margin: 0 0 16px 0; color: #1e293b; font-size: 24px; font-weight: 600; line-height: 1.3;">Hello ${escapeHtml(name)},</h2>
+                    <p style="margin: 0 0 24px 0; color: #64748b; font-size: 16px; line-height: 1.6;">The driver didn't respond to your booking request in time, so it has expired and the seats were released. You haven't been charged.</p>
+
+                    <div style="background-color: #f1f5f9; border-left: 4px solid hsl(222, 47%, 11%); padding: 16px 20px; border-radius: 8px; margin: 24px 0;">
+                      <p style="margin: 0 0 8px 0; color: #475569; font-size: 14px; line-height: 1.5;"><strong style="color: #1e293b;">Route:</strong> ${escapeHtml(details.route)}</p>
+                      <p style="margin: 0 0 8px 0; color: #475569; font-size: 14px; line-height: 1.5;"><strong style="color: #1e293b;">Departure:</strong> ${details.departureDate.toDateString()} at ${escapeHtml(details.departureTime)}</p>
+                      <p style="margin: 0; color: #475569; font-size: 14px; line-height: 1.5;"><strong style="color: #1e293b;">Seats:</strong> ${details.seats}</p>
+                    </div>
+
+                    <p style="margin: 0 0 24px 0; color: #64748b; font-size: 16px; line-height: 1.6;">You can search the app for another ride on this route, or book this ride again if seats are still available.</p>
+                    <p style="margin: 24px 0 0 0; color: #94a3b8; font-size: 14px; line-height: 1.5;">Thank you for riding with Carpooling App.</p>
+                  </td>
+                </tr>
+
+                <!-- Footer -->
+                <tr>
+                  <td style="background-color: #f8fafc; padding: 32px 40px; text-align: center; border-top: 1px solid #e2e8f0;">
+                    <p style="margin: 0 0 8px 0; color: #64748b; font-size: 13px; line-height: 1.5;">Need help? Contact our support team</p>
+                    <p style="margin: 0 0 16px 0; color: #94a3b8; font-size: 12px;">&copy; ${new Date().getFullYear()} Carpooling App. All rights reserved.</p>
+                    <p style="margin: 0; color: #cbd5e1; font-size: 11px;">This is an automated message, please do not reply to this email.</p>
+                  </td>
+                </tr>
+
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `,
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log("Booking expired email sent:", info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error("Email send error:", error);
+    throw new Error("Failed to send booking expired email");
+  }
+};
+
+/**
+ * Remind a driver to respond to a booking request before it expires
+ * @param {string} to - Recipient email
+ * @param {string} name - Driver's name
+ * @param {object} details - Request details
+ * @param {string} details.passengerName - Passenger's name
+ * @param {string} details.route - "Origin → Destination" of the booked segment
+ * @param {Date} details.departureDate - Ride departure date
+ * @param {string} details.departureTime - Ride departure time
+ * @param {number} details.seats - Seats requested
+ * @param {Date} details.responseDeadline - When the request expires
+ */
+export const sendBookingResponseReminderEmail = async (to, name, details) => {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to,
+    subject: "A Booking Request Is Waiting for You - Carpooling App",
+    html: `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Booking Request Reminder</title>
+      </head>
+      <body style="margin: 0; padding: 0; background-color: #f8fafc; font-family: 'DM Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;">
+        <table role="presentation" style="width: 100%; border-collapse: collapse; background-color: #f8fafc;">
+          <tr>
+            <td align="center" style="padding: 40px 20px;">
+              <table role="presentation" style="width: 100%; max-width: 600px; border-collapse: collapse; background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);">
+
+                <!-- Header -->
+                <tr>
+                  <td style="background: linear-gradient(135deg, hsl(222, 47%, 11%) 0%, hsl(222, 47%, 18%) 100%); padding: 48px 40px; text-align: center;">
+                    <h1 style="margin: 0; color: #ffffff; font-size: 32px; font-weight: 700; letter-spacing: -0.5px;">Carpooling App</h1>
+                    <p style="margin: 8px 0 0 0; color: rgba(255, 255, 255, 0.8); font-size: 14px; font-weight: 400;">Booking request reminder</p>
+                  </td>
+                </tr>
+
+                <!-- Content -->
+                <tr>
+                  <td style="padding: 48px 40px;">
+                    <h2 style="margin: 0 0 16px 0; color: #1e293b; font-size: 24px; font-weight: 600; line-height: 1.3;">Hello ${escapeHtml(name)},</h2>
+                    <p style="margin: 0 0 24px 0; color: #64748b; font-size: 16px; line-height: 1.6;">${escapeHtml(details.passengerName)} is waiting for you to confirm or reject their booking request. If you don't respond by <strong>${details.responseDeadline.toUTCString()}</strong>, the request expires and the seats are released.</p>
+
+                    <div style="background-color: #f1f5f9; border-left: 4px solid hsl(222, 47%, 11%); padding: 16px 20px; border-radius: 8px; margin: 24px 0;">
+                      <p style="margin: 0 0 8px 0; color: #475569; font-size: 14px; line-height: 1.5;"><strong style="color: #1e293b;">Route:</strong> ${escapeHtml(details.route)}</p>
+                      <p style="margin: 0 0 8px 0; color: #475569; font-size: 14px; line-height: 1.5;"><strong style="color: #1e293b;">Departure:</strong> ${details.departureDate.toDateString()} at ${escapeHtml(details.departureTime)}</p>
+                      <p style="margin: 0; color: #475569; font-size: 14px; line-height: 1.5;"><strong style="color: #1e293b;">Seats:</strong> ${details.seats}</p>
+                    </div>
+
+                    <p style="margin: 0 0 24px 0; color: #64748b; font-size: 16px; line-height: 1.6;">Open the app to respond to the request.</p>
+                    <p style="margin: 24px 0 0 0; color: #94a3b8; font-size: 14px; line-height: 1.5;">Thank you for driving with Carpooling App.</p>
+                  </td>
+                </tr>
+
+                <!-- Footer -->
+                <tr>
+                  <td style="background-color: #f8fafc; padding: 32px 40px; text-align: center; border-top: 1px solid #e2e8f0;">
+                    <p style="margin: 0 0 8px 0; color: #64748b; font-size: 13px; line-height: 1.5;">Need help? Contact our support team</p>
+                    <p style="margin: 0 0 16px 0; color: #94a3b8; font-size: 12px;">&copy; ${new Date().getFullYear()} Carpooling App. All rights reserved.</p>
+                    <p style="margin: 0; color: #cbd5e1; font-size: 11px;">This is an automated message, please do not reply to this email.</p>
+                  </td>
+                </tr>
+
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `,
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log("Booking response reminder email sent:", info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error("Email send error:", error);
+    throw new Error("Failed to send booking response reminder email");
+  }
+};
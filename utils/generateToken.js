@@ -1,15 +1,50 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 
 /**
- * Generate JWT token for authenticated user
+ * Generate short-lived JWT access token for authenticated user
  * @param {string} userId - User's MongoDB ObjectId
  * @param {string[]} roles - User's roles array
+ * @param {string} sessionId - Session the token belongs to
  * @returns {string} JWT token
  */
-export const generateToken = (userId, roles) => {
+export const generateToken = (userId, roles, sessionId) => {
   return jwt.sign(
-    { id: userId, roles },
+    { id: userId, roles, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: "7d" }
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || "15m" }
+  );
+};
+
+/**
+ * Generate opaque refresh token for a session
+ * Format: "<sessionId>.<random secret>" so the session can be looked up directly
+ * @param {string} sessionId - Session's MongoDB ObjectId
+ * @returns {string} Refresh token
+ */
+export const generateRefreshToken = (sessionId) => {
+  return `${sessionId}.${crypto.randomBytes(48).toString("hex")}`;
+};
+
+/**
+ * Hash a token before storing it in the database
+ * @param {string} token - Plain token
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+/**
+ * Generate short-lived challenge token for the second login step (2FA)
+ * It has no session id, so `protect` never accepts it as an access token.
+ * @param {string} userId - User's MongoDB ObjectId
+ * @returns {string} JWT token
+ */
+export const generateChallengeToken = (userId) => {
+  return jwt.sign(
+    { id: userId, purpose: "2fa" },
+    process.env.JWT_SECRET,
+    { expiresIn: "5m" }
   );
 };
@@ -0,0 +1,50 @@
+import DriverProfile from "../models/DriverProfile.js";
+
+// Locations older than this are treated as unknown
+export const LOCATION_STALE_MS = 15 * 60 * 1000;
+
+/**
+ * Validate a [longitude, latitude] pair
+ * @param {*} coordinates - Value from the request
+ * @returns {number[]|null} Numeric coordinates, or null if invalid
+ */
+export const parseCoordinates = (coordinates) => {
+  if (
+    !Array.isArray(coordinates) ||
+    coordinates.length !== 2 ||
+    coordinates.some((value) => value === null || value === "")
+  ) {
+    return null;
+  }
+
+  const [lng, lat] = coordinates.map(Number);
+  if (!Number.isFinite(lng) || !Number.isFinite(lat) || Math.abs(lng) > 180 || Math.abs(lat) > 90) {
+    return null;
+  }
+
+  return [lng, lat];
+};
+
+/**
+ * Find available, approved drivers with a recent location near a point
+ * @param {object} options
+ * @param {number[]} options.coordinates - [longitude, latitude]
+ * @param {number} options.radius - Search radius in meters
+ * @param {number} [options.limit] - Maximum number of drivers
+ * @returns {Promise<object[]>} Driver profiles, nearest first
+ */
+export const findNearbyDrivers = async ({ coordinates, radius, limit = 20 }) => {
+  return DriverProfile.find({
+    currentLocation: {
+      $near: {
+        $geometry: { type: "Point", coordinates },
+        $maxDistance: radius,
+      },
+    },
+    approvalStatus: "approved",
+    isAvailable: true,
+    locationUpdatedAt: { $gte: new Date(Date.now() - LOCATION_STALE_MS) },
+  })
+    .limit(limit)
+    .populate("user", "name phone profilePicture");
+};
@@ -0,0 +1,476 @@
+import Ride from "../models/Ride.js";
+import DriverProfile from "../models/DriverProfile.js";
+import Vehicle, { VEHICLE_SEATS } from "../models/Vehicle.js";
+
+// Mean Earth radius in meters
+const EARTH_RADIUS_M = 6378100;
+
+// Ride preference flags that can be filtered on
+const PREFERENCE_FILTERS = ["smokingAllowed", "petsAllowed", "musicAllowed", "acAvailable"];
+
+// Luggage space sizes, smallest first
+const LUGGAGE_SIZES = ["small", "medium", "large"];
+
+// "Best match" weights (sum to 1)
+export const MATCH_WEIGHTS = {
+  price: 0.35,
+  departureTime: 0.25,
+  rating: 0.25,
+  experience: 0.15,
+};
+
+// Minutes from the preferred time at which the departure time score reaches 0
+const TIME_SCORE_RANGE_MINUTES = 180;
+
+// Completed rides at which a driver's experience scores full marks
+const EXPERIENCED_DRIVER_RIDES = 100;
+
+// Most rides ranked for a "best match" search (the soonest matching ones)
+export const MAX_RANKED_RIDES = 500;
+
+// Time of day (24-hour HH:MM)
+const timeRegex = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+/**
+ * Convert HH:MM to minutes since midnight (NaN if malformed)
+ */
+const toMinutes = (time) => {
+  if (!timeRegex.test(time || "")) {
+    return NaN;
+  }
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Aggregation expression for the great-circle distance (meters) between a
+ * GeoJSON point field and fixed coordinates (haversine formula)
+ * @param {string} field - Path of the GeoJSON point, e.g. "destination.coordinates"
+ * @param {number[]} coordinates - [longitude, latitude]
+ */
+const distanceExpression = (field, [lng, lat]) => {
+  const pointLng = { $arrayElemAt: [`$${field}.coordinates`, 0] };
+  const pointLat = { $arrayElemAt: [`$${field}.coordinates`, 1] };
+  const halfDeltaLat = { $divide: [{ $degreesToRadians: { $subtract: [pointLat, lat] } }, 2] };
+  const halfDeltaLng = { $divide: [{ $degreesToRadians: { $subtract: [pointLng, lng] } }, 2] };
+
+  const a = {
+    $add: [
+      { $pow: [{ $sin: halfDeltaLat }, 2] },
+      {
+        $multiply: [
+          Math.cos((lat * Math.PI) / 180),
+          { $cos: { $degreesToRadians: pointLat } },
+          { $pow: [{ $sin: halfDeltaLng }, 2] },
+        ],
+      },
+    ],
+  };
+
+  return { $multiply: [2 * EARTH_RADIUS_M, { $asin: { $sqrt: a } }] };
+};
+
+/**
+ * Search rides near a pickup and/or dropoff point
+ * Each ride gets pickupDistance / dropoffDistance (meters) and detour
+ * (their sum); results are ordered by detour, closest first.
+ * @param {object} options
+ * @param {object} options.query - Other filters (plain Ride query, no $near)
+ * @param {{ coordinates: number[], radius: number }} [options.pickup] - Near the ride's origin
+ * @param {{ coordinates: number[], radius: number }} [options.dropoff] - Near the ride's destination
+ * @param {number} options.skip - Results to skip (pagination)
+ * @param {number} options.limit - Page size
+ * @returns {Promise<{ rides: object[], total: number }>} Plain ride objects
+ */
+export const searchRidesNear = async ({ query, pickup, dropoff, skip, limit }) => {
+  // $geoNear works on one index; the other endpoint is filtered with $geoWithin
+  const [nearField, near, otherField, other] = pickup
+    ? ["origin.coordinates", pickup, "destination.coordinates", dropoff]
+    : ["destination.coordinates", dropoff, "origin.coordinates", pickup];
+
+  const geoQuery = { ...query };
+  if (other) {
+    geoQuery[otherField] = {
+      $geoWithin: { $centerSphere: [other.coordinates, other.radius / EARTH_RADIUS_M] },
+    };
+  }
+
+  const nearDistance = pickup ? "pickupDistance" : "dropoffDistance";
+  const otherDistance = pickup ? "dropoffDistance" : "pickupDistance";
+
+  const [result] = await Ride.aggregate([
+    {
+      $geoNear: {
+        near: { type: "Point", coordinates: near.coordinates },
+        key: nearField,
+        distanceField: nearDistance,
+        maxDistance: near.radius,
+        query: geoQuery,
+        spherical: true,
+      },
+    },
+    {
+      $addFields: {
+        [otherDistance]: other ? distanceExpression(otherField, other.coordinates) : null,
+      },
+    },
+    {
+      $addFields: {
+        pickupDistance: { $round: ["$pickupDistance", 0] },
+        dropoffDistance: { $round: ["$dropoffDistance", 0] },
+        detour: {
+          $round: [{ $add: [`$${nearDistance}`, { $ifNull: [`$${otherDistance}`, 0] }] }, 0],
+        },
+      },
+    },
+    { $sort: { detour: 1, departureDate: 1 } },
+    {
+      $facet: {
+        rides: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  return {
+    rides: result.rides,
+    total: result.total[0]?.count || 0,
+  };
+};
+
+/**
+ * Build an expression telling, for each route point of a ride, whether its city matches
+ * @param {RegExp} pattern - City pattern
+ */
+const cityMatches = (pattern) => ({
+  $map: {
+    input: "$_points",
+    as: "point",
+    in: { $regexMatch: { input: { $ifNull: ["$$point.city", ""] }, regex: pattern } },
+  },
+});
+
+/**
+ * Search rides passing through an origin and/or destination city, where
+ * either may be a stop on the way
+ * The segment boards at the first route point matching the origin and alights
+ * at the last later point matching the destination. Each ride gets `segment`
+ * ({ fromStop, toStop, availableSeats, farePerSeat }) for it; seats and price
+ * filters apply to it. Matched and paginated in the database.
+ * @param {object} options
+ * @param {object} options.query - Other filters (plain Ride query)
+ * @param {string} [options.originCity] - Boarding city (case-insensitive)
+ * @param {string} [options.destinationCity] - Alighting city (case-insensitive)
+ * @param {number} options.seats - Seats needed
+ * @param {number} [options.minPrice] - Minimum fare per seat of the segment
+ * @param {number} [options.maxPrice] - Maximum fare per seat of the segment
+ * @param {object} options.sort - Sort options
+ * @param {number} options.skip - Results to skip (pagination)
+ * @param {number} options.limit - Page size
+ * @returns {Promise<{ rides: object[], total: number }>} Plain ride objects
+ */
+export const searchRidesByCity = async ({
+  query,
+  originCity,
+  destinationCity,
+  seats,
+  minPrice,
+  maxPrice,
+  sort,
+  skip,
+  limit,
+}) => {
+  const originPattern = originCity ? new RegExp(originCity, "i") : null;
+  const destinationPattern = destinationCity ? new RegExp(destinationCity, "i") : null;
+
+  // Narrow down with plain conditions first, the exact segment is checked after
+  const conditions = [
+    // Older rides have no per-leg seats
+    { $or: [{ segmentSeats: { $elemMatch: { $gte: seats } } }, { availableSeats: { $gte: seats } }] },
+  ];
+  if (originPattern) {
+    conditions.push({ $or: [{ "origin.city": originPattern }, { "stops.city": originPattern }] });
+  }
+  if (destinationPattern) {
+    conditions.push({
+      $or: [{ "destination.city": destinationPattern }, { "stops.city": destinationPattern }],
+    });
+  }
+
+  // Route points are origin (0), stops, destination (segmentCount) - as in getRoutePoints
+  const segmentCount = { $add: [{ $size: { $ifNull: ["$stops", []] } }, 1] };
+  const fromFare = { $arrayElemAt: ["$_points.fare", "$_from"] };
+  const toFare = { $arrayElemAt: ["$_points.fare", "$_to"] };
+
+  const segmentFilters = { "segment.availableSeats": { $gte: seats } };
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    segmentFilters["segment.farePerSeat"] = {};
+    if (minPrice !== undefined) segmentFilters["segment.farePerSeat"].$gte = minPrice;
+    if (maxPrice !== undefined) segmentFilters["segment.farePerSeat"].$lte = maxPrice;
+  }
+
+  const [result] = await Ride.aggregate([
+    { $match: { ...query, $and: [...(query.$and || []), ...conditions] } },
+    {
+      $addFields: {
+        _points: {
+          $concatArrays: [
+            [{ city: "$origin.city", fare: 0 }],
+            {
+              $map: {
+                input: { $ifNull: ["$stops", []] },
+                as: "stop",
+                // Kept as null when missing so fares line up with the points
+                in: { city: "$$stop.city", fare: { $ifNull: ["$$stop.fare", null] } },
+              },
+            },
+            [{ city: "$destination.city", fare: "$farePerSeat" }],
+          ],
+        },
+        // Seats per segment, as in getSegmentSeats
+        _seats: {
+          $cond: [
+            { $eq: [{ $size: { $ifNull: ["$segmentSeats", []] } }, segmentCount] },
+            "$segmentSeats",
+            { $map: { input: { $range: [0, segmentCount] }, in: "$availableSeats" } },
+          ],
+        },
+      },
+    },
+    {
+      $addFields: {
+        // First matching point before the destination
+        _from: originPattern
+          ? { $indexOfArray: [cityMatches(originPattern), true, 0, segmentCount] }
+          : 0,
+        // Last matching point, counted from the destination
+        _toFromEnd: destinationPattern
+          ? { $indexOfArray: [{ $reverseArray: cityMatches(destinationPattern) }, true] }
+          : 0,
+      },
+    },
+    {
+      $addFields: {
+        _to: {
+          $cond: [
+            { $eq: ["$_toFromEnd", -1] },
+            -1,
+            { $subtract: [segmentCount, "$_toFromEnd"] },
+          ],
+        },
+      },
+    },
+    { $match: { _from: { $gte: 0 }, $expr: { $gt: ["$_to", "$_from"] } } },
+    {
+      $addFields: {
+        segment: {
+          fromStop: "$_from",
+          toStop: "$_to",
+          availableSeats: {
+            $min: { $slice: ["$_seats", "$_from", { $subtract: ["$_to", "$_from"] }] },
+          },
+          // As in getSegmentFare
+          farePerSeat: {
+            $cond: [
+              {
+                $and: [{ $isNumber: fromFare }, { $isNumber: toFare }, { $gt: [toFare, fromFare] }],
+              },
+              { $subtract: [toFare, fromFare] },
+              "$farePerSeat",
+            ],
+          },
+        },
+      },
+    },
+    { $match: segmentFilters },
+    { $unset: ["_points", "_seats", "_from", "_toFromEnd", "_to"] },
+    { $sort: sort },
+    {
+      $facet: {
+        rides: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  return {
+    rides: result.rides,
+    total: result.total[0]?.count || 0,
+  };
+};
+
+/**
+ * Build query conditions for the optional search filters
+ * (preferences, departure time window, stops, driver and vehicle)
+ * @param {object} params - Search query string
+ * @returns {Promise<{ conditions?: object[], error?: string }>}
+ */
+export const buildSearchFilters = async (params) => {
+  const conditions = [];
+
+  // Ride preferences
+  for (const field of PREFERENCE_FILTERS) {
+    if (params[field] === undefined) {
+      continue;
+    }
+    if (!["true", "false"].includes(params[field])) {
+      return { error: `${field} must be true or false` };
+    }
+    conditions.push({ [`preferences.${field}`]: params[field] === "true" });
+  }
+
+  // At least this much luggage space
+  if (params.luggageSpace) {
+    const size = LUGGAGE_SIZES.indexOf(params.luggageSpace);
+    if (size === -1) {
+      return { error: `luggageSpace must be one of: ${LUGGAGE_SIZES.join(", ")}` };
+    }
+    conditions.push({ "preferences.luggageSpace": { $in: LUGGAGE_SIZES.slice(size) } });
+  }
+
+  if (params.preferredTime !== undefined && !timeRegex.test(params.preferredTime)) {
+    return { error: "preferredTime must be in HH:MM format" };
+  }
+
+  // Departure time window
+  for (const [param, operator] of [
+    ["departureAfter", "$gte"],
+    ["departureBefore", "$lte"],
+  ]) {
+    if (params[param] === undefined) {
+      continue;
+    }
+    if (!timeRegex.test(params[param])) {
+      return { error: `${param} must be in HH:MM format` };
+    }
+    conditions.push({ departureTime: { [operator]: params[param] } });
+  }
+
+  // Stops
+  if (params.maxStops !== undefined) {
+    const maxStops = Number(params.maxStops);
+    if (!Number.isInteger(maxStops) || maxStops < 0) {
+      return { error: "maxStops must be 0 or more" };
+    }
+    conditions.push({ [`stops.${maxStops}`]: { $exists: false } });
+  }
+  if (params.viaCity) {
+    // Matched literally, not as a pattern
+    const viaCity = String(params.viaCity).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    conditions.push({ "stops.city": { $regex: new RegExp(viaCity, "i") } });
+  }
+
+  // Driver gender and rating
+  const driverQuery = {};
+  if (params.womenOnly === "true") {
+    if (params.driverGender && params.driverGender !== "female") {
+      return { error: "womenOnly can't be combined with another driverGender" };
+    }
+    driverQuery.gender = "female";
+  } else if (params.driverGender) {
+    if (!["male", "female", "other"].includes(params.driverGender)) {
+      return { error: "driverGender must be male, female, or other" };
+    }
+    driverQuery.gender = params.driverGender;
+  }
+
+  if (params.minRating !== undefined) {
+    const minRating = Number(params.minRating);
+    if (isNaN(minRating) || minRating < 0 || minRating > 5) {
+      return { error: "minRating must be between 0 and 5" };
+    }
+    driverQuery.rating = { $gte: minRating };
+  }
+
+  if (Object.keys(driverQuery).length > 0) {
+    const driverProfileIds = await DriverProfile.find(driverQuery).distinct("_id");
+    conditions.push({ driverProfile: { $in: driverProfileIds } });
+  }
+
+  // Vehicle type (rides without a vehicle use the registration vehicle)
+  if (params.vehicleType) {
+    if (!VEHICLE_SEATS[params.vehicleType]) {
+      return { error: `vehicleType must be one of: ${Object.keys(VEHICLE_SEATS).join(", ")}` };
+    }
+
+    const [vehicleIds, driverProfileIds] = await Promise.all([
+      Vehicle.find({ vehicleType: params.vehicleType }).distinct("_id"),
+      DriverProfile.find({ "vehicleInfo.vehicleType": params.vehicleType }).distinct("_id"),
+    ]);
+    conditions.push({
+      $or: [
+        { vehicle: { $in: vehicleIds } },
+        { vehicle: null, driverProfile: { $in: driverProfileIds } },
+      ],
+    });
+  }
+
+  return { conditions };
+};
+
+/**
+ * Order rides by "best match" and add each one's score
+ * Scores (0-1) for price (cheapest in the results = 1), departure time
+ * (closeness to the preferred time, else the middle of the departure window,
+ * else soonest first), driver rating and driver experience (totalRides) are
+ * combined with MATCH_WEIGHTS.
+ * @param {object[]} rides - Plain rides with driverProfile populated
+ * @param {object} [options]
+ * @param {string} [options.preferredTime] - HH:MM
+ * @param {string} [options.departureAfter] - HH:MM
+ * @param {string} [options.departureBefore] - HH:MM
+ * @returns {object[]} The same rides, sorted, each with `score`
+ */
+export const rankRides = (rides, { preferredTime, departureAfter, departureBefore } = {}) => {
+  const fareOf = (ride) => ride.segment?.farePerSeat ?? ride.farePerSeat;
+  const fares = rides.map(fareOf);
+  const departures = rides.map((ride) => new Date(ride.departureDate).getTime());
+  const [minFare, maxFare] = [Math.min(...fares), Math.max(...fares)];
+  const [firstDeparture, lastDeparture] = [Math.min(...departures), Math.max(...departures)];
+  const preferredMinutes = preferredTime
+    ? toMinutes(preferredTime)
+    : (toMinutes(departureAfter) + toMinutes(departureBefore)) / 2;
+
+  const round = (value) => Math.round(value * 1000) / 1000;
+
+  for (const ride of rides) {
+    const fare = fareOf(ride);
+    const departure = new Date(ride.departureDate).getTime();
+
+    let departureTime;
+    if (!isNaN(preferredMinutes)) {
+      const difference = Math.abs(toMinutes(ride.departureTime) - preferredMinutes);
+      departureTime = isNaN(difference) ? 0 : Math.max(0, 1 - difference / TIME_SCORE_RANGE_MINUTES);
+    } else {
+      departureTime =
+        lastDeparture === firstDeparture
+          ? 1
+          : (lastDeparture - departure) / (lastDeparture - firstDeparture);
+    }
+
+    const breakdown = {
+      price: maxFare === minFare ? 1 : (maxFare - fare) / (maxFare - minFare),
+      departureTime,
+      rating: (ride.driverProfile?.rating || 0) / 5,
+      experience:
+        Math.min(ride.driverProfile?.totalRides || 0, EXPERIENCED_DRIVER_RIDES) /
+        EXPERIENCED_DRIVER_RIDES,
+    };
+
+    const total = Object.entries(MATCH_WEIGHTS).reduce(
+      (sum, [component, weight]) => sum + breakdown[component] * weight,
+      0
+    );
+
+    ride.score = {
+      total: round(total),
+      ...Object.fromEntries(
+        Object.entries(breakdown).map(([component, value]) => [component, round(value)])
+      ),
+    };
+  }
+
+  return rides.sort(
+    (a, b) => b.score.total - a.score.total || new Date(a.departureDate) - new Date(b.departureDate)
+  );
+};
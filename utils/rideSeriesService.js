@@ -0,0 +1,332 @@
+import Ride, { getDeparture } from "../models/Ride.js";
+import Booking, { SEAT_RELEASED_STATUSES } from "../models/Booking.js";
+import User from "../models/User.js";
+import DriverProfile from "../models/DriverProfile.js";
+import Vehicle from "../models/Vehicle.js";
+import RideSeries from "../models/RideSeries.js";
+import SeriesSubscription from "../models/SeriesSubscription.js";
+import { cancelRide } from "./rideService.js";
+import { promoteWaitlist } from "./waitlistService.js";
+import { refreshResponseDeadlines } from "./bookingExpiry.js";
+import {
+  parseSegment,
+  getAvailableSeatsBetween,
+  bookSegment,
+  releaseBooking,
+  changeTotalSeats,
+} from "./segmentService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get how many days ahead series rides are created
+ */
+export const getSeriesDaysAhead = () => {
+  return parseInt(process.env.RIDE_SERIES_DAYS_AHEAD) || 14;
+};
+
+/**
+ * Get the start (00:00 UTC) of a date's day
+ */
+const toDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Check if the series runs on a day (weekday, date range and exceptions)
+ * @param {object} series - RideSeries document
+ * @param {Date} day - Day to check
+ */
+export const isSeriesDate = (series, day) => {
+  const date = toDay(day);
+
+  if (date < toDay(series.startDate) || (series.endDate && date > toDay(series.endDate))) {
+    return false;
+  }
+  if (!series.daysOfWeek.includes(date.getUTCDay())) {
+    return false;
+  }
+  return !series.exceptions.some((exception) => toDay(exception).getTime() === date.getTime());
+};
+
+/**
+ * Check if the series' driver may have rides created right now
+ * (same rules as posting a ride, plus suspended or leaving accounts)
+ */
+const canDriveSeries = async (series) => {
+  const [driver, driverProfile, vehicle] = await Promise.all([
+    User.findById(series.driver),
+    DriverProfile.findById(series.driverProfile),
+    series.vehicle ? Vehicle.findById(series.vehicle) : null,
+  ]);
+
+  return Boolean(
+    driver &&
+      driver.roles.includes("driver") &&
+      !driver.isSuspended() &&
+      !driver.deletion?.requestedAt &&
+      driverProfile?.isApproved &&
+      driverProfile.getExpiredDocuments().length === 0 &&
+      // Re-plated since it was put on the series: waits for review
+      (!vehicle || vehicle.isApproved)
+  );
+};
+
+/**
+ * Book a subscriber onto one ride of the series
+ * @param {object} ride - Ride document
+ * @param {object} subscription - SeriesSubscription document
+ * @returns {Promise<object|null>} Booking, or null if they couldn't be booked
+ *          (already booked, not enough seats, ride on hold)
+ */
+export const bookSubscription = async (ride, subscription) => {
+  if (ride.status !== "scheduled" || ride.documentsExpired) {
+    return null;
+  }
+
+  const alreadyBooked = await Booking.exists({
+    ride: ride._id,
+    passenger: subscription.passenger,
+    status: { $nin: SEAT_RELEASED_STATUSES },
+  });
+  if (alreadyBooked) {
+    return null;
+  }
+
+  const segment = parseSegment(ride, subscription.fromStop, subscription.toStop);
+  if (!segment || getAvailableSeatsBetween(ride, segment.from, segment.to) < subscription.seatsBooked) {
+    return null;
+  }
+
+  try {
+    return await bookSegment(ride, {
+      ...segment,
+      passenger: subscription.passenger,
+      subscription: subscription._id,
+      seatsBooked: subscription.seatsBooked,
+      pickupLocation: subscription.pickupLocation,
+      dropoffLocation: subscription.dropoffLocation,
+      passengerNote: subscription.passengerNote,
+      paymentMethod: subscription.paymentMethod,
+    });
+  } catch (error) {
+    // Booked the ride themselves meanwhile
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Create the series' rides for the coming days (see getSeriesDaysAhead)
+ * and book its subscribers onto them. Days that already have a ride
+ * (including cancelled ones) are left alone.
+ * @param {object} series - RideSeries document
+ * @returns {Promise<number>} Number of rides created
+ */
+export const materializeSeries = async (series) => {
+  if (series.status !== "active" || !(await canDriveSeries(series))) {
+    return 0;
+  }
+
+  const now = new Date();
+  const today = toDay(now);
+  const until = new Date(today.getTime() + getSeriesDaysAhead() * DAY_MS);
+
+  const existingDays = await Ride.find({
+    series: series._id,
+    seriesDate: { $gte: today, $lte: until },
+  }).distinct("seriesDate");
+  const existing = new Set(existingDays.map((day) => day.getTime()));
+
+  const subscriptions = await SeriesSubscription.find({ series: series._id, status: "active" });
+  const { origin, destination, stops, preferences } = series.toObject();
+
+  let created = 0;
+  for (let day = today; day <= until; day = new Date(day.getTime() + DAY_MS)) {
+    const departureDate = getDeparture(day, series.departureTime);
+    if (existing.has(day.getTime()) || departureDate <= now || !isSeriesDate(series, day)) {
+      continue;
+    }
+
+    let ride;
+    try {
+      ride = await Ride.create({
+        driver: series.driver,
+        driverProfile: series.driverProfile,
+        vehicle: series.vehicle,
+        series: series._id,
+        seriesDate: day,
+        origin,
+        destination,
+        stops,
+        departureDate,
+        departureTime: series.departureTime,
+        totalSeats: series.totalSeats,
+        availableSeats: series.totalSeats,
+        farePerSeat: series.farePerSeat,
+        preferences,
+        description: series.description,
+      });
+    } catch (error) {
+      // Created meanwhile by another run
+      if (error.code === 11000) {
+        continue;
+      }
+      throw error;
+    }
+    created++;
+
+    for (const subscription of subscriptions) {
+      await bookSubscription(ride, subscription);
+    }
+  }
+
+  return created;
+};
+
+/**
+ * Apply series changes to its upcoming rides
+ * Rides on days the series no longer runs are cancelled. Others get the new
+ * time, seats, fare, preferences and vehicle unless the driver edited them
+ * on their own or they have confirmed bookings.
+ * @param {object} series - RideSeries document (already updated)
+ * @returns {Promise<{ updated: number, cancelled: number, skipped: number, skippedRides: object[] }>}
+ *          skippedRides lists the rides left as they were ({ id, departureDate, reason })
+ */
+export const applySeriesChanges = async (series) => {
+  const rides = await Ride.find({
+    series: series._id,
+    status: "scheduled",
+    departureDate: { $gt: new Date() },
+  });
+
+  const result = { updated: 0, cancelled: 0, skipped: 0, skippedRides: [] };
+  for (const ride of rides) {
+    if (!isSeriesDate(series, ride.seriesDate)) {
+      await cancelRide(ride, "Date removed from the ride series");
+      result.cancelled++;
+      continue;
+    }
+
+    const hasConfirmedBookings = await Booking.exists({
+      ride: ride._id,
+      status: { $in: ["confirmed", "completed"] },
+    });
+    if (ride.seriesModified || hasConfirmedBookings) {
+      result.skipped++;
+      result.skippedRides.push({
+        id: ride._id,
+        departureDate: ride.departureDate,
+        reason: ride.seriesModified ? "edited-separately" : "confirmed-bookings",
+      });
+      continue;
+    }
+
+    ride.departureTime = series.departureTime;
+    ride.departureDate = getDeparture(ride.seriesDate, series.departureTime);
+    ride.farePerSeat = series.farePerSeat;
+    ride.preferences = series.toObject().preferences;
+    ride.description = series.description;
+    ride.vehicle = series.vehicle;
+
+    // Keeps the old seat count if pending bookings wouldn't fit
+    if (ride.totalSeats !== series.totalSeats) {
+      await changeTotalSeats(ride, series.totalSeats);
+    }
+
+    await ride.save();
+    await refreshResponseDeadlines(ride);
+    result.updated++;
+  }
+
+  return result;
+};
+
+/**
+ * Cancel a series, its scheduled rides and its subscriptions
+ * @param {object} series - RideSeries document
+ * @param {string} [reason] - Cancellation reason stored on the bookings
+ * @returns {Promise<number>} Number of rides cancelled
+ */
+export const cancelSeries = async (series, reason) => {
+  series.status = "cancelled";
+  series.cancelledAt = new Date();
+  await series.save();
+
+  const rides = await Ride.find({ series: series._id, status: "scheduled" });
+  for (const ride of rides) {
+    await cancelRide(ride, reason);
+  }
+
+  await SeriesSubscription.updateMany(
+    { series: series._id, status: "active" },
+    { status: "cancelled", cancelledAt: new Date() }
+  );
+
+  return rides.length;
+};
+
+/**
+ * Cancel a subscription and the bookings it made on upcoming rides
+ * @param {object} subscription - SeriesSubscription document
+ * @param {string} [reason] - Cancellation reason stored on the bookings
+ * @returns {Promise<number>} Number of bookings cancelled
+ */
+export const cancelSubscription = async (subscription, reason) => {
+  subscription.status = "cancelled";
+  subscription.cancelledAt = new Date();
+  await subscription.save();
+
+  const bookings = await Booking.find({
+    subscription: subscription._id,
+    status: { $in: ["pending", "confirmed"] },
+  }).populate("ride", "departureDate");
+
+  let cancelled = 0;
+  for (const booking of bookings) {
+    if (!booking.ride || booking.ride.departureDate <= new Date()) {
+      continue;
+    }
+
+    const updated = await releaseBooking(booking, ["pending", "confirmed"], {
+      status: "cancelled",
+      cancelledBy: "passenger",
+      cancellationReason: reason,
+      cancelledAt: new Date(),
+    });
+    if (!updated) {
+      continue;
+    }
+    await promoteWaitlist(booking.ride._id);
+    cancelled++;
+  }
+
+  return cancelled;
+};
+
+/**
+ * Create upcoming rides for all active series and end series past their end date
+ * (background job)
+ * @returns {Promise<object|null>} Counts, or null if there was nothing to do
+ */
+export const materializeAllSeries = async () => {
+  const ended = await RideSeries.updateMany(
+    { status: "active", endDate: { $lt: toDay(new Date()) } },
+    { status: "ended" }
+  );
+
+  let ridesCreated = 0;
+  const seriesList = await RideSeries.find({ status: "active" });
+  for (const series of seriesList) {
+    ridesCreated += await materializeSeries(series);
+  }
+
+  if (ridesCreated === 0 && ended.modifiedCount === 0) {
+    return null;
+  }
+  return { ridesCreated, seriesEnded: ended.modifiedCount };
+};
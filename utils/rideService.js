@@ -0,0 +1,42 @@
+import Ride from "../models/Ride.js";
+import Booking from "../models/Booking.js";
+import { clearWaitlist } from "./waitlistService.js";
+
+/**
+ * Cancel a ride, all of its pending/confirmed bookings and its waitlist
+ * @param {object} ride - Ride document
+ * @param {string} [reason] - Cancellation reason stored on the bookings
+ */
+export const cancelRide = async (ride, reason) => {
+  ride.status = "cancelled";
+  await ride.save();
+
+  await Booking.updateMany(
+    { ride: ride._id, status: { $in: ["pending", "confirmed"] } },
+    {
+      status: "cancelled",
+      holdsSeats: false,
+      cancelledBy: "driver",
+      cancellationReason: reason,
+      cancelledAt: new Date(),
+    }
+  );
+
+  await clearWaitlist(ride._id);
+};
+
+/**
+ * Cancel every scheduled ride of a driver
+ * @param {string} driverId - Driver's user id
+ * @param {string} [reason] - Cancellation reason stored on the bookings
+ * @returns {Promise<number>} Number of rides cancelled
+ */
+export const cancelScheduledRides = async (driverId, reason) => {
+  const rides = await Ride.find({ driver: driverId, status: "scheduled" });
+
+  for (const ride of rides) {
+    await cancelRide(ride, reason);
+  }
+
+  return rides.length;
+};
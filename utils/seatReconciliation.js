@@ -0,0 +1,143 @@
+import Ride from "../models/Ride.js";
+import Booking, { SEAT_RELEASED_STATUSES } from "../models/Booking.js";
+import { getSegmentSeats, countSeats } from "./segmentService.js";
+
+// A booking this new that isn't on the passenger list may still be taking
+// its seats (see bookSegment), so its ride is left for the next run
+const BOOKING_IN_PROGRESS_MS = 60 * 1000;
+
+/**
+ * Compare a ride's free seats and passenger list with its bookings
+ * @param {object} ride - Ride document
+ * @returns {Promise<object|null>} Stored and expected values, or null if they match
+ */
+export const checkRideSeats = async (ride) => {
+  const bookings = await Booking.find({
+    ride: ride._id,
+    status: { $nin: SEAT_RELEASED_STATUSES },
+  }).select("fromStop toStop seatsBooked createdAt");
+
+  const expected = countSeats(ride, bookings);
+  const storedSeats = getSegmentSeats(ride);
+
+  const passengerIds = new Set(ride.passengers.map(String));
+  const bookingIds = new Set(bookings.map((booking) => String(booking._id)));
+  const missing = bookings.filter((booking) => !passengerIds.has(String(booking._id)));
+  const extra = [...passengerIds].filter((id) => !bookingIds.has(id));
+
+  const seatsMatch =
+    ride.segmentSeats?.length === storedSeats.length &&
+    storedSeats.every((seats, i) => seats === expected.segmentSeats[i]) &&
+    ride.availableSeats === expected.availableSeats;
+  if (seatsMatch && missing.length === 0 && extra.length === 0) {
+    return null;
+  }
+
+  return {
+    ride: ride._id,
+    availableSeats: { stored: ride.availableSeats, expected: expected.availableSeats },
+    segmentSeats: { stored: storedSeats, expected: expected.segmentSeats },
+    passengers: [...bookingIds],
+    missingPassengers: missing.map((booking) => booking._id),
+    extraPassengers: extra,
+    overbooked: expected.segmentSeats.some((seats) => seats < 0),
+    bookingInProgress: missing.some(
+      (booking) => Date.now() - booking.createdAt.getTime() < BOOKING_IN_PROGRESS_MS
+    ),
+  };
+};
+
+/**
+ * Describe a discrepancy in one line (for logs)
+ * @param {object} discrepancy - Result of checkRideSeats
+ */
+export const describeDiscrepancy = (discrepancy) => {
+  const { ride, availableSeats, segmentSeats, missingPassengers, extraPassengers } = discrepancy;
+  const parts = [];
+
+  if (availableSeats.stored !== availableSeats.expected) {
+    parts.push(`availableSeats ${availableSeats.stored} → ${availableSeats.expected}`);
+  }
+  if (segmentSeats.stored.join() !== segmentSeats.expected.join()) {
+    parts.push(`segmentSeats [${segmentSeats.stored}] → [${segmentSeats.expected}]`);
+  }
+  if (missingPassengers.length > 0) {
+    parts.push(`${missingPassengers.length} booking(s) missing from passengers`);
+  }
+  if (extraPassengers.length > 0) {
+    parts.push(`${extraPassengers.length} passenger(s) without a booking`);
+  }
+  if (discrepancy.overbooked) {
+    parts.push("overbooked");
+  }
+
+  return `Ride ${ride}: ${parts.join(", ") || "segment seats not set up"}`;
+};
+
+/**
+ * Recount free seats and passenger lists of upcoming and ongoing rides from
+ * their bookings, and repair rides that drifted
+ * A repair only applies if the ride's passengers and total seats haven't
+ * changed since it was checked, so bookings made meanwhile aren't lost;
+ * such rides (and rides with a booking still in progress) are skipped.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Only report, don't repair
+ * @param {string} [options.rideId] - Check this ride only (any status)
+ * @returns {Promise<{ checked: number, repaired: number, skipped: number, discrepancies: object[] }>}
+ */
+export const reconcileSeats = async ({ dryRun = false, rideId } = {}) => {
+  const query = rideId ? { _id: rideId } : { status: { $in: ["scheduled", "in-progress"] } };
+  const rides = await Ride.find(query).select(
+    "stops totalSeats segmentSeats availableSeats passengers"
+  );
+
+  const result = { checked: rides.length, repaired: 0, skipped: 0, discrepancies: [] };
+  for (const ride of rides) {
+    const discrepancy = await checkRideSeats(ride);
+    if (!discrepancy) {
+      continue;
+    }
+    result.discrepancies.push(discrepancy);
+
+    if (dryRun) {
+      continue;
+    }
+    if (discrepancy.bookingInProgress) {
+      result.skipped++;
+      continue;
+    }
+
+    const repair = await Ride.updateOne(
+      { _id: ride._id, passengers: ride.passengers, totalSeats: ride.totalSeats },
+      {
+        $set: {
+          segmentSeats: discrepancy.segmentSeats.expected,
+          availableSeats: discrepancy.availableSeats.expected,
+          passengers: discrepancy.passengers,
+        },
+      }
+    );
+    if (repair.modifiedCount === 1) {
+      result.repaired++;
+    } else {
+      result.skipped++;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Reconcile seats of all upcoming and ongoing rides (background job)
+ * Set SEAT_RECONCILIATION_DRY_RUN=true to only report.
+ * @returns {Promise<object|null>} Counts and one line per ride, or null if nothing drifted
+ */
+export const reconcileAllSeats = async () => {
+  const dryRun = process.env.SEAT_RECONCILIATION_DRY_RUN === "true";
+  const { discrepancies, ...counts } = await reconcileSeats({ dryRun });
+
+  if (discrepancies.length === 0) {
+    return null;
+  }
+  return { ...counts, dryRun, rides: discrepancies.map(describeDiscrepancy) };
+};
@@ -0,0 +1,387 @@
+import Ride, { getDeparture } from "../models/Ride.js";
+import Booking, { SEAT_RELEASED_STATUSES } from "../models/Booking.js";
+
+/**
+ * Segment booking
+ * A ride's route points are: origin (0), each stop (1..n), destination (n + 1).
+ * Segment i runs from point i to point i + 1, and Ride.segmentSeats[i] holds
+ * the seats still free on it. Ride.availableSeats is the smallest of these,
+ * i.e. the seats free for the whole trip.
+ *
+ * Seats are taken and given back with single conditional updates on the
+ * ride (no load-modify-save), so concurrent requests can't oversell it.
+ */
+
+/**
+ * Get the route points of a ride (origin, stops, destination)
+ * `fare` is the fare from the origin to the point (undefined if unknown)
+ * @param {object} ride - Ride document
+ */
+export const getRoutePoints = (ride) => [
+  { address: ride.origin.address, city: ride.origin.city, coordinates: ride.origin.coordinates, fare: 0 },
+  ...(ride.stops || []).map((stop) => ({
+    address: stop.address,
+    city: stop.city,
+    coordinates: stop.coordinates,
+    fare: stop.fare,
+  })),
+  {
+    address: ride.destination.address,
+    city: ride.destination.city,
+    coordinates: ride.destination.coordinates,
+    fare: ride.farePerSeat,
+  },
+];
+
+/**
+ * Get the segment (route point indexes) a booking covers
+ * Bookings made before segment booking cover the whole trip.
+ * @param {object} ride - Ride document
+ * @param {object} booking - Booking document
+ * @returns {{ from: number, to: number }}
+ */
+export const getBookingSegment = (ride, booking) => ({
+  from: booking.fromStop ?? 0,
+  to: booking.toStop ?? (ride.stops?.length || 0) + 1,
+});
+
+/**
+ * Read a requested segment (default: whole trip)
+ * @param {object} ride - Ride (or ride series) with origin, stops and destination
+ * @param {number} [fromStop] - Boarding point index
+ * @param {number} [toStop] - Alighting point index
+ * @returns {{ from: number, to: number }|null} Null if not a valid segment
+ */
+export const parseSegment = (ride, fromStop, toStop) => {
+  const last = (ride.stops?.length || 0) + 1;
+  const from = fromStop ?? 0;
+  const to = toStop ?? last;
+
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to > last || from >= to) {
+    return null;
+  }
+  return { from, to };
+};
+
+/**
+ * Get free seats per segment
+ * Rides created before segment booking get one entry per segment equal to availableSeats.
+ * @param {object} ride - Ride document
+ * @returns {number[]}
+ */
+export const getSegmentSeats = (ride) => {
+  const segmentCount = (ride.stops?.length || 0) + 1;
+  if (ride.segmentSeats?.length === segmentCount) {
+    return [...ride.segmentSeats];
+  }
+  return Array(segmentCount).fill(ride.availableSeats);
+};
+
+/**
+ * Get seats free for the whole of a segment
+ * @param {object} ride - Ride document
+ * @param {number} from - Boarding point index
+ * @param {number} to - Alighting point index
+ */
+export const getAvailableSeatsBetween = (ride, from, to) => {
+  return Math.min(...getSegmentSeats(ride).slice(from, to));
+};
+
+/**
+ * Get the per-seat fare between two route points
+ * Uses the stop fares (fare to the stop from the origin). Falls back to the
+ * full fare per seat when a stop on the way has no fare.
+ * @param {object} ride - Ride document
+ * @param {number} from - Boarding point index
+ * @param {number} to - Alighting point index
+ */
+export const getSegmentFare = (ride, from, to) => {
+  const points = getRoutePoints(ride);
+  const fromFare = points[from].fare;
+  const toFare = points[to].fare;
+
+  if (typeof fromFare !== "number" || typeof toFare !== "number" || toFare <= fromFare) {
+    return ride.farePerSeat;
+  }
+  return toFare - fromFare;
+};
+
+/**
+ * Check that stop fares (when given) increase along the route and stay below the full fare
+ * @param {object[]} stops - Ride stops
+ * @param {number} farePerSeat - Fare from origin to destination
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateStopFares = (stops = [], farePerSeat) => {
+  let previousFare = 0;
+  for (const [index, stop] of stops.entries()) {
+    if (stop.fare === undefined || stop.fare === null) {
+      continue;
+    }
+    if (typeof stop.fare !== "number" || stop.fare <= previousFare || stop.fare >= farePerSeat) {
+      return `Stop ${index + 1} fare must be higher than the previous stop's and lower than the fare per seat`;
+    }
+    previousFare = stop.fare;
+  }
+  return null;
+};
+
+/**
+ * Build an update pipeline that adds seats to legs [from, to), keeps
+ * availableSeats in sync and replaces the passenger list
+ * Runs as a single update on the ride, so concurrent bookings can't
+ * both take the same seats.
+ * @param {number} from - Boarding point index
+ * @param {number} to - Alighting point index
+ * @param {number} delta - Seats to add (negative to take)
+ * @param {object} passengers - Aggregation expression for the new passenger list
+ */
+const seatUpdate = (from, to, delta, passengers) => [
+  {
+    $set: {
+      segmentSeats: {
+        $map: {
+          input: { $range: [0, { $size: "$segmentSeats" }] },
+          as: "leg",
+          in: {
+            $add: [
+              { $arrayElemAt: ["$segmentSeats", "$$leg"] },
+              { $cond: [{ $and: [{ $gte: ["$$leg", from] }, { $lt: ["$$leg", to] }] }, delta, 0] },
+            ],
+          },
+        },
+      },
+      passengers,
+    },
+  },
+  { $set: { availableSeats: { $max: [0, { $min: "$segmentSeats" }] } } },
+];
+
+/**
+ * Give rides created before segment booking their per-segment seats
+ * (each segment starts with the ride's availableSeats)
+ * @param {object} ride - Ride document
+ */
+const ensureSegmentSeats = async (ride) => {
+  const segmentCount = (ride.stops?.length || 0) + 1;
+  if (ride.segmentSeats?.length === segmentCount) {
+    return;
+  }
+
+  // Only if still missing (another request may have done it meanwhile)
+  await Ride.updateOne(
+    { _id: ride._id, [`segmentSeats.${segmentCount - 1}`]: { $exists: false } },
+    [{ $set: { segmentSeats: { $map: { input: { $range: [0, segmentCount] }, in: "$availableSeats" } } } }],
+    { updatePipeline: true }
+  );
+};
+
+/**
+ * Take a new booking's seats on its segment and add it to the passenger list
+ * The update only applies if every leg still has the seats free, so the
+ * ride can't be overbooked. The ride document passed in is not refreshed.
+ * @param {object} ride - Ride document
+ * @param {object} booking - Booking document
+ * @returns {Promise<boolean>} False if not enough seats are free
+ */
+export const reserveSeats = async (ride, booking) => {
+  const { from, to } = getBookingSegment(ride, booking);
+  await ensureSegmentSeats(ride);
+
+  const seatsFree = {};
+  for (let i = from; i < to; i++) {
+    seatsFree[`segmentSeats.${i}`] = { $gte: booking.seatsBooked };
+  }
+
+  const result = await Ride.updateOne(
+    { _id: ride._id, status: "scheduled", passengers: { $ne: booking._id }, ...seatsFree },
+    seatUpdate(from, to, -booking.seatsBooked, { $concatArrays: ["$passengers", [booking._id]] }),
+    { updatePipeline: true }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Get when a booking request made now expires if the driver doesn't respond:
+ * BOOKING_RESPONSE_MINUTES after it was made (default 120) or
+ * BOOKING_RESPONSE_BEFORE_DEPARTURE_MINUTES before departure (default 30),
+ * whichever is sooner. Requests made later than that can be answered until departure.
+ * @param {object} ride - Ride document (departureDate and departureTime)
+ * @param {Date} [requestedAt] - When the booking was made
+ */
+export const getResponseDeadline = (ride, requestedAt = new Date()) => {
+  const responseMinutes = parseInt(process.env.BOOKING_RESPONSE_MINUTES) || 120;
+  const beforeDepartureMinutes = parseInt(process.env.BOOKING_RESPONSE_BEFORE_DEPARTURE_MINUTES) || 30;
+
+  const departure = getDeparture(ride.departureDate, ride.departureTime);
+  const afterRequest = requestedAt.getTime() + responseMinutes * 60 * 1000;
+  const beforeDeparture = departure.getTime() - beforeDepartureMinutes * 60 * 1000;
+  if (beforeDeparture <= requestedAt.getTime()) {
+    return new Date(Math.max(departure.getTime(), requestedAt.getTime()));
+  }
+  return new Date(Math.min(afterRequest, beforeDeparture));
+};
+
+/**
+ * Create a booking on a segment of a ride and take its seats
+ * Pickup/dropoff default to the boarding and alighting points. The driver
+ * must respond before the booking's responseDeadline.
+ * Throws a duplicate key error (code 11000) if the passenger already
+ * holds seats on the ride.
+ * @param {object} ride - Ride document
+ * @param {object} details - passenger, seatsBooked, from, to and optionally
+ *        pickupLocation, dropoffLocation, paymentMethod, passengerNote, subscription
+ * @returns {Promise<object|null>} Booking, or null if not enough seats are free
+ */
+export const bookSegment = async (
+  ride,
+  { from, to, pickupLocation, dropoffLocation, paymentMethod, ...details }
+) => {
+  const points = getRoutePoints(ride);
+  const farePerSeat = getSegmentFare(ride, from, to);
+
+  const booking = await Booking.create({
+    ...details,
+    ride: ride._id,
+    fromStop: from,
+    toStop: to,
+    pickupLocation: pickupLocation?.address ? pickupLocation : points[from],
+    dropoffLocation: dropoffLocation?.address ? dropoffLocation : points[to],
+    farePerSeat,
+    totalFare: details.seatsBooked * farePerSeat,
+    paymentMethod: paymentMethod || "cash",
+    responseDeadline: getResponseDeadline(ride),
+  });
+
+  if (!(await reserveSeats(ride, booking))) {
+    await Booking.deleteOne({ _id: booking._id });
+    return null;
+  }
+
+  return booking;
+};
+
+/**
+ * Give a booking's seats back to its ride and remove it from the passenger list
+ * Does nothing if the booking is no longer on the passenger list, so seats
+ * are never given back twice.
+ * @param {object} booking - Booking document
+ */
+export const releaseSeats = async (booking) => {
+  const ride = await Ride.findById(booking.ride?._id ?? booking.ride).select(
+    "stops segmentSeats availableSeats"
+  );
+  if (!ride) {
+    return;
+  }
+
+  const { from, to } = getBookingSegment(ride, booking);
+  await ensureSegmentSeats(ride);
+
+  await Ride.updateOne(
+    { _id: ride._id, passengers: booking._id },
+    seatUpdate(from, to, booking.seatsBooked, {
+      $filter: { input: "$passengers", cond: { $ne: ["$$this", booking._id] } },
+    }),
+    { updatePipeline: true }
+  );
+};
+
+/**
+ * Cancel or reject a booking and give its seats back
+ * The status only changes if the booking is still in one of `fromStatuses`,
+ * so when two requests race (e.g. passenger cancels while the driver
+ * rejects) only one of them wins.
+ * @param {object} booking - Booking document
+ * @param {string[]} fromStatuses - Statuses the booking may be moved from
+ * @param {object} changes - New status ("cancelled"/"rejected"/"expired") and related fields
+ * @returns {Promise<object|null>} Updated booking, or null if its status changed meanwhile
+ */
+export const releaseBooking = async (booking, fromStatuses, changes) => {
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: { $in: fromStatuses } },
+    { ...changes, holdsSeats: false },
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    return null;
+  }
+
+  await releaseSeats(updated);
+  return updated;
+};
+
+/**
+ * Change a ride's total seats, adding the difference to every segment
+ * Fails without changes if fewer seats than are already booked would be left.
+ * @param {object} ride - Ride document (its seat fields are refreshed on success)
+ * @param {number} totalSeats - New total seats
+ * @returns {Promise<boolean>} False if booked seats wouldn't fit
+ */
+export const changeTotalSeats = async (ride, totalSeats) => {
+  const previousSeats = ride.totalSeats;
+  const delta = totalSeats - previousSeats;
+  const segmentCount = (ride.stops?.length || 0) + 1;
+  await ensureSegmentSeats(ride);
+
+  // Removing seats: every leg must have at least that many free
+  const seatsFree = {};
+  if (delta < 0) {
+    for (let i = 0; i < segmentCount; i++) {
+      seatsFree[`segmentSeats.${i}`] = { $gte: -delta };
+    }
+  }
+
+  const updated = await Ride.findOneAndUpdate(
+    { _id: ride._id, totalSeats: previousSeats, ...seatsFree },
+    [
+      ...seatUpdate(0, segmentCount, delta, "$passengers"),
+      { $set: { totalSeats } },
+    ],
+    { new: true, updatePipeline: true }
+  );
+  if (!updated) {
+    return false;
+  }
+
+  // Sync the document without saving these fields again on the next save()
+  for (const path of ["totalSeats", "segmentSeats", "availableSeats"]) {
+    ride.set(path, updated.get(path));
+    ride.unmarkModified(path);
+  }
+  return true;
+};
+
+/**
+ * Count the free seats per segment a ride should have for its bookings
+ * @param {object} ride - Ride document
+ * @param {object[]} bookings - The ride's bookings that hold seats
+ * @returns {{ segmentSeats: number[], availableSeats: number }}
+ */
+export const countSeats = (ride, bookings) => {
+  const segmentSeats = Array((ride.stops?.length || 0) + 1).fill(ride.totalSeats);
+
+  for (const booking of bookings) {
+    const { from, to } = getBookingSegment(ride, booking);
+    for (let i = from; i < to; i++) {
+      segmentSeats[i] -= booking.seatsBooked;
+    }
+  }
+
+  return { segmentSeats, availableSeats: Math.max(0, Math.min(...segmentSeats)) };
+};
+
+/**
+ * Recount a ride's free seats from its bookings (e.g. after its stops change)
+ * @param {object} ride - Ride document (saved by the caller)
+ */
+export const recalculateSeats = async (ride) => {
+  const bookings = await Booking.find({
+    ride: ride._id,
+    status: { $nin: SEAT_RELEASED_STATUSES },
+  });
+
+  const { segmentSeats, availableSeats } = countSeats(ride, bookings);
+  ride.segmentSeats = segmentSeats;
+  ride.availableSeats = availableSeats;
+};
@@ -0,0 +1,137 @@
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+import { generateToken, generateRefreshToken, hashToken } from "./generateToken.js";
+
+/**
+ * Get refresh token expiry date from now
+ */
+const getRefreshExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Get client IP and user agent from request
+ * The IP is req.ip, which only honours X-Forwarded-For from trusted
+ * proxies (see TRUST_PROXY), so clients can't pick their own IP.
+ * @param {object} req - Express request
+ */
+export const getClientInfo = (req) => {
+  return {
+    ipAddress: req.ip || "",
+    userAgent: req.headers["user-agent"] || "",
+  };
+};
+
+/**
+ * Start a new session for a user and issue its tokens
+ * @param {object} user - User document
+ * @param {object} req - Express request (for device info)
+ * @returns {Promise<{token: string, refreshToken: string, session: object}>}
+ */
+export const createSession = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = generateRefreshToken(sessionId);
+
+  const session = await Session.create({
+    _id: sessionId,
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    ...getClientInfo(req),
+    expiresAt: getRefreshExpiry(),
+  });
+
+  return {
+    token: generateToken(user._id, user.roles, session._id),
+    refreshToken,
+    session,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ * Reusing an already rotated refresh token revokes the whole session.
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {object} req - Express request (for device info)
+ * @returns {Promise<{token: string, refreshToken: string, session: object} | null>}
+ */
+export const rotateSession = async (refreshToken, req) => {
+  if (typeof refreshToken !== "string") {
+    return null;
+  }
+
+  const [sessionId] = refreshToken.split(".");
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+
+  const refreshTokenHash = hashToken(refreshToken);
+  const newRefreshToken = generateRefreshToken(sessionId);
+
+  // Swap tokens in one update that only matches the latest token, so two
+  // refreshes racing with the same token can't both get a new one
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      refreshTokenHash: hashToken(newRefreshToken),
+      ...getClientInfo(req),
+      lastSeenAt: new Date(),
+      expiresAt: getRefreshExpiry(),
+    },
+    { new: true }
+  ).populate("user", "roles");
+
+  if (!session) {
+    // Token doesn't match the latest one issued - it was stolen or replayed
+    await Session.updateOne(
+      {
+        _id: sessionId,
+        refreshTokenHash: { $ne: refreshTokenHash },
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      { revokedAt: new Date(), revokedReason: "token-reuse" }
+    );
+    return null;
+  }
+
+  if (!session.user) {
+    return null;
+  }
+
+  return {
+    token: generateToken(session.user._id, session.user.roles, session._id),
+    refreshToken: newRefreshToken,
+    session,
+  };
+};
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session's MongoDB ObjectId
+ * @param {string} userId - Owner of the session
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+export const revokeSession = async (sessionId, userId, reason = "revoked") => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User's MongoDB ObjectId
+ * @param {string} reason - Revocation reason
+ * @param {string} [exceptSessionId] - Session to keep (e.g. the current device)
+ */
+export const revokeAllSessions = async (userId, reason = "revoked", exceptSessionId = null) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  await Session.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
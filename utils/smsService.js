@@ -0,0 +1,77 @@
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * SMS providers
+ * Each provider implements `send(to, message)` and returns { success, messageId }.
+ * Select one with SMS_PROVIDER (default: "console").
+ */
+const providers = {
+  // Local development - print messages to the server log
+  console: {
+    send: async (to, message) => {
+      console.log(`[SMS] To: ${to} | ${message}`);
+      return { success: true, messageId: `console-${Date.now()}` };
+    },
+  },
+
+  // Local development - append messages to a file (SMS_LOG_FILE, default logs/sms.log)
+  file: {
+    send: async (to, message) => {
+      const logFile = process.env.SMS_LOG_FILE || path.join("logs", "sms.log");
+      await fs.mkdir(path.dirname(logFile), { recursive: true });
+      await fs.appendFile(logFile, `${new Date().toISOString()} | To: ${to} | ${message}\n`);
+      return { success: true, messageId: `file-${Date.now()}` };
+    },
+  },
+};
+
+/**
+ * Register a custom SMS provider (e.g. a gateway client)
+ * @param {string} name - Provider name used in SMS_PROVIDER
+ * @param {{ send: (to: string, message: string) => Promise<object> }} provider
+ */
+export const registerSmsProvider = (name, provider) => {
+  if (typeof provider?.send !== "function") {
+    throw new Error("SMS provider must implement send(to, message)");
+  }
+  providers[name] = provider;
+};
+
+/**
+ * Get the configured SMS provider
+ */
+const getProvider = () => {
+  const name = process.env.SMS_PROVIDER || "console";
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  return provider;
+};
+
+/**
+ * Send an SMS through the configured provider
+ * @param {string} to - Recipient phone number
+ * @param {string} message - Message text
+ */
+export const sendSms = async (to, message) => {
+  try {
+    return await getProvider().send(to, message);
+  } catch (error) {
+    console.error("SMS send error:", error);
+    throw new Error("Failed to send SMS");
+  }
+};
+
+/**
+ * Send phone verification code
+ * @param {string} to - Recipient phone number
+ * @param {string} code - Verification code
+ */
+export const sendPhoneVerificationSms = async (to, code) => {
+  return sendSms(
+    to,
+    `Your Carpooling App verification code is ${code}. It expires in 10 minutes.`
+  );
+};
@@ -0,0 +1,80 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+
+/**
+ * Get directory where the local provider keeps uploaded files
+ */
+export const getUploadsDir = () => {
+  return process.env.UPLOADS_DIR || path.join("storage", "uploads");
+};
+
+/**
+ * Resolve a storage key to a path inside the uploads directory
+ * Rejects keys that would escape it (e.g. "../")
+ */
+const resolveLocalPath = (key) => {
+  const root = path.resolve(getUploadsDir());
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+/**
+ * Storage providers
+ * Each provider implements:
+ *   save(key, buffer, contentType) - store a file
+ *   createReadStream(key)          - readable stream of a stored file (null if missing)
+ *   remove(key)                    - delete a file (no error if missing)
+ * Select one with STORAGE_PROVIDER (default: "local").
+ */
+const providers = {
+  // Files on the server's disk (UPLOADS_DIR, default storage/uploads)
+  local: {
+    save: async (key, buffer) => {
+      const filePath = resolveLocalPath(key);
+      await fsp.mkdir(path.dirname(filePath), { recursive: true });
+      await fsp.writeFile(filePath, buffer);
+    },
+    createReadStream: async (key) => {
+      const filePath = resolveLocalPath(key);
+      try {
+        await fsp.access(filePath);
+      } catch {
+        return null;
+      }
+      return fs.createReadStream(filePath);
+    },
+    remove: async (key) => {
+      await fsp.rm(resolveLocalPath(key), { force: true });
+    },
+  },
+};
+
+/**
+ * Register a custom storage provider (e.g. an object storage client)
+ * @param {string} name - Provider name used in STORAGE_PROVIDER
+ * @param {{ save: Function, createReadStream: Function, remove: Function }} provider
+ */
+export const registerStorageProvider = (name, provider) => {
+  for (const method of ["save", "createReadStream", "remove"]) {
+    if (typeof provider?.[method] !== "function") {
+      throw new Error(`Storage provider must implement ${method}()`);
+    }
+  }
+  providers[name] = provider;
+};
+
+/**
+ * Get the configured storage provider
+ */
+export const getStorage = () => {
+  const name = process.env.STORAGE_PROVIDER || "local";
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown storage provider: ${name}`);
+  }
+  return provider;
+};
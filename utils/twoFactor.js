@@ -0,0 +1,185 @@
+import crypto from "crypto";
+import { hashToken } from "./generateToken.js";
+
+/**
+ * TOTP (RFC 6238) helpers for two-factor authentication
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // seconds
+const TOTP_WINDOW = 1; // Accept codes from one step before/after (clock drift)
+
+/**
+ * Encode buffer as base32 (RFC 4648, no padding)
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode base32 string to buffer
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate HOTP code (RFC 4226) for a counter
+ */
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Generate a new random TOTP secret (base32)
+ */
+export const generateTotpSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Generate the TOTP code for a secret at a given time
+ * @param {string} secret - Base32 secret
+ * @param {number} time - Unix time in milliseconds
+ */
+export const generateTotp = (secret, time = Date.now()) => {
+  return generateHotp(secret, Math.floor(time / 1000 / TOTP_PERIOD));
+};
+
+/**
+ * Verify a TOTP code, allowing for small clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @returns {boolean}
+ */
+export const verifyTotp = (secret, code) => {
+  if (!secret || !code || !/^[0-9]{6}$/.test(String(code).trim())) {
+    return false;
+  }
+
+  const counter = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+  for (let i = -TOTP_WINDOW; i <= TOTP_WINDOW; i++) {
+    const expected = Buffer.from(generateHotp(secret, counter + i));
+    if (crypto.timingSafeEqual(expected, Buffer.from(String(code).trim()))) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Build otpauth:// provisioning URI (rendered as a QR code by the client)
+ * @param {string} secret - Base32 secret
+ * @param {string} email - Account name shown in the authenticator app
+ */
+export const getProvisioningUri = (secret, email) => {
+  const issuer = process.env.TWO_FACTOR_ISSUER || "Carpooling App";
+  const label = encodeURIComponent(`${issuer}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Generate one-time recovery codes (format: xxxxx-xxxxx)
+ * @param {number} count - Number of codes
+ * @returns {string[]}
+ */
+export const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const code = crypto.randomBytes(5).toString("hex");
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+};
+
+/**
+ * Check if two-factor authentication is mandatory for a user
+ * @param {object} user - User document
+ */
+export const isTwoFactorRequired = (user) => {
+  // Admin policy can be switched off for local development
+  if (process.env.ADMIN_2FA_REQUIRED === "false") {
+    return false;
+  }
+  return user.roles.includes("admin");
+};
+
+/**
+ * Check a TOTP or recovery code for a user loaded with the two-factor secrets.
+ * A matching recovery code is removed (caller must save the user).
+ * @param {object} user - User document with twoFactor.secret and twoFactor.recoveryCodes selected
+ * @param {string} code - TOTP code or recovery code
+ * @returns {{ isValid: boolean, usedRecoveryCode: boolean }}
+ */
+export const verifySecondFactor = (user, code) => {
+  if (!code) {
+    return { isValid: false, usedRecoveryCode: false };
+  }
+
+  if (verifyTotp(user.twoFactor.secret, code)) {
+    return { isValid: true, usedRecoveryCode: false };
+  }
+
+  const codeHash = hashToken(String(code).trim().toLowerCase());
+  const index = user.twoFactor.recoveryCodes.indexOf(codeHash);
+  if (index !== -1) {
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return { isValid: true, usedRecoveryCode: true };
+  }
+
+  return { isValid: false, usedRecoveryCode: false };
+};
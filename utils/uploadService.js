@@ -0,0 +1,119 @@
+import crypto from "crypto";
+import sharp from "sharp";
+import Upload from "../models/Upload.js";
+import { getStorage } from "./storage.js";
+
+// Profile pictures are cropped square; thumbnails fit inside this box
+const PROFILE_PICTURE_SIZE = 512;
+const THUMBNAIL_SIZE = 160;
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "application/pdf": "pdf",
+};
+
+/**
+ * Resize an image to a WebP thumbnail (EXIF-rotated, metadata stripped)
+ * @param {Buffer} buffer - Source image
+ */
+const createThumbnail = (buffer) => {
+  return sharp(buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside", withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+};
+
+/**
+ * Process and store an uploaded file, with a thumbnail for images
+ * Profile pictures are re-encoded to a square WebP, which also strips
+ * location and camera metadata. Documents are stored as uploaded.
+ * @param {string} ownerId - Uploading user's ObjectId
+ * @param {string} kind - "profile-picture" or a document type
+ * @param {object} file - Multer file ({ buffer, mimetype, originalname })
+ * @returns {Promise<object>} Created Upload document
+ */
+export const storeUpload = async (ownerId, kind, file) => {
+  const storage = getStorage();
+  const isImage = file.mimetype.startsWith("image/");
+
+  let buffer = file.buffer;
+  let mimeType = file.mimetype;
+
+  // Throws for corrupt images, before anything is stored
+  if (kind === "profile-picture") {
+    buffer = await sharp(file.buffer)
+      .rotate()
+      .resize(PROFILE_PICTURE_SIZE, PROFILE_PICTURE_SIZE, { fit: "cover" })
+      .webp({ quality: 85 })
+      .toBuffer();
+    mimeType = "image/webp";
+  }
+  const thumbnailBuffer = isImage ? await createThumbnail(buffer) : null;
+
+  const baseKey = `${ownerId}/${kind}-${crypto.randomBytes(12).toString("hex")}`;
+  const storageKey = `${baseKey}.${EXTENSIONS[mimeType]}`;
+  await storage.save(storageKey, buffer, mimeType);
+
+  let thumbnail;
+  if (thumbnailBuffer) {
+    thumbnail = { storageKey: `${baseKey}-thumb.webp`, mimeType: "image/webp" };
+    await storage.save(thumbnail.storageKey, thumbnailBuffer, thumbnail.mimeType);
+  }
+
+  return Upload.create({
+    owner: ownerId,
+    kind,
+    originalName: file.originalname,
+    mimeType,
+    size: buffer.length,
+    storageKey,
+    thumbnail,
+  });
+};
+
+/**
+ * Delete an upload and its stored files
+ * @param {object} upload - Upload document
+ */
+export const removeUpload = async (upload) => {
+  const storage = getStorage();
+  await storage.remove(upload.storageKey);
+  if (upload.thumbnail?.storageKey) {
+    await storage.remove(upload.thumbnail.storageKey);
+  }
+  await upload.deleteOne();
+};
+
+/**
+ * Delete all of a user's uploads of the given kind
+ * @param {string} ownerId - User's ObjectId
+ * @param {string} [kind] - Only this kind (all kinds if omitted)
+ * @param {string} [exceptId] - Upload to keep
+ */
+export const removeUploads = async (ownerId, kind, exceptId) => {
+  const query = { owner: ownerId };
+  if (kind) {
+    query.kind = kind;
+  }
+  if (exceptId) {
+    query._id = { $ne: exceptId };
+  }
+
+  const uploads = await Upload.find(query);
+  for (const upload of uploads) {
+    await removeUpload(upload);
+  }
+};
+
+/**
+ * Build the authenticated download URL of an upload
+ * @param {object} req - Express request (used when API_URL isn't set)
+ * @param {string} uploadId - Upload's ObjectId
+ */
+export const getUploadUrl = (req, uploadId) => {
+  const baseUrl = process.env.API_URL || `${req.protocol}://${req.get("host")}`;
+  return `${baseUrl}/api/uploads/${uploadId}`;
+};
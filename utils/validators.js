@@ -1,6 +1,7 @@
 /**
  * Validation utility functions for auth inputs
  */
+import { VEHICLE_SEATS } from "../models/Vehicle.js";
 
 // Email validation regex
 const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -11,6 +12,36 @@ const phoneRegex = /^[\+]?[0-9]{10,14}$/;
 // CNIC validation regex (Pakistani format: 00000-0000000-0)
 const cnicRegex = /^[0-9]{5}-[0-9]{7}-[0-9]$/;
 
+// Time of day (24-hour HH:MM)
+const timeRegex = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+/**
+ * Validate vehicle info (adds errors to the given errors object)
+ */
+const validateVehicleInfo = (vehicleInfo, errors) => {
+  if (!vehicleInfo) {
+    errors.vehicleInfo = "Vehicle information is required";
+  } else {
+    if (!vehicleInfo.vehicleType) {
+      errors.vehicleType = "Vehicle type is required";
+    } else if (!["car", "bike", "van"].includes(vehicleInfo.vehicleType)) {
+      errors.vehicleType = "Vehicle type must be car, bike, or van";
+    }
+
+    if (!vehicleInfo.vehicleModel || vehicleInfo.vehicleModel.trim().length < 2) {
+      errors.vehicleModel = "Vehicle model is required";
+    }
+
+    if (!vehicleInfo.vehicleColor) {
+      errors.vehicleColor = "Vehicle color is required";
+    }
+
+    if (!vehicleInfo.vehiclePlate || vehicleInfo.vehiclePlate.trim().length < 3) {
+      errors.vehiclePlate = "Vehicle plate number is required";
+    }
+  }
+};
+
 /**
  * Validate passenger registration input
  */
@@ -50,15 +81,11 @@ export const validatePassengerRegister = (data) => {
 };
 
 /**
- * Validate driver registration input
+ * Validate driver-specific details (CNIC, license, gender, vehicle)
  */
-export const validateDriverRegister = (data) => {
+export const validateDriverDetails = (data) => {
   const errors = {};
 
-  // First validate common fields (same as passenger)
-  const passengerValidation = validatePassengerRegister(data);
-  Object.assign(errors, passengerValidation.errors);
-
   // CNIC validation
   if (!data.cnic) {
     errors.cnic = "CNIC is required";
@@ -79,27 +106,27 @@ export const validateDriverRegister = (data) => {
   }
 
   // Vehicle info validation
-  if (!data.vehicleInfo) {
-    errors.vehicleInfo = "Vehicle information is required";
-  } else {
-    if (!data.vehicleInfo.vehicleType) {
-      errors.vehicleType = "Vehicle type is required";
-    } else if (!["car", "bike", "van"].includes(data.vehicleInfo.vehicleType)) {
-      errors.vehicleType = "Vehicle type must be car, bike, or van";
-    }
+  validateVehicleInfo(data.vehicleInfo, errors);
 
-    if (!data.vehicleInfo.vehicleModel || data.vehicleInfo.vehicleModel.trim().length < 2) {
-      errors.vehicleModel = "Vehicle model is required";
-    }
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+};
 
-    if (!data.vehicleInfo.vehicleColor) {
-      errors.vehicleColor = "Vehicle color is required";
-    }
+/**
+ * Validate driver registration input
+ */
+export const validateDriverRegister = (data) => {
+  const errors = {};
 
-    if (!data.vehicleInfo.vehiclePlate || data.vehicleInfo.vehiclePlate.trim().length < 3) {
-      errors.vehiclePlate = "Vehicle plate number is required";
-    }
-  }
+  // First validate common fields (same as passenger)
+  const passengerValidation = validatePassengerRegister(data);
+  Object.assign(errors, passengerValidation.errors);
+
+  // Then validate driver-specific fields
+  const driverValidation = validateDriverDetails(data);
+  Object.assign(errors, driverValidation.errors);
 
   return {
     isValid: Object.keys(errors).length === 0,
@@ -128,3 +155,200 @@ export const validateLogin = (data) => {
     errors,
   };
 };
+
+/**
+ * Validate profile update input (only provided fields are checked)
+ */
+export const validateProfileUpdate = (data) => {
+  const errors = {};
+
+  if (data.name !== undefined && (!data.name || data.name.trim().length < 2)) {
+    errors.name = "Name must be at least 2 characters";
+  }
+
+  if (data.phone !== undefined) {
+    if (!data.phone) {
+      errors.phone = "Phone number is required";
+    } else if (!phoneRegex.test(data.phone.replace(/[\s-]/g, ""))) {
+      errors.phone = "Please enter a valid phone number";
+    }
+  }
+
+  if (data.profilePicture !== undefined && typeof data.profilePicture !== "string") {
+    errors.profilePicture = "Profile picture must be a URL";
+  }
+
+  if (data.vehicleInfo !== undefined) {
+    validateVehicleInfo(data.vehicleInfo, errors);
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+};
+
+/**
+ * Validate password change input
+ */
+export const validatePasswordChange = (data) => {
+  const errors = {};
+
+  if (!data.currentPassword) {
+    errors.currentPassword = "Current password is required";
+  }
+
+  if (!data.newPassword) {
+    errors.newPassword = "New password is required";
+  } else if (data.newPassword.length < 8) {
+    errors.newPassword = "Password must be at least 8 characters";
+  } else if (data.newPassword === data.currentPassword) {
+    errors.newPassword = "New password must be different from the current password";
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+};
+
+/**
+ * Validate email change input
+ */
+export const validateEmailChange = (data) => {
+  const errors = {};
+
+  if (!data.newEmail) {
+    errors.newEmail = "New email is required";
+  } else if (!emailRegex.test(data.newEmail)) {
+    errors.newEmail = "Please enter a valid email";
+  }
+
+  if (!data.password) {
+    errors.password = "Password is required";
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+};
+
+/**
+ * Validate emergency contact input
+ */
+export const validateEmergencyContact = (data) => {
+  const errors = {};
+
+  if (typeof data.name !== "string" || data.name.trim().length < 2) {
+    errors.name = "Name must be at least 2 characters";
+  }
+
+  if (!data.phone) {
+    errors.phone = "Phone number is required";
+  } else if (typeof data.phone !== "string" || !phoneRegex.test(data.phone.replace(/[\s-]/g, ""))) {
+    errors.phone = "Please enter a valid phone number";
+  }
+
+  if (data.email && !emailRegex.test(data.email)) {
+    errors.email = "Please enter a valid email";
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+};
+
+/**
+ * Validate vehicle input (driver's vehicle list)
+ */
+export const validateVehicle = (data) => {
+  const errors = {};
+
+  validateVehicleInfo(data, errors);
+
+  // Seat capacity must fit the vehicle type
+  const seats = VEHICLE_SEATS[data.vehicleType];
+  if (seats && data.seatCapacity !== undefined) {
+    const seatCapacity = Number(data.seatCapacity);
+    if (!Number.isInteger(seatCapacity) || seatCapacity < 1) {
+      errors.seatCapacity = "Seat capacity must be at least 1";
+    } else if (seatCapacity > seats.max) {
+      errors.seatCapacity = `A ${data.vehicleType} can offer at most ${seats.max} seat${seats.max === 1 ? "" : "s"}`;
+    }
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+};
+
+/**
+ * Validate recurring ride series input
+ */
+export const validateRideSeries = (data) => {
+  const errors = {};
+
+  // Route
+  if (!data.origin?.address || !data.origin?.city) {
+    errors.origin = "Origin address and city are required";
+  }
+  if (!data.destination?.address || !data.destination?.city) {
+    errors.destination = "Destination address and city are required";
+  }
+  if (data.stops !== undefined) {
+    if (!Array.isArray(data.stops) || data.stops.some((stop) => !stop?.address || !stop?.city)) {
+      errors.stops = "Each stop needs an address and city";
+    }
+  }
+
+  // Schedule
+  if (
+    !Array.isArray(data.daysOfWeek) ||
+    data.daysOfWeek.length === 0 ||
+    data.daysOfWeek.some((day) => !Number.isInteger(day) || day < 0 || day > 6)
+  ) {
+    errors.daysOfWeek = "Pick at least one day of the week (0 = Sunday ... 6 = Saturday)";
+  }
+
+  if (!data.departureTime || !timeRegex.test(data.departureTime)) {
+    errors.departureTime = "Departure time must be in HH:MM format";
+  }
+
+  const startDate = new Date(data.startDate);
+  if (!data.startDate || isNaN(startDate)) {
+    errors.startDate = "Valid start date is required";
+  }
+
+  if (data.endDate) {
+    const endDate = new Date(data.endDate);
+    if (isNaN(endDate)) {
+      errors.endDate = "End date must be a valid date";
+    } else if (endDate < startDate) {
+      errors.endDate = "End date must be after the start date";
+    }
+  }
+
+  if (data.exceptions !== undefined) {
+    if (!Array.isArray(data.exceptions) || data.exceptions.some((date) => isNaN(new Date(date)))) {
+      errors.exceptions = "Exceptions must be a list of dates";
+    }
+  }
+
+  // Seats & pricing
+  const totalSeats = Number(data.totalSeats);
+  if (!Number.isInteger(totalSeats) || totalSeats < 1 || totalSeats > 8) {
+    errors.totalSeats = "Total seats must be between 1 and 8";
+  }
+
+  if (typeof data.farePerSeat !== "number" || data.farePerSeat <= 0) {
+    errors.farePerSeat = "Valid fare per seat is required";
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+};
@@ -0,0 +1,101 @@
+import Vehicle, { VEHICLE_SEATS } from "../models/Vehicle.js";
+import DriverProfile from "../models/DriverProfile.js";
+
+/**
+ * Check if a plate is registered to another vehicle or another driver
+ * @param {string} plate - Vehicle plate
+ * @param {string} driverId - Driver's user id (their own profile plate is allowed)
+ * @param {string} [exceptVehicleId] - Vehicle being updated
+ */
+export const isPlateTaken = async (plate, driverId, exceptVehicleId) => {
+  const vehicleQuery = { vehiclePlate: plate, isActive: true };
+  if (exceptVehicleId) {
+    vehicleQuery._id = { $ne: exceptVehicleId };
+  }
+
+  const [vehicle, driverProfile] = await Promise.all([
+    Vehicle.exists(vehicleQuery),
+    DriverProfile.exists({ "vehicleInfo.vehiclePlate": plate, user: { $ne: driverId } }),
+  ]);
+
+  return Boolean(vehicle || driverProfile);
+};
+
+/**
+ * Put a vehicle in the admin review queue after it's added or re-plated
+ * (or changed after a rejection). Only this vehicle is held back from new
+ * rides until it's approved. The caller saves the vehicle.
+ * @param {object} vehicle - Vehicle document
+ */
+export const requestVehicleReview = (vehicle) => {
+  vehicle.approvalStatus = "pending";
+  vehicle.approval = { submittedAt: new Date() };
+};
+
+/**
+ * Check that a vehicle can be used for a new ride, series or vehicle switch
+ * @param {object} vehicle - Vehicle document
+ * @returns {string|null} Error message, or null if it can be used
+ */
+export const getVehicleReviewError = (vehicle) => {
+  if (vehicle.isApproved) {
+    return null;
+  }
+
+  const name = `${vehicle.vehicleModel} (${vehicle.vehiclePlate})`;
+  return vehicle.approvalStatus === "rejected"
+    ? `Your ${name} was not approved: ${vehicle.approval?.rejectionReason}. Update its details to have it reviewed again.`
+    : `Your ${name} is pending admin review`;
+};
+
+/**
+ * Get a driver's default vehicle, creating it from the vehicle given at
+ * driver registration (DriverProfile.vehicleInfo) if they have none yet
+ * @param {object} driverProfile - DriverProfile document
+ * @returns {Promise<object|null>} Vehicle document
+ */
+export const ensureDefaultVehicle = async (driverProfile) => {
+  const vehicles = await Vehicle.find({ driver: driverProfile.user, isActive: true });
+  if (vehicles.length > 0) {
+    return vehicles.find((vehicle) => vehicle.isDefault) || vehicles[0];
+  }
+
+  const { vehicleType, vehicleModel, vehicleColor, vehiclePlate } = driverProfile.vehicleInfo;
+  return Vehicle.create({
+    driver: driverProfile.user,
+    vehicleType,
+    vehicleModel,
+    vehicleColor,
+    vehiclePlate,
+    seatCapacity: VEHICLE_SEATS[vehicleType].default,
+    isDefault: true,
+  });
+};
+
+/**
+ * Copy changes to the registration vehicle (DriverProfile.vehicleInfo)
+ * onto the matching vehicle in the driver's vehicle list
+ * @param {object} driverProfile - DriverProfile document (already updated)
+ * @param {string} previousPlate - Plate before the update
+ */
+export const syncRegistrationVehicle = async (driverProfile, previousPlate) => {
+  const { vehicleType, vehicleModel, vehicleColor, vehiclePlate } = driverProfile.vehicleInfo;
+
+  const vehicle = await Vehicle.findOne({
+    driver: driverProfile.user,
+    vehiclePlate: previousPlate,
+    isActive: true,
+  });
+
+  if (!vehicle) {
+    await ensureDefaultVehicle(driverProfile);
+    return;
+  }
+
+  vehicle.vehicleType = vehicleType;
+  vehicle.vehicleModel = vehicleModel;
+  vehicle.vehicleColor = vehicleColor;
+  vehicle.vehiclePlate = vehiclePlate;
+  vehicle.seatCapacity = Math.min(vehicle.seatCapacity, VEHICLE_SEATS[vehicleType].max);
+  await vehicle.save();
+};
@@ -0,0 +1,129 @@
+import Ride, { getDeparture } from "../models/Ride.js";
+import Booking, { SEAT_RELEASED_STATUSES } from "../models/Booking.js";
+import WaitlistEntry from "../models/WaitlistEntry.js";
+import { sendWaitlistBookingEmail } from "./emailService.js";
+import {
+  getRoutePoints,
+  parseSegment,
+  getAvailableSeatsBetween,
+  bookSegment,
+} from "./segmentService.js";
+
+/**
+ * Get a passenger's place in a ride's waitlist (1 = next in line)
+ * @param {object} entry - WaitlistEntry document
+ */
+export const getWaitlistPosition = async (entry) => {
+  const ahead = await WaitlistEntry.countDocuments({
+    ride: entry.ride,
+    status: "waiting",
+    createdAt: { $lt: entry.createdAt },
+  });
+  return ahead + 1;
+};
+
+/**
+ * Give freed seats to waitlisted passengers, first come first served
+ * Each passenger whose seats fit gets a pending booking and an email; those
+ * asking for more seats than are free keep their place in the queue.
+ * @param {string} rideId - Ride's MongoDB ObjectId
+ * @returns {Promise<number>} Number of bookings created
+ */
+export const promoteWaitlist = async (rideId) => {
+  const ride = await Ride.findById(rideId);
+  if (
+    !ride ||
+    ride.status !== "scheduled" ||
+    ride.documentsExpired ||
+    getDeparture(ride.departureDate, ride.departureTime) <= new Date()
+  ) {
+    return 0;
+  }
+
+  const entries = await WaitlistEntry.find({ ride: ride._id, status: "waiting" })
+    .sort({ createdAt: 1 })
+    .populate("passenger", "name email");
+
+  let booked = 0;
+  for (const entry of entries) {
+    const segment = parseSegment(ride, entry.fromStop, entry.toStop);
+    const alreadyBooked =
+      entry.passenger &&
+      (await Booking.exists({
+        ride: ride._id,
+        passenger: entry.passenger._id,
+        status: { $nin: SEAT_RELEASED_STATUSES },
+      }));
+
+    // Route changed, account gone or booked meanwhile
+    if (!segment || !entry.passenger || alreadyBooked) {
+      entry.status = "cancelled";
+      await entry.save();
+      continue;
+    }
+
+    if (getAvailableSeatsBetween(ride, segment.from, segment.to) < entry.seatsRequested) {
+      continue;
+    }
+
+    let booking;
+    try {
+      booking = await bookSegment(ride, {
+        ...segment,
+        passenger: entry.passenger._id,
+        seatsBooked: entry.seatsRequested,
+        pickupLocation: entry.pickupLocation,
+        dropoffLocation: entry.dropoffLocation,
+        passengerNote: entry.passengerNote,
+        paymentMethod: entry.paymentMethod,
+      });
+    } catch (error) {
+      // Booked the ride themselves meanwhile
+      if (error.code === 11000) {
+        entry.status = "cancelled";
+        await entry.save();
+        continue;
+      }
+      throw error;
+    }
+
+    // Judge the next entries on the seats left now, not those loaded before the loop
+    const seats = await Ride.findById(ride._id).select("availableSeats segmentSeats").lean();
+    if (seats) {
+      ride.availableSeats = seats.availableSeats;
+      ride.segmentSeats = seats.segmentSeats;
+    }
+    if (!booking) {
+      continue;
+    }
+
+    entry.status = "booked";
+    entry.booking = booking._id;
+    entry.bookedAt = new Date();
+    await entry.save();
+    booked++;
+
+    const points = getRoutePoints(ride);
+    try {
+      await sendWaitlistBookingEmail(entry.passenger.email, entry.passenger.name, {
+        route: `${points[segment.from].city} → ${points[segment.to].city}`,
+        departureDate: ride.departureDate,
+        departureTime: ride.departureTime,
+        seats: booking.seatsBooked,
+        totalFare: booking.totalFare,
+      });
+    } catch (error) {
+      console.error("Waitlist booking email error:", error);
+    }
+  }
+
+  return booked;
+};
+
+/**
+ * Remove everyone from a ride's waitlist (e.g. the ride was cancelled)
+ * @param {string} rideId - Ride's MongoDB ObjectId
+ */
+export const clearWaitlist = async (rideId) => {
+  await WaitlistEntry.updateMany({ ride: rideId, status: "waiting" }, { status: "cancelled" });
+};